@@ -1,43 +1,91 @@
 import { ConfigManager } from './ConfigManager.js';
 import { ErrorManager } from '../errors/ErrorManager.js';
 import { ToolManager } from '../tools/ToolManager.js';
+import { ToolScheduler } from '../tools/ToolScheduler.js';
+import { MCPToolSource } from '../mcp/MCPToolSource.js';
 import { InstructionManager } from '../instructions/InstructionManager.js';
 import { TaskManager } from '../storage/TaskManager.js';
 import { ChatHistoryManager } from '../storage/ChatHistoryManager.js';
+import { ToolStateManager } from '../storage/ToolStateManager.js';
+import { AttachmentManager } from '../storage/AttachmentManager.js';
 import { StreamHandler } from '../streaming/StreamHandler.js';
 import { ThinkingTracker } from '../thinking/ThinkingTracker.js';
 import { EventManager } from '../events/EventManager.js';
-import { OpenAIAdapter } from '../providers/OpenAIAdapter.js';
-import { AnthropicAdapter } from '../providers/AnthropicAdapter.js';
-import { GeminiAdapter } from '../providers/GeminiAdapter.js';
-import { CustomAdapter } from '../providers/CustomAdapter.js';
-import { validateMessage } from '../utils/validators.js';
-import { formatMessages } from '../utils/formatters.js';
+import { UsageTracker } from '../usage/UsageTracker.js';
+import { createDefaultStorage } from '../storage/adapters/index.js';
+import { CancellationError, ModelError, SystemError, ToolError } from '../errors/ErrorTypes.js';
+import { providerRegistry } from '../providers/ProviderRegistry.js';
+import { validateMessage, validateToolChoice, validateAllowedTools, validateCandidateCount, validateReasoning } from '../utils/validators.js';
+import { formatMessages, formatResponseSchema, formatToolChoice, formatReasoning, formatThinkingContent, truncateText, STRUCTURED_OUTPUT_TOOL } from '../utils/formatters.js';
+import { validateSchema } from '../utils/schema.js';
+import { normalizeContent, getTextContent } from '../utils/content.js';
+import { estimateTokens, countTokens, getModelContextLimit } from '../utils/tokens.js';
+
+/**
+ * Default settings for rolling conversation summaries
+ */
+const DEFAULT_SUMMARIZATION = {
+  enabled: false,
+  triggerMessages: 60,      // Summarize once this many messages are not covered by the summary
+  keepRecentMessages: 20,   // Most recent messages always sent verbatim
+  maxSummaryTokens: 1024,
+  instruction: 'You maintain a running summary of a conversation between a user and an AI assistant. ' +
+    'Update the existing summary (if any) with the new messages. Keep names, facts, decisions, open ' +
+    'questions and tool results that may matter later. Reply with the summary only.'
+};
 
 /**
  * Main Agentify class - AI Agent with streaming, tools, and comprehensive error handling
  */
 export class Agentify {
   constructor(config = {}) {
+    // Storage backend shared by tasks, chat history and events
+    // (attachments can get their own, e.g. IndexedDB next to localStorage)
+    const {
+      storage = createDefaultStorage(),
+      attachmentStorage = storage,
+      pricing = {},
+      tokenizer = estimateTokens,
+      ...settings
+    } = config;
+
     // Initialize managers
     this.errorManager = new ErrorManager();
-    this.configManager = new ConfigManager(config);
-    this.toolManager = new ToolManager(this.errorManager);
+    this.configManager = new ConfigManager(settings, this.errorManager);
+    this.toolManager = new ToolManager(this.errorManager, this.configManager);
+    this.toolScheduler = new ToolScheduler(this.configManager, this.toolManager);
     this.instructionManager = new InstructionManager(this.errorManager);
-    this.taskManager = new TaskManager('agentify_tasks', this.errorManager);
-    this.chatHistoryManager = new ChatHistoryManager('agentify_chat_history', this.errorManager);
-    this.streamHandler = new StreamHandler(this.errorManager);
+    this.storage = storage;
+    this.taskManager = new TaskManager('agentify_tasks', this.errorManager, storage);
+    this.attachmentManager = new AttachmentManager('agentify_attachment_', this.errorManager, attachmentStorage);
+    this.chatHistoryManager = new ChatHistoryManager('agentify_chat_history', this.errorManager, storage, this.attachmentManager);
+    this.streamHandler = new StreamHandler(this.errorManager, this.configManager);
     this.thinkingTracker = new ThinkingTracker();
-    this.eventManager = new EventManager('agentify_events', this.errorManager);
+    this.eventManager = new EventManager('agentify_events', this.errorManager, storage);
+    this.usageTracker = new UsageTracker('agentify_usage', this.errorManager, storage, pricing);
+    this.toolStateManager = new ToolStateManager('agentify_tool_state', this.errorManager, storage);
 
     // Conversation history (current session - kept for backward compatibility)
     this.messages = [];
+
+    // Abort controllers of in-flight chat calls (see abort())
+    this.activeControllers = new Set();
+
+    // Connected MCP servers by name
+    this.mcpSources = new Map();
     
     // Chat history settings
     this.useHistory = config.useHistory !== false; // Default: true
     this.maxHistoryMessages = config.maxHistoryMessages || 50; // Default: 50 messages
     this.includeHistory = config.includeHistory !== false; // Default: true
 
+    // Token budget for history: a number, 'auto' (model's context size) or null (messages only)
+    this.contextTokenLimit = config.contextTokenLimit ?? null;
+    this.tokenizer = tokenizer;
+
+    // Rolling summary of older messages (opt-in)
+    this.summarization = { ...DEFAULT_SUMMARIZATION, ...config.summarization };
+
     // Provider adapter
     this.adapter = null;
     this.initializeAdapter();
@@ -50,27 +98,29 @@ export class Agentify {
   }
 
   /**
-   * Initialize provider adapter based on config
+   * Register a provider (adapter class, optional streamParser and detect(url))
+   * Affects every instance; the provider is picked by `provider` config or URL detection
+   */
+  static registerProvider(name, definition) {
+    providerRegistry.register(name, definition);
+    return Agentify;
+  }
+
+  /**
+   * Get the names of all registered providers
+   */
+  static getProviders() {
+    return providerRegistry.getNames();
+  }
+
+  /**
+   * Initialize provider adapter based on config (unknown providers use the custom adapter)
    */
   initializeAdapter() {
     const provider = this.configManager.get('provider');
 
-    switch (provider) {
-      case 'openai':
-        this.adapter = new OpenAIAdapter(this.configManager, this.errorManager);
-        break;
-      case 'anthropic':
-        this.adapter = new AnthropicAdapter(this.configManager, this.errorManager);
-        break;
-      case 'gemini':
-        this.adapter = new GeminiAdapter(this.configManager, this.errorManager);
-        break;
-      case 'deepseek':
-        this.adapter = new OpenAIAdapter(this.configManager, this.errorManager);
-        break;
-      default:
-        this.adapter = new CustomAdapter(this.configManager, this.errorManager);
-    }
+    this.adapter = providerRegistry.createAdapter(provider, this.configManager, this.errorManager, this.eventManager);
+    this.streamParser = providerRegistry.getStreamParser(provider, this.adapter);
   }
 
   /**
@@ -107,6 +157,22 @@ export class Agentify {
     return this;
   }
 
+  /**
+   * List the models the provider offers (for providers that support it, e.g. Ollama)
+   */
+  async listModels(options = {}) {
+    if (typeof this.adapter.listModels !== 'function') {
+      const provider = this.configManager.get('provider');
+      throw this.errorManager.createSystemError(
+        `Provider "${provider}" does not support listing models`,
+        SystemError.codes.INVALID_PARAMETER,
+        { provider }
+      );
+    }
+
+    return this.adapter.listModels(options);
+  }
+
   /**
    * Set temperature
    */
@@ -123,6 +189,14 @@ export class Agentify {
     return this;
   }
 
+  /**
+   * Set the default tool choice ('auto', 'none', 'required' or a tool name)
+   */
+  setToolChoice(toolChoice) {
+    this.configManager.set('toolChoice', toolChoice);
+    return this;
+  }
+
   /**
    * Add a single tool
    */
@@ -137,6 +211,54 @@ export class Agentify {
     return await this.toolManager.registerTools(tools);
   }
 
+  /**
+   * Connect an MCP server and register its tools
+   */
+  async addMCPServer(options) {
+    const name = options.name || 'mcp';
+
+    if (this.mcpSources.has(name)) {
+      throw this.errorManager.createSystemError(
+        `MCP server "${name}" is already connected`,
+        SystemError.codes.INVALID_PARAMETER,
+        { name }
+      );
+    }
+
+    const source = new MCPToolSource({
+      onError: (error) => this.eventManager.logError(error, 'mcp', { server: name }),
+      ...options,
+      name
+    }, this.toolManager, this.errorManager);
+
+    await source.connect();
+    this.mcpSources.set(name, source);
+
+    return source;
+  }
+
+  /**
+   * Disconnect an MCP server and remove its tools
+   */
+  async removeMCPServer(name) {
+    const source = this.mcpSources.get(name);
+
+    if (!source) {
+      return false;
+    }
+
+    this.mcpSources.delete(name);
+    await source.disconnect();
+    return true;
+  }
+
+  /**
+   * Get the status of connected MCP servers
+   */
+  getMCPServers() {
+    return Array.from(this.mcpSources.values()).map(source => source.getStatus());
+  }
+
   /**
    * Set instruction from text
    */
@@ -168,35 +290,248 @@ export class Agentify {
   /**
    * Get tasks from storage
    */
-  getTasks(filter) {
-    return this.taskManager.getTasks(filter);
+  async getTasks(filter) {
+    return await this.taskManager.getTasks(filter);
   }
 
   /**
    * Export tasks
    */
-  exportTasks(format = 'json') {
-    return this.taskManager.exportTasks(format);
+  async exportTasks(format = 'json') {
+    return await this.taskManager.exportTasks(format);
   }
 
   /**
    * Clear tasks
    */
-  clearTasks() {
-    return this.taskManager.clearTasks();
+  async clearTasks() {
+    return await this.taskManager.clearTasks();
   }
 
   /**
    * Get task statistics
    */
-  getTaskStats() {
-    return this.taskManager.getStorageStats();
+  async getTaskStats() {
+    return await this.taskManager.getStorageStats();
+  }
+
+  // ==================== Usage & Cost Methods ====================
+
+  /**
+   * Get aggregated token usage and cost (filter by chatId, taskId, provider, model, since, until)
+   */
+  async getUsage(filter = {}) {
+    return await this.usageTracker.getUsage(filter);
+  }
+
+  /**
+   * Get individual usage records
+   */
+  async getUsageRecords(filter = {}) {
+    return await this.usageTracker.getRecords(filter);
+  }
+
+  /**
+   * Set prices per million tokens, keyed by 'provider:model', 'model' or 'provider'
+   */
+  setPricing(pricing) {
+    this.usageTracker.setPricing(pricing);
+    return this;
+  }
+
+  /**
+   * Clear usage records
+   */
+  async clearUsage() {
+    return await this.usageTracker.clearUsage();
   }
 
   /**
    * Main chat method with streaming support
+   * Pass `options.signal` (or call abort()) to cancel the request, stream and tool calls.
+   * Pass `options.responseSchema` to get the response as a validated object in `result.data`.
    */
   async chat(message, options = {}) {
+    if (options.responseSchema !== undefined &&
+        (typeof options.responseSchema !== 'object' || options.responseSchema === null)) {
+      throw this.errorManager.createSystemError(
+        'responseSchema must be a JSON Schema object',
+        SystemError.codes.INVALID_PARAMETER,
+        { providedType: typeof options.responseSchema }
+      );
+    }
+
+    if (options.allowedTools !== undefined) {
+      validateAllowedTools(options.allowedTools);
+    }
+
+    if (options.toolChoice !== undefined) {
+      validateToolChoice(options.toolChoice);
+    }
+
+    if (options.candidateCount !== undefined) {
+      validateCandidateCount(options.candidateCount);
+    }
+
+    if (options.reasoning !== undefined && options.reasoning !== null) {
+      validateReasoning(options.reasoning);
+    }
+
+    const forcedTool = formatToolChoice(options.toolChoice ?? this.configManager.get('toolChoice'));
+    if (forcedTool?.name && !this.getAvailableToolNames(options).includes(forcedTool.name)) {
+      throw this.errorManager.createToolError(
+        `Tool choice "${forcedTool.name}" is not an available tool`,
+        ToolError.codes.NOT_FOUND,
+        { toolName: forcedTool.name, availableTools: this.getAvailableToolNames(options) }
+      );
+    }
+
+    const controller = new AbortController();
+    const { signal } = options;
+    const forwardAbort = () => controller.abort(signal.reason);
+
+    if (signal?.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal?.addEventListener('abort', forwardAbort, { once: true });
+    }
+
+    this.activeControllers.add(controller);
+
+    try {
+      let result = await this.runChat(message, { ...options, signal: controller.signal });
+
+      if (options.responseSchema) {
+        result = await this.resolveStructuredOutput(result, { ...options, signal: controller.signal });
+      }
+
+      if (this.summarization.enabled && this.useHistory && !result.error) {
+        await this.autoSummarize(options.chatId || this.eventManager.getChatId(), controller.signal);
+      }
+
+      return result;
+    } finally {
+      signal?.removeEventListener('abort', forwardAbort);
+      this.activeControllers.delete(controller);
+    }
+  }
+
+  /**
+   * Abort all in-flight chat requests
+   */
+  abort(reason = 'Aborted by user') {
+    for (const controller of this.activeControllers) {
+      controller.abort(reason);
+    }
+    return this;
+  }
+
+  /**
+   * Stream a chat as an async iterator of typed events:
+   * token, thinking, tool_call_started, tool_call_progress, tool_call_result, round_complete, usage, error and done.
+   * The request only advances as events are consumed; leaving the loop early cancels it.
+   */
+  async *stream(message, options = {}) {
+    const queue = [];
+    let wakeConsumer = null;
+    let finished = false;
+    let closed = false;
+    let current = null;
+    let lastError = null;
+    let round = 0;
+
+    const controller = new AbortController();
+    const { signal } = options;
+    const forwardAbort = () => controller.abort(signal.reason);
+
+    if (signal?.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal?.addEventListener('abort', forwardAbort, { once: true });
+    }
+
+    // Queue an event - resolves once the consumer asks for the next one
+    const emit = (event) => {
+      if (closed) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => {
+        queue.push({ event, resolve });
+        wakeConsumer?.();
+      });
+    };
+
+    const emitError = (error) => {
+      if (error === lastError) {
+        return Promise.resolve();
+      }
+      lastError = error;
+      return emit({ type: 'error', error });
+    };
+
+    const run = this.chat(message, {
+      ...options,
+      stream: true,
+      signal: controller.signal,
+      onToken: (content) => emit({ type: 'token', content }),
+      onThinking: (content) => emit({ type: 'thinking', content }),
+      onToolCall: (toolCall) => emit({ type: 'tool_call_started', toolCall }),
+      onToolProgress: (toolCall, chunk) => emit({ type: 'tool_call_progress', toolCall, chunk }),
+      onToolResult: (toolCall, result) => emit({ type: 'tool_call_result', toolCall, result }),
+      onUsage: (usage) => emit({ type: 'usage', usage }),
+      onComplete: (result) => emit({ type: 'round_complete', round: round++, result }),
+      onError: emitError
+    })
+      .then(
+        result => emit({ type: 'done', result }),
+        error => emitError(error)
+      )
+      .finally(() => {
+        finished = true;
+        wakeConsumer?.();
+      });
+
+    try {
+      while (true) {
+        if (queue.length > 0) {
+          current = queue.shift();
+          yield current.event;
+          current.resolve();
+          current = null;
+          continue;
+        }
+
+        if (finished) {
+          return;
+        }
+
+        await new Promise(resolve => {
+          wakeConsumer = resolve;
+        });
+        wakeConsumer = null;
+      }
+    } finally {
+      closed = true;
+      signal?.removeEventListener('abort', forwardAbort);
+
+      if (!finished) {
+        controller.abort('Stream consumer stopped');
+      }
+
+      // Release the producer so the cancelled request can wind down
+      current?.resolve();
+      for (const pending of queue.splice(0)) {
+        pending.resolve();
+      }
+
+      await run;
+    }
+  }
+
+  /**
+   * Run a single chat round (also used for tool follow-ups)
+   */
+  async runChat(message, options = {}) {
     // Skip validation for tool followup (message can be empty)
     if (!options._isToolFollowUp) {
       try {
@@ -240,7 +575,10 @@ export class Agentify {
         'MAX_TOOL_ROUNDS_EXCEEDED',
         { maxToolRounds, currentRound }
       );
-      
+
+      // The previous round is still marked as thinking
+      this.thinkingTracker.stopThinking();
+
       if (options.onError) {
         options.onError(loopError);
       }
@@ -258,72 +596,89 @@ export class Agentify {
     this.eventManager.setChatId(chatId);
 
     // Log user message (skip if tool followup)
+    const messageText = typeof message === 'string' || !message
+      ? message
+      : getTextContent(Array.isArray(message) ? message : message.content);
+
     if (!options._isToolFollowUp) {
-      this.eventManager.logUserMessage(message, { chatId });
+      this.eventManager.logUserMessage(messageText, { chatId });
     }
 
     // Create task
-    const task = this.taskManager.addTask({
+    const task = await this.taskManager.addTask({
       type: options._isToolFollowUp ? 'tool_followup' : 'chat',
       status: 'pending',
-      input: typeof message === 'string' ? message : JSON.stringify(message)
+      input: messageText
     });
 
     const startTime = Date.now();
 
     try {
-      // Update thinking status
+      // Update thinking status - reasoning text collects across the tool rounds of one chat
+      if (!options._isToolFollowUp) {
+        this.thinkingTracker.clearThinkingContent();
+      }
       this.thinkingTracker.startThinking(options._isToolFollowUp ? 'Processing tool results' : 'Preparing request');
       this.eventManager.logThinkingStarted(options._isToolFollowUp ? 'Processing tool results' : 'Preparing request', { chatId });
 
       // Add user message to current session (skip if tool followup)
       if (!options._isToolFollowUp && message) {
-        const userMessage = typeof message === 'string' 
-          ? { role: 'user', content: message }
-          : message;
-        
+        const userMessage = await this.createUserMessage(message);
+
         this.messages.push(userMessage);
 
         // Save to persistent history if enabled
         if (this.useHistory) {
-          this.chatHistoryManager.addMessage(chatId, userMessage);
+          await this.chatHistoryManager.addMessage(chatId, userMessage);
         }
       }
 
+      // Get tool definitions
+      const tools = this.toolManager.getToolCount() > 0
+        ? this.toolManager.getToolDefinitions(options.allowedTools)
+        : null;
+
+      // Build system instruction with tool info
+      let instruction = this.instructionManager.getInstruction();
+      if (tools && tools.length > 0) {
+        const toolsList = tools.map(t => `- ${t.name}: ${t.description}`).join('\n');
+        instruction = instruction + `\n\nAvailable tools:\n${toolsList}\n\nUse these tools when appropriate to help answer user questions.`;
+      }
+
       // Build messages for API
       let messagesToSend = [];
       
       if (this.includeHistory && this.useHistory) {
-        // Get full chat history from storage
-        const historyMessages = this.chatHistoryManager.getContextWindow(
-          chatId, 
-          this.maxHistoryMessages
-        );
-        messagesToSend = historyMessages;
+        // Get chat history from storage, trimmed to the message and token budget
+        const contextWindow = await this.chatHistoryManager.buildContextWindow(chatId, {
+          maxMessages: this.maxHistoryMessages,
+          maxTokens: this.getHistoryTokenBudget(instruction, tools),
+          tokenizer: this.tokenizer
+        });
+        messagesToSend = contextWindow.messages;
+
+        if (contextWindow.droppedCount > 0) {
+          this.eventManager.logContextTrimmed({
+            droppedCount: contextWindow.droppedCount,
+            droppedTokens: contextWindow.droppedTokens,
+            keptCount: contextWindow.messages.length,
+            tokenCount: contextWindow.tokenCount
+          }, { chatId });
+        }
       } else {
         // Use only current session messages (preserve all fields for tool messages)
         messagesToSend = this.messages.map(msg => {
           const formatted = { role: msg.role, content: msg.content };
           if (msg.tool_calls) formatted.tool_calls = msg.tool_calls;
           if (msg.tool_call_id) formatted.tool_call_id = msg.tool_call_id;
+          if (msg.response_id) formatted.response_id = msg.response_id;
+          if (msg.reasoning) formatted.reasoning = msg.reasoning;
           return formatted;
         });
       }
 
-      // Get tool definitions
-      const tools = this.toolManager.getToolCount() > 0
-        ? this.toolManager.getToolDefinitions(this.configManager.get('provider'))
-        : null;
-
-      // Build system instruction with tool info
-      let instruction = this.instructionManager.getInstruction();
-      if (tools && tools.length > 0) {
-        const toolsList = tools.map(t => {
-          const fn = t.function || t;
-          return `- ${fn.name}: ${fn.description}`;
-        }).join('\n');
-        instruction = instruction + `\n\nAvailable tools:\n${toolsList}\n\nUse these tools when appropriate to help answer user questions.`;
-      }
+      // Load stored attachments back into image, file and audio parts
+      messagesToSend = await this.attachmentManager.resolveMessages(messagesToSend);
 
       // Format messages with system instruction
       const formattedMessages = formatMessages(messagesToSend, instruction);
@@ -331,10 +686,21 @@ export class Agentify {
       // Format request
       this.thinkingTracker.setAction('Formatting request');
       const config = this.configManager.getAll();
+      if (options.stream !== undefined) {
+        config.stream = options.stream;
+      }
+      if (options.candidateCount !== undefined) {
+        config.candidateCount = options.candidateCount;
+      }
+      config.reasoning = formatReasoning(options.reasoning !== undefined ? options.reasoning : config.reasoning);
+      if (options.responseSchema) {
+        config.responseSchema = formatResponseSchema(options.responseSchema);
+      }
+      config.toolChoice = this.resolveToolChoice(options, tools);
       const requestBody = this.adapter.formatRequest(formattedMessages, tools, config);
 
       // Update task status
-      this.taskManager.updateTaskStatus(task.id, 'running', {
+      await this.taskManager.updateTaskStatus(task.id, 'running', {
         startTime: new Date().toISOString()
       });
 
@@ -348,7 +714,7 @@ export class Agentify {
 
       // Make request
       this.thinkingTracker.setAction('Sending request to API');
-      const response = await this.adapter.makeRequest(requestBody, config.stream);
+      const response = await this.adapter.makeRequest(requestBody, config.stream, { signal: options.signal });
 
       // Log assistant message started
       this.eventManager.logAssistantMessageStarted({ chatId });
@@ -362,11 +728,15 @@ export class Agentify {
       }
 
     } catch (error) {
+      if (error instanceof CancellationError || options.signal?.aborted) {
+        return await this.handleCancellation(error, task, options, chatId);
+      }
+
       // Log error
       this.eventManager.logError(error, 'chat', { chatId });
 
       // Update task with error
-      this.taskManager.updateTaskStatus(task.id, 'failed', {
+      await this.taskManager.updateTaskStatus(task.id, 'failed', {
         error: error.toJSON ? error.toJSON() : { message: error.message },
         endTime: new Date().toISOString()
       });
@@ -412,6 +782,35 @@ export class Agentify {
     }
   }
 
+  /**
+   * Handle a cancelled chat - mark the task cancelled and return the partial response
+   */
+  async handleCancellation(error, task, options, chatId) {
+    const cancellationError = error instanceof CancellationError
+      ? error
+      : this.errorManager.createCancellationError(
+        'Request was cancelled',
+        CancellationError.codes.ABORTED,
+        { reason: String(options.signal?.reason ?? 'aborted'), originalError: error.message }
+      );
+
+    this.eventManager.logRequestCancelled(cancellationError.details.reason || 'aborted', { chatId, taskId: task.id });
+
+    await this.taskManager.updateTaskStatus(task.id, 'cancelled', {
+      error: cancellationError.toJSON(),
+      endTime: new Date().toISOString()
+    });
+
+    this.thinkingTracker.stopThinking();
+
+    return {
+      content: cancellationError.details.partialContent || '',
+      error: cancellationError,
+      toolCalls: [],
+      finishReason: 'cancelled'
+    };
+  }
+
   /**
    * Handle streaming response
    */
@@ -419,7 +818,6 @@ export class Agentify {
     this.thinkingTracker.setAction('Processing stream');
     this.eventManager.logEvent('stream_started', { chatId });
 
-    const provider = this.configManager.get('provider');
     const currentRound = options._toolRound || 0;
     
     const callbacks = {
@@ -427,106 +825,38 @@ export class Agentify {
         // Log token (optional - can generate many events)
         // this.eventManager.logToken(token);
         
+        // Returning the callback's promise lets slow consumers apply back-pressure
         if (options.onToken) {
-          options.onToken(token);
+          return options.onToken(token);
         }
       },
-      onToolCall: async (toolCall) => {
-        this.thinkingTracker.setAction(`Executing tool: ${toolCall.name}`);
-        
-        // Log tool call initiated
-        this.eventManager.logToolCallInitiated(
-          toolCall.name,
-          toolCall.arguments,
-          { chatId }
-        );
-        
-        if (options.onToolCall) {
-          options.onToolCall(toolCall);
-        }
-
-        // Parse arguments if string
-        let parsedArgs = toolCall.arguments;
-        if (typeof parsedArgs === 'string') {
-          try {
-            parsedArgs = JSON.parse(parsedArgs);
-          } catch (e) {
-            const errorMsg = `Failed to parse tool arguments: ${e.message}`;
-            this.eventManager.logError(new Error(errorMsg), 'tool', { chatId });
-            return {
-              success: false,
-              error: errorMsg,
-              toolName: toolCall.name
-            };
-          }
-        }
-
-        // Execute tool if handler exists
-        if (this.toolManager.hasTool(toolCall.name)) {
-          const toolStartTime = Date.now();
-          try {
-            const result = await this.toolManager.executeTool(
-              toolCall.name,
-              parsedArgs
-            );
-            
-            // Log tool call completed
-            this.eventManager.logToolCallCompleted(
-              toolCall.name,
-              parsedArgs,
-              result.result,
-              Date.now() - toolStartTime,
-              { chatId }
-            );
-            
-            return result;
-          } catch (error) {
-            this.eventManager.logToolCallFailed(
-              toolCall.name,
-              parsedArgs,
-              error,
-              { chatId }
-            );
-            this.eventManager.logError(error, 'tool', { chatId });
-            
-            // Return error instead of throwing - let model handle it
-            return {
-              success: false,
-              error: error.message || String(error),
-              toolName: toolCall.name
-            };
-          }
-        } else {
-          // Tool not found - return error instead of throwing
-          const errorMsg = `Tool "${toolCall.name}" not found. Available tools: ${Array.from(this.toolManager.getAllTools().map(t => t.name)).join(', ')}`;
-          this.eventManager.logError(new Error(errorMsg), 'tool', { chatId });
-          return {
-            success: false,
-            error: errorMsg,
-            toolName: toolCall.name
-          };
+      onToolCall: (toolCall) => {
+        // The structured output call carries the answer - it is not a tool to run
+        if (options.responseSchema && toolCall.name === STRUCTURED_OUTPUT_TOOL) {
+          return undefined;
         }
+        return this.runToolCall(toolCall, options, chatId, task.id);
       },
       onThinking: (thought) => {
+        this.thinkingTracker.addThinkingContent(thought);
         if (options.onThinking) {
-          options.onThinking(thought);
+          return options.onThinking(thought);
         }
       },
-      onComplete: (result) => {
+      onComplete: async (result) => {
         const duration = Date.now() - startTime;
+        this.extractStructuredOutput(result, options);
         
         // Add assistant message to current session
-        const assistantMessage = {
-          role: 'assistant',
-          content: result.content
-        };
+        const assistantMessage = this.createAssistantMessage(result);
         
-        if (result.content) {
+        // Tool turns are stored together with their results after the stream ends
+        if (result.content && result.toolResults.length === 0) {
           this.messages.push(assistantMessage);
           
           // Save to persistent history if enabled
           if (this.useHistory) {
-            this.chatHistoryManager.addMessage(chatId, assistantMessage);
+            await this.chatHistoryManager.addMessage(chatId, assistantMessage);
           }
         }
 
@@ -537,18 +867,21 @@ export class Agentify {
           { chatId, finishReason: result.finishReason }
         );
 
+        const usage = await this.trackUsage(result.usage, chatId, task.id, options);
+
         // Log API response
         this.eventManager.logApiResponse(
           this.configManager.get('apiUrl'),
           200,
-          { contentLength: result.content?.length || 0, finishReason: result.finishReason },
+          { contentLength: result.content?.length || 0, finishReason: result.finishReason, usage },
           duration,
           { chatId }
         );
 
         // Update task
-        this.taskManager.updateTaskStatus(task.id, 'completed', {
+        await this.taskManager.updateTaskStatus(task.id, 'completed', {
           output: result.content,
+          usage,
           endTime: new Date().toISOString(),
           duration: Date.now() - new Date(task.timestamp).getTime()
         });
@@ -557,7 +890,7 @@ export class Agentify {
         this.thinkingTracker.stopThinking();
 
         if (options.onComplete) {
-          options.onComplete(result);
+          await options.onComplete(result);
         }
       },
       onError: (error) => {
@@ -569,46 +902,24 @@ export class Agentify {
       }
     };
 
-    const streamResult = await this.streamHandler.handleStream(response, callbacks, provider);
+    const streamResult = await this.streamHandler.handleStream(response, callbacks, this.streamParser, {
+      signal: options.signal
+    });
     
     // If we have tool results, send them back to model for continuation
     if (streamResult.toolResults && streamResult.toolResults.length > 0) {
       this.thinkingTracker.setAction('Sending tool results to model');
-      
-      // Add assistant message with tool_calls
-      const assistantWithTools = {
-        role: 'assistant',
-        content: streamResult.content || null,
-        tool_calls: streamResult.toolCalls.map((tc, i) => ({
-          id: tc.id || `call_${i}`,
-          type: 'function',
-          function: {
-            name: tc.name,
-            arguments: typeof tc.arguments === 'string' ? tc.arguments : JSON.stringify(tc.arguments)
-          }
-        }))
-      };
-      this.messages.push(assistantWithTools);
-      if (this.useHistory) {
-        this.chatHistoryManager.addMessage(chatId, assistantWithTools);
-      }
-      
-      // Add tool results
-      for (const { toolCall, result: toolResult } of streamResult.toolResults) {
-        const toolMessage = {
-          role: 'tool',
-          tool_call_id: toolCall.id || `call_${streamResult.toolResults.indexOf({ toolCall, result: toolResult })}`,
-          content: JSON.stringify(toolResult.success !== false ? toolResult.result : { error: toolResult.error })
-        };
-        this.messages.push(toolMessage);
-        if (this.useHistory) {
-          this.chatHistoryManager.addMessage(chatId, toolMessage);
-        }
-      }
+
+      await this.appendToolRound(
+        chatId,
+        streamResult,
+        streamResult.toolResults.map(({ toolCall }) => toolCall),
+        streamResult.toolResults.map(({ result }) => result)
+      );
       
       // Continue conversation with tool results
       // Model may call more tools or provide final answer
-      return await this.chat('', {
+      return await this.runChat('', {
         ...options,
         chatId,
         _isToolFollowUp: true,
@@ -627,33 +938,29 @@ export class Agentify {
     this.thinkingTracker.setAction('Parsing response');
 
     const data = await response.json();
-    const result = this.adapter.parseResponse(data);
+    const result = this.extractStructuredOutput(this.adapter.parseResponse(data), options);
     const duration = Date.now() - startTime;
 
+    result.thinkingContent = result.thinkingContent || this.adapter.extractThinking(data) || '';
+    if (result.thinkingContent) {
+      const thought = formatThinkingContent(result.thinkingContent);
+      this.thinkingTracker.addThinkingContent(thought);
+      if (options.onThinking) {
+        await options.onThinking(thought);
+      }
+    }
+
+    const usage = await this.trackUsage(result.usage, chatId, task.id, options);
+
     // Log API response
     this.eventManager.logApiResponse(
       this.configManager.get('apiUrl'),
       200,
-      { contentLength: result.content?.length || 0, toolCalls: result.toolCalls?.length || 0 },
+      { contentLength: result.content?.length || 0, toolCalls: result.toolCalls?.length || 0, usage },
       duration,
       { chatId }
     );
 
-    // Add assistant message to current session
-    const assistantMessage = {
-      role: 'assistant',
-      content: result.content
-    };
-    
-    if (result.content) {
-      this.messages.push(assistantMessage);
-      
-      // Save to persistent history if enabled
-      if (this.useHistory) {
-        this.chatHistoryManager.addMessage(chatId, assistantMessage);
-      }
-    }
-
     // Log assistant message completed
     this.eventManager.logAssistantMessageCompleted(
       result.content,
@@ -664,64 +971,601 @@ export class Agentify {
     // Handle tool calls if present
     if (result.toolCalls && result.toolCalls.length > 0) {
       this.thinkingTracker.setAction('Processing tool calls');
-      
-      for (const toolCall of result.toolCalls) {
-        // Log tool call initiated
-        this.eventManager.logToolCallInitiated(
-          toolCall.name,
-          toolCall.arguments,
-          { chatId }
-        );
-        
-        if (options.onToolCall) {
-          options.onToolCall(toolCall);
-        }
 
-        if (this.toolManager.hasTool(toolCall.name)) {
-          const toolStartTime = Date.now();
-          try {
-            const toolResult = await this.toolManager.executeTool(toolCall.name, toolCall.arguments);
-            
-            // Log tool call completed
-            this.eventManager.logToolCallCompleted(
-              toolCall.name,
-              toolCall.arguments,
-              toolResult.result,
-              Date.now() - toolStartTime,
-              { chatId }
-            );
-          } catch (error) {
-            // Log tool call failed
-            this.eventManager.logToolCallFailed(
-              toolCall.name,
-              toolCall.arguments,
-              error,
-              { chatId }
-            );
-            
-            console.error('Tool execution error:', error);
-          }
-        }
-      }
-    }
+      // Calls run in parallel where allowed - results stay in call order
+      const toolResults = await Promise.all(
+        result.toolCalls.map(toolCall => this.runToolCall(toolCall, options, chatId, task.id))
+      );
 
-    // Update task
-    this.taskManager.updateTaskStatus(task.id, 'completed', {
-      output: result.content,
-      endTime: new Date().toISOString(),
-      duration: Date.now() - new Date(task.timestamp).getTime()
-    });
+      this.thinkingTracker.setAction('Sending tool results to model');
+      await this.appendToolRound(chatId, result, result.toolCalls, toolResults);
 
-    // Stop thinking
-    this.thinkingTracker.stopThinking();
+      await this.taskManager.updateTaskStatus(task.id, 'completed', {
+        output: result.content,
+        usage,
+        endTime: new Date().toISOString(),
+        duration: Date.now() - new Date(task.timestamp).getTime()
+      });
 
-    if (options.onComplete) {
-      options.onComplete(result);
-    }
+      // Continue conversation with tool results
+      // Model may call more tools or provide final answer
+      return await this.runChat('', {
+        ...options,
+        chatId,
+        _isToolFollowUp: true,
+        _toolRound: (options._toolRound || 0) + 1
+      });
+    }
+
+    // Add assistant message to current session
+    const assistantMessage = this.createAssistantMessage(result);
+    
+    if (result.content) {
+      this.messages.push(assistantMessage);
+      
+      // Save to persistent history if enabled
+      if (this.useHistory) {
+        await this.chatHistoryManager.addMessage(chatId, assistantMessage);
+      }
+    }
+
+    // Update task
+    await this.taskManager.updateTaskStatus(task.id, 'completed', {
+      output: result.content,
+      usage,
+      endTime: new Date().toISOString(),
+      duration: Date.now() - new Date(task.timestamp).getTime()
+    });
+
+    // Stop thinking
+    this.thinkingTracker.stopThinking();
+
+    if (options.onComplete) {
+      options.onComplete(result);
+    }
 
     return result;
   }
 
+  /**
+   * Use a structured output tool call (Anthropic) as the response content
+   */
+  extractStructuredOutput(result, options) {
+    if (!options.responseSchema || !result.toolCalls || result.toolCalls.length === 0) {
+      return result;
+    }
+
+    const outputCall = result.toolCalls.find(call => call.name === STRUCTURED_OUTPUT_TOOL);
+
+    if (outputCall) {
+      const value = this.adapter.parseStructuredOutputCall(outputCall, formatResponseSchema(options.responseSchema));
+      result.content = JSON.stringify(value);
+      result.toolCalls = result.toolCalls.filter(call => call !== outputCall);
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse and validate a structured response, asking the model to repair invalid output
+   * Sets `result.data`; throws MDL_SCHEMA_VALIDATION_FAILED once the repair attempts are used up.
+   * After a successful repair, the invalid replies and repair prompts are removed from the history
+   */
+  async resolveStructuredOutput(result, options) {
+    const { schema } = formatResponseSchema(options.responseSchema);
+    const maxRepairAttempts = options.maxRepairAttempts ?? 2;
+    const chatId = options.chatId || this.eventManager.getChatId();
+    const discarded = { session: new Set(), history: new Set() };
+
+    for (let attempt = 1; ; attempt++) {
+      // Errors and cancellations are returned as usual
+      if (result.error || result.finishReason === 'cancelled') {
+        return result;
+      }
+
+      const { data, errors } = this.parseStructuredOutput(result.content, schema);
+
+      if (errors.length === 0) {
+        result.data = data;
+        await this.discardRepairMessages(chatId, discarded);
+        return result;
+      }
+
+      if (attempt > maxRepairAttempts) {
+        throw this.errorManager.createModelError(
+          `Response does not match the response schema: ${errors.map(e => `${e.path || '/'}: ${e.message}`).join('; ')}`,
+          ModelError.codes.SCHEMA_VALIDATION_FAILED,
+          { errors, content: result.content, attempts: attempt }
+        );
+      }
+
+      this.thinkingTracker.setAction('Repairing structured output');
+
+      // Remember the invalid reply and where the repair prompt will land
+      const isInvalidReply = (msg) => msg?.role === 'assistant' && msg.content === result.content;
+      const sessionMark = this.messages.length;
+      if (isInvalidReply(this.messages.at(-1))) {
+        discarded.session.add(this.messages.at(-1));
+      }
+
+      let historyMark = null;
+      if (this.useHistory) {
+        const lastMessage = (await this.chatHistoryManager.getMessages(chatId)).at(-1);
+        historyMark = lastMessage?.messageId ?? null;
+        if (isInvalidReply(lastMessage)) {
+          discarded.history.add(historyMark);
+        }
+      }
+
+      result = await this.runChat(this.formatRepairPrompt(errors), options);
+
+      if (this.messages[sessionMark]?.role === 'user') {
+        discarded.session.add(this.messages[sessionMark]);
+      }
+
+      if (this.useHistory) {
+        const messages = await this.chatHistoryManager.getMessages(chatId);
+        const index = historyMark ? messages.findIndex(msg => msg.messageId === historyMark) : -1;
+        const prompt = historyMark && index === -1 ? null : messages[index + 1];
+        if (prompt?.role === 'user') {
+          discarded.history.add(prompt.messageId);
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove the messages of failed structured output attempts from the session and chat history
+   */
+  async discardRepairMessages(chatId, discarded) {
+    if (discarded.session.size > 0) {
+      this.messages = this.messages.filter(msg => !discarded.session.has(msg));
+    }
+
+    if (this.useHistory && discarded.history.size > 0) {
+      await this.chatHistoryManager.deleteMessages(chatId, [...discarded.history]);
+    }
+  }
+
+  /**
+   * Parse a JSON response (tolerating code fences) and validate it against a schema
+   * Returns { data, errors } with errors in the validateSchema format
+   */
+  parseStructuredOutput(content, schema) {
+    const text = String(content ?? '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return {
+        data: undefined,
+        errors: [{ path: '', keyword: 'json', message: `Response is not valid JSON: ${error.message}` }]
+      };
+    }
+
+    return { data, errors: validateSchema(data, schema) };
+  }
+
+  /**
+   * Build the follow-up message asking the model to fix invalid structured output
+   */
+  formatRepairPrompt(errors) {
+    const list = errors.map(e => `- ${e.path || '/'}: ${e.message}`).join('\n');
+    return `Your previous response does not match the required JSON Schema:\n${list}\n\nReply again with only the corrected JSON.`;
+  }
+
+  /**
+   * Record token usage of one API response against the chat and task
+   */
+  async trackUsage(usage, chatId, taskId, options = {}) {
+    const record = await this.usageTracker.recordUsage(usage, {
+      chatId,
+      taskId,
+      provider: this.configManager.get('provider'),
+      model: this.configManager.get('model')
+    });
+
+    if (record && options.onUsage) {
+      options.onUsage(record);
+    }
+
+    return record;
+  }
+
+  /**
+   * Schedule a tool call and report its result to `onToolResult`
+   */
+  runToolCall(toolCall, options, chatId, taskId = null) {
+    return this.toolScheduler.schedule(toolCall, async () => {
+      const result = await this.executeToolCall(toolCall, options, chatId, taskId);
+
+      if (options.onToolResult) {
+        await options.onToolResult(toolCall, result);
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Execute a single tool call - failures are returned as results so the model can react
+   */
+  async executeToolCall(toolCall, options, chatId, taskId = null) {
+    this.thinkingTracker.setAction(`Executing tool: ${toolCall.name}`);
+    
+    // Log tool call initiated
+    this.eventManager.logToolCallInitiated(
+      toolCall.name,
+      toolCall.arguments,
+      { chatId }
+    );
+    
+    if (options.onToolCall) {
+      options.onToolCall(toolCall);
+    }
+
+    // Parse arguments if string
+    let parsedArgs = toolCall.arguments;
+    if (typeof parsedArgs === 'string') {
+      try {
+        parsedArgs = JSON.parse(parsedArgs);
+      } catch (e) {
+        const errorMsg = `Failed to parse tool arguments: ${e.message}`;
+        this.eventManager.logError(new Error(errorMsg), 'tool', { chatId });
+        return {
+          success: false,
+          error: errorMsg,
+          toolName: toolCall.name
+        };
+      }
+    }
+
+    // Execute tool if handler exists (and the call may use it)
+    if (this.getAvailableToolNames(options).includes(toolCall.name)) {
+      let editedArguments = null;
+
+      // Invalid arguments go back to the model before anyone is asked to approve them
+      try {
+        this.toolManager.validateToolParameters(this.toolManager.getTool(toolCall.name), parsedArgs);
+      } catch (error) {
+        return this.createToolFailure(toolCall, parsedArgs, error, chatId);
+      }
+
+      // Sensitive tools wait for the user's decision before running
+      if (await this.toolManager.requiresApproval(toolCall.name, parsedArgs)) {
+        const decision = await this.requestToolApproval(toolCall, parsedArgs, options, chatId);
+
+        if (decision.action === 'reject') {
+          return {
+            success: false,
+            rejected: true,
+            error: `Call to tool "${toolCall.name}" was not approved`,
+            reason: decision.reason || null,
+            toolName: toolCall.name
+          };
+        }
+
+        if (decision.action === 'edit') {
+          parsedArgs = decision.arguments;
+          editedArguments = decision.arguments;
+        }
+      }
+
+      const toolStartTime = Date.now();
+      try {
+        const result = await this.toolManager.executeTool(
+          toolCall.name,
+          parsedArgs,
+          {
+            signal: options.signal,
+            context: this.createToolContext(toolCall, chatId, taskId),
+            onRetry: (error, attempt, delay) => {
+              this.eventManager.logToolCallRetry(toolCall.name, attempt, delay, error, { chatId });
+            },
+            onChunk: (chunk, index, attempt) => {
+              this.eventManager.logToolCallProgress(toolCall.name, chunk, index, { chatId, attempt });
+              if (options.onToolProgress) {
+                return options.onToolProgress(toolCall, chunk, { index, attempt });
+              }
+            }
+          }
+        );
+        
+        // Log tool call completed
+        this.eventManager.logToolCallCompleted(
+          toolCall.name,
+          parsedArgs,
+          result.result,
+          Date.now() - toolStartTime,
+          { chatId, attempts: result.attempts }
+        );
+        
+        return editedArguments ? { ...result, editedArguments } : result;
+      } catch (error) {
+        if (error instanceof CancellationError) {
+          throw error;
+        }
+
+        return this.createToolFailure(toolCall, parsedArgs, error, chatId);
+      }
+    } else {
+      // Tool not found - return error instead of throwing
+      const errorMsg = `Tool "${toolCall.name}" not found. Available tools: ${this.getAvailableToolNames(options).join(', ')}`;
+      this.eventManager.logError(new Error(errorMsg), 'tool', { chatId });
+      return {
+        success: false,
+        error: errorMsg,
+        toolName: toolCall.name
+      };
+    }
+  }
+
+  /**
+   * Log a failed tool call and build the result the model receives instead of an exception
+   */
+  createToolFailure(toolCall, parameters, error, chatId) {
+    this.eventManager.logToolCallFailed(
+      toolCall.name,
+      parameters,
+      error,
+      { chatId }
+    );
+    this.eventManager.logError(error, 'tool', { chatId });
+
+    const failure = {
+      success: false,
+      error: error.message || String(error),
+      toolName: toolCall.name
+    };
+
+    if (error.details?.attempts) {
+      failure.attempts = error.details.attempts;
+    }
+
+    // Schema violations (with JSON-pointer paths) let the model fix its arguments
+    if (error.code === ToolError.codes.INVALID_PARAMS && error.details?.errors) {
+      failure.validationErrors = error.details.errors;
+    }
+
+    return failure;
+  }
+
+  /**
+   * Names of the registered tools a chat call may use (`options.allowedTools` narrows the list)
+   */
+  getAvailableToolNames(options = {}) {
+    const names = this.toolManager.getAllTools().map(tool => tool.name);
+    return options.allowedTools ? names.filter(name => options.allowedTools.includes(name)) : names;
+  }
+
+  /**
+   * Tool choice for a request - the `toolChoice` option, else the configured default
+   * Forcing a call again after its results would loop, so follow-up rounds fall back to 'auto'
+   */
+  resolveToolChoice(options, tools) {
+    const toolChoice = formatToolChoice(options.toolChoice ?? this.configManager.get('toolChoice'));
+
+    if (!tools || tools.length === 0 || !toolChoice) {
+      return null;
+    }
+
+    if (options._isToolFollowUp && toolChoice !== 'auto' && toolChoice !== 'none') {
+      return 'auto';
+    }
+
+    return toolChoice;
+  }
+
+  /**
+   * Build the context passed to a tool's `execute(params, context)`
+   * (the ToolManager adds `signal` and `attempt` for each attempt)
+   */
+  createToolContext(toolCall, chatId, taskId) {
+    const toolCallId = toolCall.id || null;
+
+    return {
+      agent: this,
+      chatId,
+      taskId,
+      toolCallId,
+      toolName: toolCall.name,
+      reportProgress: (progress, message = null) => {
+        this.thinkingTracker.setProgress(progress);
+        if (message) {
+          this.thinkingTracker.setStep(message);
+        }
+      },
+      log: (entry) => this.eventManager.logToolLog(toolCall.name, entry, { chatId, taskId, toolCallId }),
+      store: this.toolStateManager.scope(chatId)
+    };
+  }
+
+  /**
+   * Ask `onToolApproval` whether a tool call may run - without a handler the call is rejected
+   * Returns { action: 'approve' | 'reject' | 'edit', arguments, reason }
+   */
+  async requestToolApproval(toolCall, parameters, options, chatId) {
+    this.thinkingTracker.setAction(`Waiting for approval: ${toolCall.name}`);
+    this.eventManager.logToolApprovalRequested(toolCall.name, parameters, { chatId });
+
+    let decision;
+
+    if (!options.onToolApproval) {
+      decision = { action: 'reject', reason: 'No approval handler is configured' };
+    } else {
+      const { signal } = options;
+      let onAbort = null;
+
+      try {
+        const racers = [
+          Promise.resolve(options.onToolApproval({ id: toolCall.id, name: toolCall.name, arguments: parameters }))
+        ];
+
+        if (signal) {
+          racers.push(new Promise((_, reject) => {
+            onAbort = () => reject(this.errorManager.createCancellationError(
+              `Tool approval cancelled: ${toolCall.name}`,
+              CancellationError.codes.ABORTED,
+              { toolName: toolCall.name, reason: String(signal.reason ?? 'aborted') }
+            ));
+            if (signal.aborted) {
+              onAbort();
+            } else {
+              signal.addEventListener('abort', onAbort, { once: true });
+            }
+          }));
+        }
+
+        decision = this.normalizeApprovalDecision(await Promise.race(racers));
+      } catch (error) {
+        if (error instanceof CancellationError) {
+          throw error;
+        }
+
+        // A failing approval handler never lets the call through
+        this.eventManager.logError(error, 'tool', { chatId });
+        decision = { action: 'reject', reason: `Approval failed: ${error.message || error}` };
+      } finally {
+        if (onAbort) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      }
+    }
+
+    this.eventManager.logToolApprovalDecision(toolCall.name, parameters, decision, { chatId });
+    this.thinkingTracker.setAction(`Executing tool: ${toolCall.name}`);
+
+    return decision;
+  }
+
+  /**
+   * Normalize an `onToolApproval` response
+   * Accepts true/false, 'approve'/'reject' or { action, arguments, reason } - anything else rejects
+   */
+  normalizeApprovalDecision(response) {
+    if (response === true || response === 'approve') {
+      return { action: 'approve' };
+    }
+
+    if (response && typeof response === 'object') {
+      const { action, reason } = response;
+
+      if (action === 'approve') {
+        return { action: 'approve' };
+      }
+
+      if (action === 'edit') {
+        let args = response.arguments;
+        if (typeof args === 'string') {
+          try {
+            args = JSON.parse(args);
+          } catch {
+            return { action: 'reject', reason: 'Edited arguments are not valid JSON' };
+          }
+        }
+        if (args && typeof args === 'object' && !Array.isArray(args)) {
+          return { action: 'edit', arguments: args };
+        }
+        return { action: 'reject', reason: 'Edited arguments must be an object' };
+      }
+
+      if (action === 'reject') {
+        return { action: 'reject', reason: reason || null };
+      }
+    }
+
+    return {
+      action: 'reject',
+      reason: response === false || response === 'reject' ? null : 'Invalid approval decision'
+    };
+  }
+
+  /**
+   * Create the assistant message for a response
+   * The Responses API id is kept so a later request can continue from it (responseThreading);
+   * reasoning is stored apart from the content, with the signed blocks providers need back
+   */
+  createAssistantMessage(result) {
+    const message = {
+      role: 'assistant',
+      content: result.content
+    };
+
+    if (result.responseId) {
+      message.response_id = result.responseId;
+    }
+
+    const reasoning = this.createReasoning(result);
+    if (reasoning) {
+      message.reasoning = reasoning;
+    }
+
+    return message;
+  }
+
+  /**
+   * Collect a response's reasoning as { content, blocks, signature } (null if it has none)
+   * `blocks` are Anthropic thinking blocks, `signature` is Gemini's thought signature
+   */
+  createReasoning(result) {
+    const blocks = result.thinkingBlocks || [];
+    if (!result.thinkingContent && blocks.length === 0 && !result.thinkingSignature) {
+      return null;
+    }
+
+    const reasoning = { content: result.thinkingContent || '' };
+    if (blocks.length > 0) {
+      reasoning.blocks = blocks;
+    }
+    if (result.thinkingSignature) {
+      reasoning.signature = result.thinkingSignature;
+    }
+
+    return reasoning;
+  }
+
+  /**
+   * Append an assistant tool-call turn and the tool results to the conversation
+   * `response` is the parsed response that made the calls (content, response id and reasoning)
+   */
+  async appendToolRound(chatId, response, toolCalls, toolResults) {
+    const calls = toolCalls.map((tc, i) => ({ ...tc, id: tc.id || `call_${i}` }));
+
+    const assistantWithTools = {
+      ...this.createAssistantMessage(response),
+      content: response.content || null,
+      tool_calls: calls.map(tc => ({
+        id: tc.id,
+        type: 'function',
+        function: {
+          name: tc.name,
+          arguments: typeof tc.arguments === 'string' ? tc.arguments : JSON.stringify(tc.arguments)
+        }
+      }))
+    };
+
+    // Tool results are sent as the tool's output, or as { error, validationErrors } when it failed.
+    // Rejected calls become a refusal the model can explain, edited calls carry the arguments actually used
+    const results = toolResults.map(r => {
+      if (r.success !== false) {
+        return r.editedArguments ? { result: r.result, editedArguments: r.editedArguments } : r.result;
+      }
+      if (r.rejected) {
+        return { error: r.error, rejected: true, reason: r.reason };
+      }
+      return r.validationErrors ? { error: r.error, validationErrors: r.validationErrors } : { error: r.error };
+    });
+    const toolMessages = this.adapter.formatToolResults(calls, results);
+
+    for (const message of [assistantWithTools, ...toolMessages]) {
+      this.messages.push(message);
+      if (this.useHistory) {
+        await this.chatHistoryManager.addMessage(chatId, message);
+      }
+    }
+  }
+
   /**
    * Clear conversation history
    */
@@ -792,16 +1636,16 @@ export class Agentify {
   /**
    * Get agent status summary
    */
-  getStatus() {
+  async getStatus() {
     return {
       config: this.configManager.getAll(),
       messageCount: this.messages.length,
       toolCount: this.toolManager.getToolCount(),
       hasInstruction: this.instructionManager.hasInstruction(),
-      taskStats: this.taskManager.getStorageStats(),
+      taskStats: await this.taskManager.getStorageStats(),
       thinkingStatus: this.thinkingTracker.getStatus(),
       errorCount: this.errorManager.getErrorLog().length,
-      eventStats: this.eventManager.getStorageStats()
+      eventStats: await this.eventManager.getStorageStats()
     };
   }
 
@@ -810,71 +1654,71 @@ export class Agentify {
   /**
    * Get all events with optional filtering
    */
-  getEvents(filter) {
-    return this.eventManager.getEvents(filter);
+  async getEvents(filter) {
+    return await this.eventManager.getEvents(filter);
   }
 
   /**
    * Get events by chat ID
    */
-  getEventsByChatId(chatId) {
-    return this.eventManager.getEventsByChatId(chatId);
+  async getEventsByChatId(chatId) {
+    return await this.eventManager.getEventsByChatId(chatId);
   }
 
   /**
    * Get events by type
    */
-  getEventsByType(type) {
-    return this.eventManager.getEventsByType(type);
+  async getEventsByType(type) {
+    return await this.eventManager.getEventsByType(type);
   }
 
   /**
    * Get chat timeline
    */
-  getChatTimeline(chatId) {
-    return this.eventManager.getChatTimeline(chatId);
+  async getChatTimeline(chatId) {
+    return await this.eventManager.getChatTimeline(chatId);
   }
 
   /**
    * Export events
    */
-  exportEvents(format = 'json', filter = {}) {
-    return this.eventManager.exportEvents(format, filter);
+  async exportEvents(format = 'json', filter = {}) {
+    return await this.eventManager.exportEvents(format, filter);
   }
 
   /**
    * Clear all events
    */
-  clearEvents() {
-    return this.eventManager.clearEvents();
+  async clearEvents() {
+    return await this.eventManager.clearEvents();
   }
 
   /**
    * Delete events by chat ID
    */
-  deleteEventsByChatId(chatId) {
-    return this.eventManager.deleteEventsByChatId(chatId);
+  async deleteEventsByChatId(chatId) {
+    return await this.eventManager.deleteEventsByChatId(chatId);
   }
 
   /**
    * Delete old events
    */
-  deleteOldEvents(olderThan) {
-    return this.eventManager.deleteOldEvents(olderThan);
+  async deleteOldEvents(olderThan) {
+    return await this.eventManager.deleteOldEvents(olderThan);
   }
 
   /**
    * Get event statistics
    */
-  getEventStats() {
-    return this.eventManager.getStorageStats();
+  async getEventStats() {
+    return await this.eventManager.getStorageStats();
   }
 
   /**
    * Get all chat IDs
    */
-  getChatIds() {
-    return this.eventManager.getChatIds();
+  async getChatIds() {
+    return await this.eventManager.getChatIds();
   }
 
   /**
@@ -925,88 +1769,257 @@ export class Agentify {
     return this;
   }
 
+  /**
+   * Set the context token limit (number, 'auto' or null to trim by message count only)
+   */
+  setContextTokenLimit(limit) {
+    this.contextTokenLimit = limit;
+    return this;
+  }
+
+  /**
+   * Set the tokenizer used for context budgeting - a function (text) => token count
+   */
+  setTokenizer(tokenizer) {
+    this.tokenizer = tokenizer || estimateTokens;
+    return this;
+  }
+
+  /**
+   * Configure conversation summarization (enabled, triggerMessages, keepRecentMessages, maxSummaryTokens, instruction)
+   */
+  setSummarization(options = {}) {
+    this.summarization = { ...this.summarization, ...options };
+    return this;
+  }
+
+  /**
+   * Summarize after a chat turn - failures are logged and never break the chat
+   */
+  async autoSummarize(chatId, signal) {
+    try {
+      await this.summarizeChat(chatId, { signal });
+    } catch (error) {
+      this.eventManager.logError(error, 'summarization', { chatId });
+    }
+  }
+
+  /**
+   * Fold older messages into the chat's rolling summary using the configured model
+   * Runs once `triggerMessages` unsummarized messages exist (or always with `force`)
+   */
+  async summarizeChat(chatId, options = {}) {
+    const { triggerMessages, keepRecentMessages, maxSummaryTokens, instruction } = this.summarization;
+    const history = await this.chatHistoryManager.getChatHistory(chatId);
+    const pending = this.chatHistoryManager.getUnsummarizedMessages(history);
+
+    if (!options.force && pending.length < triggerMessages) {
+      return null;
+    }
+
+    // Keep recent messages verbatim, never cutting between a tool call and its results
+    // (with keepRecentMessages: 0 everything is summarized)
+    let cut = pending.length - Math.max(0, keepRecentMessages || 0);
+    while (cut > 0 && cut < pending.length && pending[cut].role === 'tool') {
+      cut--;
+    }
+
+    if (cut <= 0) {
+      return null;
+    }
+
+    const toSummarize = pending.slice(0, cut);
+    const previousSummary = history.metadata.summary;
+    const transcript = toSummarize.map(msg => this.formatTranscriptLine(msg)).join('\n');
+    const prompt = (previousSummary ? `Existing summary:\n${previousSummary.content}\n\n` : '') +
+      `New messages:\n${transcript}`;
+
+    // A plain completion - the configured reasoning, tool choice and candidate count do not apply
+    const config = {
+      ...this.configManager.getAll(),
+      stream: false,
+      maxTokens: maxSummaryTokens,
+      reasoning: null,
+      toolChoice: null,
+      candidateCount: null,
+      responseSchema: null
+    };
+    const requestBody = this.adapter.formatRequest(
+      formatMessages([{ role: 'user', content: prompt }], instruction),
+      null,
+      config
+    );
+    const response = await this.adapter.makeRequest(requestBody, false, { signal: options.signal });
+    const result = this.adapter.parseResponse(await response.json());
+    const usage = await this.trackUsage(result.usage, chatId, null);
+
+    const summary = await this.chatHistoryManager.setChatSummary(chatId, {
+      content: result.content.trim(),
+      summarizedUntil: toSummarize[toSummarize.length - 1].messageId,
+      summarizedCount: (previousSummary?.summarizedCount || 0) + toSummarize.length
+    });
+
+    this.eventManager.logConversationSummarized({
+      summarizedCount: toSummarize.length,
+      keptCount: pending.length - cut,
+      summaryLength: summary.content.length,
+      usage
+    }, { chatId });
+
+    return summary;
+  }
+
+  /**
+   * Build the user message for history - content parts are read and large ones moved to attachment storage
+   */
+  async createUserMessage(message) {
+    if (typeof message === 'string') {
+      return { role: 'user', content: message };
+    }
+
+    const userMessage = Array.isArray(message) ? { role: 'user', content: message } : { ...message };
+    const content = await normalizeContent(userMessage.content);
+    userMessage.content = await this.attachmentManager.storeContent(content);
+
+    return userMessage;
+  }
+
+  /**
+   * Render a message as one transcript line for summarization
+   */
+  formatTranscriptLine(msg) {
+    if (msg.tool_calls && msg.tool_calls.length > 0) {
+      const calls = msg.tool_calls.map(call => `${call.function.name}(${call.function.arguments})`).join(', ');
+      return `assistant: ${msg.content ? msg.content + ' ' : ''}[called ${calls}]`;
+    }
+
+    const content = getTextContent(msg.content);
+    return `${msg.role === 'tool' ? 'tool result' : msg.role}: ${truncateText(content, 2000)}`;
+  }
+
+  /**
+   * Tokens left for history after instruction, tool definitions and the response
+   */
+  getHistoryTokenBudget(instruction, tools) {
+    const limit = this.contextTokenLimit === 'auto'
+      ? getModelContextLimit(this.configManager.get('model'))
+      : this.contextTokenLimit;
+
+    if (!limit) {
+      return null;
+    }
+
+    const reserved = this.configManager.get('maxTokens') || 4096;
+    const budget = limit - reserved -
+      countTokens(instruction, this.tokenizer) -
+      countTokens(tools, this.tokenizer);
+
+    return Math.max(budget, 1);
+  }
+
   /**
    * Get chat history by ID
    */
-  getChatHistory(chatId) {
-    return this.chatHistoryManager.getChatHistory(chatId);
+  async getChatHistory(chatId) {
+    return await this.chatHistoryManager.getChatHistory(chatId);
   }
 
   /**
    * Get messages from a chat
    */
-  getChatMessages(chatId, options) {
-    return this.chatHistoryManager.getMessages(chatId, options);
+  async getChatMessages(chatId, options) {
+    return await this.chatHistoryManager.getMessages(chatId, options);
   }
 
   /**
    * Get last N messages from a chat
    */
-  getLastChatMessages(chatId, count = 10) {
-    return this.chatHistoryManager.getLastMessages(chatId, count);
+  async getLastChatMessages(chatId, count = 10) {
+    return await this.chatHistoryManager.getLastMessages(chatId, count);
+  }
+
+  /**
+   * Clear chat history (and its attachments)
+   */
+  async clearChatHistory(chatId) {
+    return await this.chatHistoryManager.clearChatHistory(chatId);
+  }
+
+  /**
+   * Clear all chat histories (and their attachments)
+   */
+  async clearAllChatHistories() {
+    return await this.chatHistoryManager.clearAllHistories();
+  }
+
+  /**
+   * Get the state tools have stored for a chat
+   */
+  async getToolState(chatId) {
+    return await this.toolStateManager.getState(chatId);
   }
 
   /**
-   * Clear chat history
+   * Clear the state tools have stored for a chat
    */
-  clearChatHistory(chatId) {
-    return this.chatHistoryManager.clearChatHistory(chatId);
+  async clearToolState(chatId) {
+    return await this.toolStateManager.clearChatState(chatId);
   }
 
   /**
-   * Clear all chat histories
+   * Clear the tool state of all chats
    */
-  clearAllChatHistories() {
-    return this.chatHistoryManager.clearAllHistories();
+  async clearAllToolState() {
+    return await this.toolStateManager.clearAllStates();
   }
 
   /**
    * Get all chat IDs from history
    */
-  getAllHistoryChatIds() {
-    return this.chatHistoryManager.getAllChatIds();
+  async getAllHistoryChatIds() {
+    return await this.chatHistoryManager.getAllChatIds();
   }
 
   /**
    * Check if chat exists in history
    */
-  chatHistoryExists(chatId) {
-    return this.chatHistoryManager.chatExists(chatId);
+  async chatHistoryExists(chatId) {
+    return await this.chatHistoryManager.chatExists(chatId);
   }
 
   /**
    * Get message count for a chat
    */
-  getChatMessageCount(chatId) {
-    return this.chatHistoryManager.getMessageCount(chatId);
+  async getChatMessageCount(chatId) {
+    return await this.chatHistoryManager.getMessageCount(chatId);
   }
 
   /**
    * Search messages in a chat
    */
-  searchChatMessages(chatId, query, options) {
-    return this.chatHistoryManager.searchMessages(chatId, query, options);
+  async searchChatMessages(chatId, query, options) {
+    return await this.chatHistoryManager.searchMessages(chatId, query, options);
   }
 
   /**
    * Export chat history
    */
-  exportChatHistory(chatId, format = 'json') {
-    return this.chatHistoryManager.exportChatHistory(chatId, format);
+  async exportChatHistory(chatId, format = 'json') {
+    return await this.chatHistoryManager.exportChatHistory(chatId, format);
   }
 
   /**
    * Import chat history
    */
-  importChatHistory(chatId, data, format = 'json') {
-    return this.chatHistoryManager.importChatHistory(chatId, data, format);
+  async importChatHistory(chatId, data, format = 'json') {
+    return await this.chatHistoryManager.importChatHistory(chatId, data, format);
   }
 
   /**
    * Get chat history statistics
    */
-  getChatHistoryStats() {
-    return this.chatHistoryManager.getStorageStats();
+  async getChatHistoryStats() {
+    return await this.chatHistoryManager.getStorageStats();
   }
 
   /**
@@ -1017,7 +2030,7 @@ export class Agentify {
     this.setChatId(chatId);
     
     // Load existing history into current session
-    const history = this.getChatHistory(chatId);
+    const history = await this.getChatHistory(chatId);
     this.messages = history.messages.map(msg => ({
       role: msg.role,
       content: msg.content
@@ -1044,27 +2057,29 @@ export class Agentify {
   /**
    * Merge multiple chats
    */
-  mergeChats(targetChatId, sourceChatIds) {
-    return this.chatHistoryManager.mergeChats(targetChatId, sourceChatIds);
+  async mergeChats(targetChatId, sourceChatIds) {
+    return await this.chatHistoryManager.mergeChats(targetChatId, sourceChatIds);
   }
 
   /**
    * Get context window for a chat
    */
-  getContextWindow(chatId, maxMessages = null) {
-    return this.chatHistoryManager.getContextWindow(chatId, maxMessages || this.maxHistoryMessages);
+  async getContextWindow(chatId, maxMessages = null) {
+    return await this.chatHistoryManager.getContextWindow(chatId, maxMessages || this.maxHistoryMessages);
   }
 
   // ==================== Storage & Configuration Management ====================
 
   /**
-   * Clear all storage (tasks, events, chat histories)
+   * Clear all storage (tasks, events, chat histories, usage, tool state)
    * WARNING: This will delete all data!
    */
-  clearAllStorage() {
-    this.clearTasks();
-    this.clearEvents();
-    this.clearAllChatHistories();
+  async clearAllStorage() {
+    await this.clearTasks();
+    await this.clearEvents();
+    await this.clearUsage();
+    await this.clearAllToolState();
+    await this.clearAllChatHistories();
     this.clearHistory();
     this.clearErrorLog();
     return this;
@@ -1094,10 +2109,17 @@ export class Agentify {
   /**
    * Get storage usage information
    */
-  getStorageInfo() {
-    const taskStats = this.getTaskStats();
-    const eventStats = this.getEventStats();
-    const chatStats = this.getChatHistoryStats();
+  async getStorageInfo() {
+    const [taskStats, eventStats, chatStats, usageStats, toolStateStats, attachmentStats] = await Promise.all([
+      this.getTaskStats(),
+      this.getEventStats(),
+      this.getChatHistoryStats(),
+      this.usageTracker.getStorageStats(),
+      this.toolStateManager.getStorageStats(),
+      this.attachmentManager.getStorageStats()
+    ]);
+    const totalSize = taskStats.storageUsed + eventStats.storageUsed + chatStats.storageUsed +
+      usageStats.storageUsed + toolStateStats.storageUsed + attachmentStats.storageUsed;
 
     return {
       tasks: {
@@ -1116,9 +2138,24 @@ export class Agentify {
         sizeBytes: chatStats.storageUsed,
         sizeFormatted: chatStats.storageUsedFormatted
       },
+      usage: {
+        count: usageStats.totalRecords,
+        sizeBytes: usageStats.storageUsed,
+        sizeFormatted: usageStats.storageUsedFormatted
+      },
+      toolState: {
+        chats: toolStateStats.totalChats,
+        sizeBytes: toolStateStats.storageUsed,
+        sizeFormatted: toolStateStats.storageUsedFormatted
+      },
+      attachments: {
+        count: attachmentStats.totalAttachments,
+        sizeBytes: attachmentStats.storageUsed,
+        sizeFormatted: attachmentStats.storageUsedFormatted
+      },
       total: {
-        sizeBytes: taskStats.storageUsed + eventStats.storageUsed + chatStats.storageUsed,
-        sizeFormatted: this.formatBytes(taskStats.storageUsed + eventStats.storageUsed + chatStats.storageUsed)
+        sizeBytes: totalSize,
+        sizeFormatted: this.formatBytes(totalSize)
       }
     };
   }
@@ -1,11 +1,14 @@
 import { validateConfig } from '../utils/validators.js';
 import { SystemError } from '../errors/ErrorTypes.js';
+import { providerRegistry } from '../providers/ProviderRegistry.js';
 
 /**
  * Manages configuration for the Agentify instance
  */
 export class ConfigManager {
-  constructor(initialConfig = {}) {
+  constructor(initialConfig = {}, errorManager = null) {
+    // Handed to the adapter built by the deprecated getHeaders()
+    this.errorManager = errorManager;
     this.config = {
       model: null,
       apiUrl: null,
@@ -16,7 +19,15 @@ export class ConfigManager {
       stream: true,
       timeout: 60000, // 60 seconds
       retryAttempts: 3,
-      retryDelay: 1000
+      retryDelay: 1000,
+      maxRetryDelay: 30000,
+      toolConcurrency: 5,
+      toolChoice: 'auto',
+      apiVersion: null, // Azure OpenAI api-version (adapter default if null)
+      deployment: null, // Azure OpenAI deployment name (defaults to the model)
+      responseThreading: false, // Responses API: continue from the previous response id
+      candidateCount: null, // Alternative responses to generate (Gemini)
+      reasoning: null // Extended thinking: true or { enabled, budgetTokens, effort }
     };
 
     if (Object.keys(initialConfig).length > 0) {
@@ -81,22 +92,10 @@ export class ConfigManager {
   }
 
   /**
-   * Detect provider from API URL
+   * Detect provider from API URL (asks the provider registry)
    */
   detectProvider(url) {
-    const urlLower = url.toLowerCase();
-    
-    if (urlLower.includes('openai.com')) {
-      return 'openai';
-    } else if (urlLower.includes('anthropic.com')) {
-      return 'anthropic';
-    } else if (urlLower.includes('googleapis.com') || urlLower.includes('generativelanguage')) {
-      return 'gemini';
-    } else if (urlLower.includes('deepseek.com')) {
-      return 'deepseek';
-    }
-    
-    return 'custom';
+    return providerRegistry.detect(url) || 'custom';
   }
 
   /**
@@ -109,7 +108,8 @@ export class ConfigManager {
       errors.push('API URL is required');
     }
 
-    if (!this.config.apiKey) {
+    // Local servers such as Ollama need no key
+    if (!this.config.apiKey && providerRegistry.get(this.config.provider)?.requiresApiKey !== false) {
       errors.push('API key is required');
     }
 
@@ -129,84 +129,29 @@ export class ConfigManager {
   }
 
   /**
-   * Get provider-specific configuration
+   * Get headers for API requests
+   * @deprecated Headers come from the provider's adapter (`agent.adapter.getHeaders()`)
+   */
+  getHeaders() {
+    return providerRegistry.createAdapter(this.config.provider, this, this.errorManager).getHeaders();
+  }
+
+  /**
+   * Get the request settings shared by all providers
+   * (provider-specific formatting lives in the provider's adapter)
    */
   getProviderConfig() {
-    const provider = this.config.provider;
-    
-    const baseConfig = {
+    const providerConfig = {
       model: this.config.model,
       temperature: this.config.temperature,
       stream: this.config.stream
     };
 
     if (this.config.maxTokens) {
-      baseConfig.max_tokens = this.config.maxTokens;
-    }
-
-    switch (provider) {
-      case 'openai':
-        return {
-          ...baseConfig,
-          // OpenAI specific config
-        };
-      
-      case 'anthropic':
-        return {
-          ...baseConfig,
-          // Anthropic specific config
-        };
-      
-      case 'gemini':
-        return {
-          ...baseConfig,
-          // Gemini specific config
-        };
-      
-      case 'deepseek':
-        return {
-          ...baseConfig,
-          // DeepSeek specific config
-        };
-      
-      default:
-        return baseConfig;
-    }
-  }
-
-  /**
-   * Get headers for API requests
-   */
-  getHeaders() {
-    const headers = {
-      'Content-Type': 'application/json'
-    };
-
-    const provider = this.config.provider;
-
-    switch (provider) {
-      case 'openai':
-        headers['Authorization'] = `Bearer ${this.config.apiKey}`;
-        break;
-      
-      case 'anthropic':
-        headers['x-api-key'] = this.config.apiKey;
-        headers['anthropic-version'] = '2023-06-01';
-        break;
-      
-      case 'gemini':
-        // Gemini uses API key in URL
-        break;
-      
-      case 'deepseek':
-        headers['Authorization'] = `Bearer ${this.config.apiKey}`;
-        break;
-      
-      default:
-        headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+      providerConfig.max_tokens = this.config.maxTokens;
     }
 
-    return headers;
+    return providerConfig;
   }
 
   /**
@@ -223,7 +168,15 @@ export class ConfigManager {
       stream: true,
       timeout: 60000,
       retryAttempts: 3,
-      retryDelay: 1000
+      retryDelay: 1000,
+      maxRetryDelay: 30000,
+      toolConcurrency: 5,
+      toolChoice: 'auto',
+      apiVersion: null, // Azure OpenAI api-version (adapter default if null)
+      deployment: null, // Azure OpenAI deployment name (defaults to the model)
+      responseThreading: false, // Responses API: continue from the previous response id
+      candidateCount: null, // Alternative responses to generate (Gemini)
+      reasoning: null // Extended thinking: true or { enabled, budgetTokens, effort }
     };
 
     return this.config;
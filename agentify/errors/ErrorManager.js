@@ -5,7 +5,8 @@ import {
   ModelError,
   ToolError,
   StreamError,
-  StorageError
+  StorageError,
+  CancellationError
 } from './ErrorTypes.js';
 
 /**
@@ -100,6 +101,14 @@ export class ErrorManager {
     return error;
   }
 
+  /**
+   * Create a cancellation error
+   * Not logged - a cancellation is a normal way for a request to end, not a failure
+   */
+  createCancellationError(message, code = CancellationError.codes.ABORTED, details = {}) {
+    return new CancellationError(message, code, details);
+  }
+
   /**
    * Handle fetch response errors
    */
@@ -148,6 +157,7 @@ export class ErrorManager {
       case 504:
         code = NetworkError.codes.SERVER_ERROR;
         message = 'API server error';
+        errorDetails.retryAfter = response.headers.get('Retry-After');
         break;
       default:
         code = NetworkError.codes.INVALID_RESPONSE;
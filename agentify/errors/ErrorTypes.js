@@ -161,7 +161,8 @@ export class ModelError extends AgentifyError {
     INCOMPLETE_RESPONSE: 'MDL_INCOMPLETE_RESPONSE',
     CONTEXT_LENGTH_EXCEEDED: 'MDL_CONTEXT_LENGTH_EXCEEDED',
     CONTENT_FILTERED: 'MDL_CONTENT_FILTERED',
-    INVALID_FUNCTION_CALL: 'MDL_INVALID_FUNCTION_CALL'
+    INVALID_FUNCTION_CALL: 'MDL_INVALID_FUNCTION_CALL',
+    SCHEMA_VALIDATION_FAILED: 'MDL_SCHEMA_VALIDATION_FAILED'
   };
 }
 
@@ -203,7 +204,7 @@ export class StreamError extends AgentifyError {
 }
 
 /**
- * Storage errors - localStorage access issues
+ * Storage errors - storage backend access issues
  */
 export class StorageError extends AgentifyError {
   constructor(message, code, details = {}) {
@@ -220,3 +221,17 @@ export class StorageError extends AgentifyError {
     READ_FAILED: 'STG_READ_FAILED'
   };
 }
+
+/**
+ * Cancellation errors - Requests aborted by the caller or via agent.abort()
+ */
+export class CancellationError extends AgentifyError {
+  constructor(message, code, details = {}) {
+    super(message, code, details);
+    this.name = 'CancellationError';
+  }
+
+  static codes = {
+    ABORTED: 'CNL_ABORTED'
+  };
+}
@@ -1,5 +1,7 @@
 import { StorageError } from '../errors/ErrorTypes.js';
 import { formatBytes } from '../utils/formatters.js';
+import { createDefaultStorage } from '../storage/adapters/index.js';
+import { QueuedStorage } from '../storage/QueuedStorage.js';
 
 /**
  * Event types for logging
@@ -15,6 +17,12 @@ export const EventTypes = {
   TOOL_CALL_INITIATED: 'tool_call_initiated',
   TOOL_CALL_COMPLETED: 'tool_call_completed',
   TOOL_CALL_FAILED: 'tool_call_failed',
+  TOOL_CALL_RETRY: 'tool_call_retry',
+  TOOL_CALL_PROGRESS: 'tool_call_progress',
+  TOOL_LOG: 'tool_log',
+  TOOL_APPROVAL_REQUESTED: 'tool_approval_requested',
+  TOOL_CALL_APPROVED: 'tool_call_approved',
+  TOOL_CALL_REJECTED: 'tool_call_rejected',
   
   // Thinking events
   THINKING_STARTED: 'thinking_started',
@@ -25,6 +33,12 @@ export const EventTypes = {
   API_REQUEST_SENT: 'api_request_sent',
   API_RESPONSE_RECEIVED: 'api_response_received',
   API_REQUEST_FAILED: 'api_request_failed',
+  API_REQUEST_RETRY: 'api_request_retry',
+  REQUEST_CANCELLED: 'request_cancelled',
+  
+  // Context events
+  CONTEXT_TRIMMED: 'context_trimmed',
+  CONVERSATION_SUMMARIZED: 'conversation_summarized',
   
   // System events
   AGENT_INITIALIZED: 'agent_initialized',
@@ -39,34 +53,15 @@ export const EventTypes = {
 };
 
 /**
- * Manages event logging to browser storage
+ * Manages event logging through a pluggable storage adapter
  */
-export class EventManager {
-  constructor(storageKey = 'agentify_events', errorManager) {
-    this.storageKey = storageKey;
-    this.errorManager = errorManager;
+export class EventManager extends QueuedStorage {
+  constructor(storageKey = 'agentify_events', errorManager, storage = createDefaultStorage()) {
+    super(storageKey, errorManager, storage);
+
     this.maxEvents = 5000;
     this.compressionThreshold = 3000;
     this.currentChatId = null;
-    
-    this.ensureStorageAvailable();
-  }
-
-  /**
-   * Ensure localStorage is available
-   */
-  ensureStorageAvailable() {
-    try {
-      const test = '__agentify_test__';
-      localStorage.setItem(test, test);
-      localStorage.removeItem(test);
-    } catch (error) {
-      throw this.errorManager.createStorageError(
-        'localStorage is not available',
-        StorageError.codes.NOT_AVAILABLE,
-        { originalError: error.message }
-      );
-    }
   }
 
   /**
@@ -101,38 +96,41 @@ export class EventManager {
 
   /**
    * Log an event
+   * The event is built immediately (so it captures the current chat ID) and persisted in order
    */
-  logEvent(eventType, data = {}, chatId = null) {
-    try {
-      const eventId = this.generateEventId();
-      const timestamp = new Date();
-      
-      const event = {
-        id: eventId,
-        type: eventType,
-        chatId: chatId || this.currentChatId,
-        timestamp: timestamp.toISOString(),
-        date: timestamp.toLocaleDateString('fa-IR'),
-        time: timestamp.toLocaleTimeString('fa-IR'),
-        unixTimestamp: timestamp.getTime(),
-        data: this.sanitizeData(data)
-      };
-
-      const events = this.getEvents();
-      events.push(event);
-
-      // Trim if exceeds max
-      if (events.length > this.maxEvents) {
-        events.splice(0, events.length - this.maxEvents);
-      }
+  async logEvent(eventType, data = {}, chatId = null) {
+    const eventId = this.generateEventId();
+    const timestamp = new Date();
+    
+    const event = {
+      id: eventId,
+      type: eventType,
+      chatId: chatId || this.currentChatId,
+      timestamp: timestamp.toISOString(),
+      date: timestamp.toLocaleDateString('fa-IR'),
+      time: timestamp.toLocaleTimeString('fa-IR'),
+      unixTimestamp: timestamp.getTime(),
+      data: this.sanitizeData(data)
+    };
 
-      this.saveEvents(events);
-      
-      return event;
-    } catch (error) {
-      console.error('Failed to log event:', error);
-      return null;
-    }
+    return this.enqueue(async () => {
+      try {
+        const events = await this.loadEvents();
+        events.push(event);
+
+        // Trim if exceeds max
+        if (events.length > this.maxEvents) {
+          events.splice(0, events.length - this.maxEvents);
+        }
+
+        await this.saveEvents(events);
+        
+        return event;
+      } catch (error) {
+        console.error('Failed to log event:', error);
+        return null;
+      }
+    });
   }
 
   /**
@@ -227,14 +225,17 @@ export class EventManager {
    * Log tool call completed
    */
   logToolCallCompleted(toolName, parameters, result, duration = null, metadata = {}) {
+    const { attempts = 1, ...rest } = metadata;
+
     return this.logEvent(EventTypes.TOOL_CALL_COMPLETED, {
       toolName,
       parameters,
       result,
       resultJson: JSON.stringify(result),
       duration,
+      attempts,
       endTime: new Date().toISOString(),
-      metadata
+      metadata: rest
     });
   }
 
@@ -252,6 +253,77 @@ export class EventManager {
     });
   }
 
+  /**
+   * Log tool call retry scheduled
+   */
+  logToolCallRetry(toolName, attempt, delay, error, metadata = {}) {
+    return this.logEvent(EventTypes.TOOL_CALL_RETRY, {
+      toolName,
+      attempt,
+      delay,
+      reason: error.message || error,
+      errorCode: error.code,
+      timestamp: new Date().toISOString(),
+      metadata
+    });
+  }
+
+  /**
+   * Log a partial result streamed by a tool
+   */
+  logToolCallProgress(toolName, chunk, index, metadata = {}) {
+    return this.logEvent(EventTypes.TOOL_CALL_PROGRESS, {
+      toolName,
+      chunk,
+      index,
+      timestamp: new Date().toISOString(),
+      metadata
+    });
+  }
+
+  /**
+   * Log an entry written by a tool through `context.log()`
+   */
+  logToolLog(toolName, entry, metadata = {}) {
+    return this.logEvent(EventTypes.TOOL_LOG, {
+      toolName,
+      entry: typeof entry === 'string' ? { message: entry } : entry,
+      timestamp: new Date().toISOString(),
+      metadata
+    });
+  }
+
+  /**
+   * Log tool call waiting for user approval
+   */
+  logToolApprovalRequested(toolName, parameters, metadata = {}) {
+    return this.logEvent(EventTypes.TOOL_APPROVAL_REQUESTED, {
+      toolName,
+      parameters,
+      timestamp: new Date().toISOString(),
+      metadata
+    });
+  }
+
+  /**
+   * Log the approval decision for a tool call (approved, edited or rejected)
+   */
+  logToolApprovalDecision(toolName, parameters, decision, metadata = {}) {
+    const type = decision.action === 'reject'
+      ? EventTypes.TOOL_CALL_REJECTED
+      : EventTypes.TOOL_CALL_APPROVED;
+
+    return this.logEvent(type, {
+      toolName,
+      parameters,
+      action: decision.action,
+      editedParameters: decision.action === 'edit' ? decision.arguments : undefined,
+      reason: decision.reason || null,
+      timestamp: new Date().toISOString(),
+      metadata
+    });
+  }
+
   /**
    * Log API request sent
    */
@@ -295,6 +367,54 @@ export class EventManager {
     });
   }
 
+  /**
+   * Log API request retry scheduled
+   */
+  logApiRequestRetry(endpoint, attempt, delay, error, metadata = {}) {
+    return this.logEvent(EventTypes.API_REQUEST_RETRY, {
+      endpoint,
+      attempt,
+      delay,
+      reason: error.message || error,
+      errorCode: error.code,
+      timestamp: new Date().toISOString(),
+      metadata
+    });
+  }
+
+  /**
+   * Log request cancelled
+   */
+  logRequestCancelled(reason, metadata = {}) {
+    return this.logEvent(EventTypes.REQUEST_CANCELLED, {
+      reason,
+      timestamp: new Date().toISOString(),
+      metadata
+    });
+  }
+
+  /**
+   * Log history trimmed to fit the context window
+   */
+  logContextTrimmed(report, metadata = {}) {
+    return this.logEvent(EventTypes.CONTEXT_TRIMMED, {
+      ...report,
+      timestamp: new Date().toISOString(),
+      metadata
+    });
+  }
+
+  /**
+   * Log older messages folded into the chat summary
+   */
+  logConversationSummarized(report, metadata = {}) {
+    return this.logEvent(EventTypes.CONVERSATION_SUMMARIZED, {
+      ...report,
+      timestamp: new Date().toISOString(),
+      metadata
+    });
+  }
+
   /**
    * Log thinking status
    */
@@ -325,105 +445,106 @@ export class EventManager {
   /**
    * Get all events
    */
-  getEvents(filter = {}) {
+  async getEvents(filter = {}) {
+    let events;
     try {
-      const eventsJson = localStorage.getItem(this.storageKey);
-      
-      if (!eventsJson) {
-        return [];
-      }
-
-      let events = JSON.parse(eventsJson);
-
-      // Apply filters
-      if (filter.type) {
-        if (Array.isArray(filter.type)) {
-          events = events.filter(e => filter.type.includes(e.type));
-        } else {
-          events = events.filter(e => e.type === filter.type);
-        }
-      }
+      events = await this.enqueue(() => this.loadEvents());
+    } catch (error) {
+      throw this.errorManager.createStorageError(
+        'Failed to read events',
+        StorageError.codes.READ_FAILED,
+        { filter, originalError: error.message }
+      );
+    }
 
-      if (filter.chatId) {
-        events = events.filter(e => e.chatId === filter.chatId);
+    // Apply filters
+    if (filter.type) {
+      if (Array.isArray(filter.type)) {
+        events = events.filter(e => filter.type.includes(e.type));
+      } else {
+        events = events.filter(e => e.type === filter.type);
       }
+    }
 
-      if (filter.since) {
-        const sinceDate = new Date(filter.since);
-        events = events.filter(e => new Date(e.timestamp) >= sinceDate);
-      }
+    if (filter.chatId) {
+      events = events.filter(e => e.chatId === filter.chatId);
+    }
 
-      if (filter.until) {
-        const untilDate = new Date(filter.until);
-        events = events.filter(e => new Date(e.timestamp) <= untilDate);
-      }
+    if (filter.since) {
+      const sinceDate = new Date(filter.since);
+      events = events.filter(e => new Date(e.timestamp) >= sinceDate);
+    }
 
-      if (filter.search) {
-        const searchLower = filter.search.toLowerCase();
-        events = events.filter(e => {
-          const dataStr = JSON.stringify(e.data).toLowerCase();
-          return dataStr.includes(searchLower) || e.type.includes(searchLower);
-        });
-      }
+    if (filter.until) {
+      const untilDate = new Date(filter.until);
+      events = events.filter(e => new Date(e.timestamp) <= untilDate);
+    }
 
-      if (filter.limit) {
-        events = events.slice(-filter.limit);
-      }
+    if (filter.search) {
+      const searchLower = filter.search.toLowerCase();
+      events = events.filter(e => {
+        const dataStr = JSON.stringify(e.data).toLowerCase();
+        return dataStr.includes(searchLower) || e.type.includes(searchLower);
+      });
+    }
 
-      return events;
-    } catch (error) {
-      throw this.errorManager.createStorageError(
-        'Failed to read events',
-        StorageError.codes.READ_FAILED,
-        { filter, originalError: error.message }
-      );
+    if (filter.limit) {
+      events = events.slice(-filter.limit);
     }
+
+    return events;
+  }
+
+  /**
+   * Load all events from storage (unfiltered, outside the queue)
+   */
+  async loadEvents() {
+    const events = await this.storage.get(this.storageKey);
+    return Array.isArray(events) ? events : [];
   }
 
   /**
    * Get single event by ID
    */
-  getEvent(eventId) {
-    const events = this.getEvents();
+  async getEvent(eventId) {
+    const events = await this.getEvents();
     return events.find(e => e.id === eventId);
   }
 
   /**
    * Get events by chat ID
    */
-  getEventsByChatId(chatId) {
-    return this.getEvents({ chatId });
+  async getEventsByChatId(chatId) {
+    return await this.getEvents({ chatId });
   }
 
   /**
    * Get events by type
    */
-  getEventsByType(type) {
-    return this.getEvents({ type });
+  async getEventsByType(type) {
+    return await this.getEvents({ type });
   }
 
   /**
-   * Save events to localStorage
+   * Save events to storage
    */
-  saveEvents(events) {
+  async saveEvents(events) {
     try {
-      const eventsJson = JSON.stringify(events);
-      localStorage.setItem(this.storageKey, eventsJson);
+      await this.storage.set(this.storageKey, events);
     } catch (error) {
       if (error.name === 'QuotaExceededError') {
         // Try to compress old events
         this.compressOldEvents(events);
         
         try {
-          const eventsJson = JSON.stringify(events);
-          localStorage.setItem(this.storageKey, eventsJson);
+          await this.storage.set(this.storageKey, events);
         } catch {
           throw this.errorManager.createStorageError(
             'Storage quota exceeded even after compression',
             StorageError.codes.QUOTA_EXCEEDED,
             {
               eventCount: events.length,
-              storageUsed: this.getStorageUsage()
+              storageUsed: await this.getStorageUsage()
             }
           );
         }
@@ -484,8 +605,8 @@ export class EventManager {
   /**
    * Export events in specified format
    */
-  exportEvents(format = 'json', filter = {}) {
-    const events = this.getEvents(filter);
+  async exportEvents(format = 'json', filter = {}) {
+    const events = await this.getEvents(filter);
 
     switch (format.toLowerCase()) {
       case 'json':
@@ -574,47 +695,54 @@ ${'='.repeat(80)}
   /**
    * Clear all events
    */
-  clearEvents() {
-    try {
-      localStorage.removeItem(this.storageKey);
-      return true;
-    } catch (error) {
-      throw this.errorManager.createStorageError(
-        'Failed to clear events',
-        StorageError.codes.WRITE_FAILED,
-        { originalError: error.message }
-      );
-    }
+  async clearEvents() {
+    return this.enqueue(async () => {
+      try {
+        await this.storage.delete(this.storageKey);
+        return true;
+      } catch (error) {
+        throw this.errorManager.createStorageError(
+          'Failed to clear events',
+          StorageError.codes.WRITE_FAILED,
+          { originalError: error.message }
+        );
+      }
+    });
   }
 
   /**
    * Delete events by chat ID
    */
-  deleteEventsByChatId(chatId) {
-    const events = this.getEvents();
-    const filteredEvents = events.filter(e => e.chatId !== chatId);
-    
-    this.saveEvents(filteredEvents);
-    return events.length - filteredEvents.length;
+  async deleteEventsByChatId(chatId) {
+    return this.enqueue(async () => {
+      const events = await this.loadEvents();
+      const filteredEvents = events.filter(e => e.chatId !== chatId);
+      
+      await this.saveEvents(filteredEvents);
+      return events.length - filteredEvents.length;
+    });
   }
 
   /**
    * Delete old events
    */
-  deleteOldEvents(olderThan) {
+  async deleteOldEvents(olderThan) {
     const cutoffDate = new Date(olderThan);
-    const events = this.getEvents();
-    const filteredEvents = events.filter(e => new Date(e.timestamp) >= cutoffDate);
-    
-    this.saveEvents(filteredEvents);
-    return events.length - filteredEvents.length;
+
+    return this.enqueue(async () => {
+      const events = await this.loadEvents();
+      const filteredEvents = events.filter(e => new Date(e.timestamp) >= cutoffDate);
+      
+      await this.saveEvents(filteredEvents);
+      return events.length - filteredEvents.length;
+    });
   }
 
   /**
    * Get storage statistics
    */
-  getStorageStats() {
-    const events = this.getEvents();
+  async getStorageStats() {
+    const events = await this.getEvents();
     const eventsJson = JSON.stringify(events);
     
     const typeCounts = events.reduce((acc, event) => {
@@ -639,8 +767,9 @@ ${'='.repeat(80)}
   /**
    * Get storage usage
    */
-  getStorageUsage() {
-    const eventsJson = localStorage.getItem(this.storageKey) || '';
+  async getStorageUsage() {
+    const events = await this.storage.get(this.storageKey);
+    const eventsJson = events ? JSON.stringify(events) : '';
     return {
       bytes: eventsJson.length,
       formatted: formatBytes(eventsJson.length)
@@ -650,15 +779,16 @@ ${'='.repeat(80)}
   /**
    * Get event count
    */
-  getEventCount() {
-    return this.getEvents().length;
+  async getEventCount() {
+    const events = await this.getEvents();
+    return events.length;
   }
 
   /**
    * Get chat IDs
    */
-  getChatIds() {
-    const events = this.getEvents();
+  async getChatIds() {
+    const events = await this.getEvents();
     const chatIds = [...new Set(events.map(e => e.chatId).filter(Boolean))];
     return chatIds;
   }
@@ -666,8 +796,8 @@ ${'='.repeat(80)}
   /**
    * Get event timeline for a chat
    */
-  getChatTimeline(chatId) {
-    const events = this.getEventsByChatId(chatId);
+  async getChatTimeline(chatId) {
+    const events = await this.getEventsByChatId(chatId);
     
     return events.map(event => ({
       id: event.id,
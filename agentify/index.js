@@ -1,7 +1,7 @@
 /**
  * Agentify.js - Modular AI Agent Library
  * 
- * A browser-based AI agent library with streaming support,
+ * An AI agent library for browsers and server runtimes with streaming support,
  * flexible tool management, and comprehensive error handling.
  */
 
@@ -16,19 +16,35 @@ export {
   ModelError,
   ToolError,
   StreamError,
-  StorageError
+  StorageError,
+  CancellationError
 } from './errors/ErrorTypes.js';
 
 // Managers (for advanced usage)
 export { ConfigManager } from './core/ConfigManager.js';
 export { ErrorManager } from './errors/ErrorManager.js';
 export { ToolManager } from './tools/ToolManager.js';
+export { ToolScheduler } from './tools/ToolScheduler.js';
 export { InstructionManager } from './instructions/InstructionManager.js';
 export { TaskManager } from './storage/TaskManager.js';
 export { ChatHistoryManager } from './storage/ChatHistoryManager.js';
+export { ToolStateManager } from './storage/ToolStateManager.js';
+export { AttachmentManager } from './storage/AttachmentManager.js';
 export { StreamHandler } from './streaming/StreamHandler.js';
 export { ThinkingTracker } from './thinking/ThinkingTracker.js';
 export { EventManager, EventTypes } from './events/EventManager.js';
+export { UsageTracker } from './usage/UsageTracker.js';
+
+// MCP (Model Context Protocol) client
+export { MCPToolSource } from './mcp/MCPToolSource.js';
+export { MCPClient, MCP_PROTOCOL_VERSION } from './mcp/MCPClient.js';
+export {
+  MCPTransport,
+  StdioTransport,
+  SSETransport,
+  StreamableHTTPTransport,
+  createTransport
+} from './mcp/transports/index.js';
 
 // Adapters (for advanced usage)
 export { BaseAdapter } from './providers/BaseAdapter.js';
@@ -36,6 +52,20 @@ export { OpenAIAdapter } from './providers/OpenAIAdapter.js';
 export { AnthropicAdapter } from './providers/AnthropicAdapter.js';
 export { GeminiAdapter } from './providers/GeminiAdapter.js';
 export { CustomAdapter } from './providers/CustomAdapter.js';
+export { OllamaAdapter } from './providers/OllamaAdapter.js';
+export { AzureOpenAIAdapter, AZURE_API_VERSION } from './providers/AzureOpenAIAdapter.js';
+export { OpenAIResponsesAdapter } from './providers/OpenAIResponsesAdapter.js';
+export { ProviderRegistry, providerRegistry } from './providers/ProviderRegistry.js';
+
+// Storage adapters (pluggable persistence backends)
+export {
+  StorageAdapter,
+  LocalStorageAdapter,
+  MemoryStorageAdapter,
+  IndexedDBStorageAdapter,
+  FileSystemStorageAdapter,
+  createDefaultStorage
+} from './storage/adapters/index.js';
 
 // Utilities
 export * as validators from './utils/validators.js';
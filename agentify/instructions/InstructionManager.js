@@ -1,4 +1,5 @@
 import { SystemError } from '../errors/ErrorTypes.js';
+import { readFile } from '../utils/content.js';
 
 /**
  * Manages system instructions for the agent
@@ -50,26 +51,16 @@ export class InstructionManager {
    * Read file content
    */
   async readFile(file) {
-    return new Promise((resolve, reject) => {
-      if (file instanceof File) {
-        const reader = new FileReader();
-        
-        reader.onload = (e) => {
-          resolve(e.target.result);
-        };
-        
-        reader.onerror = () => {
-          reject(new Error('Failed to read file'));
-        };
-        
-        reader.readAsText(file);
-      } else if (typeof file === 'string') {
-        // If it's a string, treat it as content
-        resolve(file);
-      } else {
-        reject(new Error('Invalid file format'));
-      }
-    });
+    if (typeof file === 'string') {
+      // If it's a string, treat it as content
+      return file;
+    }
+
+    if (file instanceof Blob) {
+      return readFile(file);
+    }
+
+    throw new Error('Invalid file format');
   }
 
   /**
@@ -0,0 +1,286 @@
+import { NetworkError, CancellationError } from '../errors/ErrorTypes.js';
+
+/**
+ * MCP protocol version requested during initialization
+ */
+export const MCP_PROTOCOL_VERSION = '2025-06-18';
+
+/**
+ * Model Context Protocol client - JSON-RPC 2.0 over any MCPTransport
+ */
+export class MCPClient {
+  constructor(transport, errorManager, options = {}) {
+    this.transport = transport;
+    this.errorManager = errorManager;
+    this.clientInfo = options.clientInfo || { name: 'agentify', version: '1.0.0' };
+    this.requestTimeout = options.requestTimeout ?? 60000;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.notificationHandlers = new Map();
+    this.serverInfo = null;
+    this.serverCapabilities = {};
+    this.instructions = null;
+    this.connected = false;
+    this.onclose = null;
+    this.onerror = null;
+  }
+
+  /**
+   * Open the transport and run the initialization handshake
+   */
+  async connect() {
+    this.transport.onmessage = (message) => this.handleMessage(message);
+    this.transport.onclose = (info) => this.handleClose(info);
+    this.transport.onerror = (error) => this.onerror?.(error);
+
+    try {
+      await this.transport.start();
+    } catch (error) {
+      throw this.errorManager.createNetworkError(
+        `Failed to connect to MCP server: ${error.message}`,
+        NetworkError.codes.CONNECTION_FAILED,
+        { originalError: error.message }
+      );
+    }
+
+    let result;
+    try {
+      result = await this.request('initialize', {
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: this.clientInfo
+      });
+    } catch (error) {
+      await this.transport.close().catch(() => {});
+      throw error;
+    }
+
+    this.serverInfo = result.serverInfo || null;
+    this.serverCapabilities = result.capabilities || {};
+    this.instructions = result.instructions || null;
+    this.transport.protocolVersion = result.protocolVersion;
+
+    await this.notify('notifications/initialized');
+    this.connected = true;
+
+    return result;
+  }
+
+  /**
+   * Send a request and wait for its result
+   * `options.timeout` (ms, 0 for none), `options.signal` cancels it,
+   * `options.onProgress(progress, total, message)` receives progress notifications
+   */
+  request(method, params = {}, options = {}) {
+    const { signal, onProgress } = options;
+    const timeout = options.timeout ?? this.requestTimeout;
+    const id = this.nextId++;
+
+    if (onProgress) {
+      params = { ...params, _meta: { ...params._meta, progressToken: id } };
+    }
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.createCancelledError(method, signal));
+        return;
+      }
+
+      const cancel = (error, reason) => {
+        cleanup();
+        reject(error);
+        // Tell the server to stop work nobody is waiting for
+        this.notify('notifications/cancelled', { requestId: id, reason }).catch(() => {});
+      };
+
+      const onAbort = () => cancel(this.createCancelledError(method, signal), 'Request was cancelled');
+
+      const timeoutId = timeout
+        ? setTimeout(() => cancel(this.errorManager.createNetworkError(
+            `MCP request timed out after ${timeout}ms: ${method}`,
+            NetworkError.codes.TIMEOUT,
+            { method, timeout }
+          ), 'Request timed out'), timeout)
+        : null;
+
+      const cleanup = () => {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(id);
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.pending.set(id, {
+        method,
+        onProgress,
+        resolve: (result) => {
+          cleanup();
+          resolve(result);
+        },
+        reject: (error) => {
+          cleanup();
+          reject(error);
+        }
+      });
+
+      this.transport.send({ jsonrpc: '2.0', id, method, params }).catch((error) => {
+        this.pending.get(id)?.reject(this.errorManager.createNetworkError(
+          `Failed to send MCP request: ${method}`,
+          NetworkError.codes.CONNECTION_FAILED,
+          { method, originalError: error.message }
+        ));
+      });
+    });
+  }
+
+  /**
+   * Send a notification (no response expected)
+   */
+  async notify(method, params) {
+    const message = { jsonrpc: '2.0', method };
+    if (params) {
+      message.params = params;
+    }
+    await this.transport.send(message);
+  }
+
+  /**
+   * Handle a server notification (e.g. 'notifications/tools/list_changed')
+   */
+  onNotification(method, handler) {
+    this.notificationHandlers.set(method, handler);
+  }
+
+  /**
+   * Route an incoming message: response, server request or notification
+   */
+  handleMessage(message) {
+    if (message.id !== undefined && message.id !== null && !message.method) {
+      const pending = this.pending.get(message.id);
+      if (!pending) return;
+
+      if (message.error) {
+        pending.reject(this.errorManager.createNetworkError(
+          `MCP server error: ${message.error.message}`,
+          NetworkError.codes.SERVER_ERROR,
+          { method: pending.method, rpcCode: message.error.code, data: message.error.data }
+        ));
+      } else {
+        pending.resolve(message.result ?? {});
+      }
+      return;
+    }
+
+    if (message.method && message.id !== undefined) {
+      this.handleServerRequest(message);
+      return;
+    }
+
+    if (message.method === 'notifications/progress') {
+      const { progressToken, progress, total, message: text } = message.params || {};
+      this.pending.get(progressToken)?.onProgress?.(progress, total ?? null, text ?? null);
+      return;
+    }
+
+    if (message.method) {
+      this.notificationHandlers.get(message.method)?.(message.params || {});
+    }
+  }
+
+  /**
+   * Answer requests from the server - only ping is supported (no sampling or roots)
+   */
+  handleServerRequest(message) {
+    const reply = message.method === 'ping'
+      ? { jsonrpc: '2.0', id: message.id, result: {} }
+      : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+
+    this.transport.send(reply).catch(() => {});
+  }
+
+  /**
+   * Fail every waiting request once the connection is gone
+   */
+  handleClose(info = {}) {
+    this.connected = false;
+
+    for (const pending of [...this.pending.values()]) {
+      pending.reject(this.errorManager.createNetworkError(
+        `MCP server connection closed: ${pending.method}`,
+        NetworkError.codes.CONNECTION_FAILED,
+        { method: pending.method, exitCode: info.code ?? null, stderr: info.stderr || null }
+      ));
+    }
+
+    this.onclose?.(info);
+  }
+
+  /**
+   * Collect every page of a paginated list method
+   */
+  async listAll(method, key, options = {}) {
+    const items = [];
+    let cursor;
+
+    do {
+      const result = await this.request(method, cursor ? { cursor } : {}, options);
+      items.push(...(result[key] || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    return items;
+  }
+
+  /**
+   * List the server's tools
+   */
+  async listTools(options = {}) {
+    return this.listAll('tools/list', 'tools', options);
+  }
+
+  /**
+   * Call a tool - tool calls have no client timeout by default (the ToolManager enforces one)
+   */
+  async callTool(name, args = {}, options = {}) {
+    return this.request('tools/call', { name, arguments: args }, { timeout: 0, ...options });
+  }
+
+  /**
+   * List the server's resources (empty if it does not offer any)
+   */
+  async listResources(options = {}) {
+    if (!this.serverCapabilities.resources) {
+      return [];
+    }
+    return this.listAll('resources/list', 'resources', options);
+  }
+
+  /**
+   * Read a resource by URI
+   */
+  async readResource(uri, options = {}) {
+    return this.request('resources/read', { uri }, options);
+  }
+
+  /**
+   * Create a cancellation error for an aborted request
+   */
+  createCancelledError(method, signal) {
+    return this.errorManager.createCancellationError(
+      `MCP request was cancelled: ${method}`,
+      CancellationError.codes.ABORTED,
+      { method, reason: String(signal?.reason ?? 'aborted') }
+    );
+  }
+
+  /**
+   * Close the connection
+   */
+  async close() {
+    this.connected = false;
+    await this.transport.close();
+  }
+}
+
+export default MCPClient;
@@ -0,0 +1,267 @@
+import { ToolError, SystemError } from '../errors/ErrorTypes.js';
+import { MCPClient } from './MCPClient.js';
+import { createTransport } from './transports/index.js';
+
+/**
+ * Imports the tools of an MCP server into a ToolManager.
+ *
+ * Each server tool is registered with its input schema and proxied to `tools/call`;
+ * the server's resources are offered through one `read_resource` tool. The registered
+ * tools follow the server's list whenever it sends `notifications/tools/list_changed`.
+ */
+export class MCPToolSource {
+  constructor(options = {}, toolManager, errorManager) {
+    if (!options.transport && !options.command && !options.url) {
+      throw errorManager.createSystemError(
+        'MCP server needs a transport, a command (stdio) or a url (HTTP)',
+        SystemError.codes.INVALID_PARAMETER,
+        { options: Object.keys(options) }
+      );
+    }
+
+    if (options.type && !['stdio', 'sse', 'http'].includes(options.type)) {
+      throw errorManager.createSystemError(
+        `Unknown MCP transport type: ${options.type}`,
+        SystemError.codes.INVALID_PARAMETER,
+        { type: options.type, supportedTypes: ['stdio', 'sse', 'http'] }
+      );
+    }
+
+    this.name = options.name || 'mcp';
+    this.toolManager = toolManager;
+    this.errorManager = errorManager;
+    this.toolPrefix = options.toolPrefix || '';
+    this.includeResources = options.includeResources !== false;
+    // Registration options applied to every imported tool (timeout, retries, requiresApproval, ...)
+    this.toolOptions = options.toolOptions || {};
+    this.onToolsChanged = options.onToolsChanged || null;
+    this.onError = options.onError || null;
+
+    this.client = new MCPClient(options.transport || createTransport(options), errorManager, {
+      clientInfo: options.clientInfo,
+      requestTimeout: options.requestTimeout
+    });
+
+    // Registered tool name -> MCP tool name (null for the resource tool)
+    this.registeredTools = new Map();
+    this.resources = [];
+    this.syncing = Promise.resolve();
+  }
+
+  /**
+   * Connect to the server and register its tools
+   */
+  async connect() {
+    await this.client.connect();
+
+    this.client.onerror = (error) => this.reportError(error);
+    this.client.onNotification('notifications/tools/list_changed', () => this.refresh());
+    this.client.onNotification('notifications/resources/list_changed', () => this.refresh());
+
+    try {
+      await this.sync();
+    } catch (error) {
+      await this.disconnect().catch(() => {});
+      throw error;
+    }
+
+    return this;
+  }
+
+  /**
+   * Re-sync in the background (server notifications have no caller to report to)
+   */
+  refresh() {
+    this.sync().catch(error => this.reportError(error));
+  }
+
+  /**
+   * Bring the registered tools in line with the server's current lists
+   * Syncs run one after another so overlapping notifications cannot interleave
+   */
+  async sync() {
+    const run = this.syncing.then(() => this.syncTools());
+    this.syncing = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Fetch tools and resources and update the registrations
+   */
+  async syncTools() {
+    const [tools, resources] = await Promise.all([
+      this.client.listTools(),
+      this.includeResources ? this.client.listResources() : []
+    ]);
+
+    const definitions = tools.map(tool => this.createToolDefinition(tool));
+    this.resources = resources;
+    if (resources.length > 0) {
+      definitions.push(this.createResourceToolDefinition(resources));
+    }
+
+    const names = new Set(definitions.map(definition => definition.name));
+    for (const name of this.registeredTools.keys()) {
+      if (!names.has(name)) {
+        this.toolManager.removeTool(name);
+        this.registeredTools.delete(name);
+      }
+    }
+
+    for (const definition of definitions) {
+      // Never shadow a tool that was registered by someone else
+      if (this.toolManager.hasTool(definition.name) && !this.registeredTools.has(definition.name)) {
+        this.reportError(this.errorManager.createToolError(
+          `Tool "${definition.name}" from MCP server "${this.name}" is already registered`,
+          ToolError.codes.REGISTRATION_FAILED,
+          { toolName: definition.name, server: this.name }
+        ));
+        continue;
+      }
+
+      await this.toolManager.registerTool(definition);
+      this.registeredTools.set(definition.name, definition.mcpName);
+    }
+
+    this.onToolsChanged?.(this.getToolNames());
+    return this.getToolNames();
+  }
+
+  /**
+   * Tool names must fit every provider: letters, digits, _ and -, at most 64 characters
+   */
+  formatToolName(name) {
+    return (this.toolPrefix + name).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+  }
+
+  /**
+   * Build a ToolManager definition for an MCP tool
+   */
+  createToolDefinition(tool) {
+    const { $schema, ...schema } = tool.inputSchema || {};
+    const annotations = tool.annotations || {};
+
+    return {
+      idempotent: annotations.readOnlyHint === true || annotations.idempotentHint === true,
+      ...this.toolOptions,
+      name: this.formatToolName(tool.name),
+      mcpName: tool.name,
+      description: tool.description || tool.title || annotations.title || tool.name,
+      parameters: { ...schema, type: 'object', properties: schema.properties || {} },
+      execute: (params, context) => this.callTool(tool.name, params, context)
+    };
+  }
+
+  /**
+   * Build the tool that reads the server's resources
+   */
+  createResourceToolDefinition(resources) {
+    const list = resources
+      .map(resource => `- ${resource.uri}${resource.name ? ` (${resource.name})` : ''}${resource.description ? `: ${resource.description}` : ''}`)
+      .join('\n');
+
+    return {
+      idempotent: true,
+      ...this.toolOptions,
+      name: this.formatToolName('read_resource'),
+      mcpName: null,
+      description: `Read a resource from the ${this.name} server. Available resources:\n${list}`,
+      parameters: {
+        uri: { type: 'string', enum: resources.map(resource => resource.uri), description: 'Resource URI', required: true }
+      },
+      execute: ({ uri }, context) => this.readResource(uri, context)
+    };
+  }
+
+  /**
+   * Call an MCP tool - progress notifications update the tool context
+   */
+  async callTool(name, params, context = {}) {
+    const result = await this.client.callTool(name, params, {
+      signal: context.signal,
+      onProgress: (progress, total, message) => {
+        const percent = total ? Math.round(progress / total * 100) : progress;
+        context.reportProgress?.(percent, message);
+      }
+    });
+
+    const text = this.formatContent(result.content || []);
+
+    // Tool-level errors are results the model should see as a failed call
+    if (result.isError) {
+      throw new Error(text || `MCP tool "${name}" failed`);
+    }
+
+    return result.structuredContent ?? text;
+  }
+
+  /**
+   * Read a resource and return its text
+   */
+  async readResource(uri, context = {}) {
+    const result = await this.client.readResource(uri, { signal: context.signal });
+    return (result.contents || [])
+      .map(content => content.text ?? `[${content.mimeType || 'binary'} resource: ${content.uri}]`)
+      .join('\n');
+  }
+
+  /**
+   * Turn MCP content blocks into text - binary blocks become placeholders
+   */
+  formatContent(content) {
+    return content.map(block => {
+      switch (block.type) {
+        case 'text':
+          return block.text;
+        case 'resource':
+          return block.resource?.text ?? `[resource: ${block.resource?.uri}]`;
+        case 'resource_link':
+          return `[resource: ${block.uri}]`;
+        default:
+          return `[${block.type}${block.mimeType ? `: ${block.mimeType}` : ''}]`;
+      }
+    }).join('\n');
+  }
+
+  /**
+   * Hand an error to the onError callback
+   */
+  reportError(error) {
+    this.onError?.(error);
+  }
+
+  /**
+   * Names of the tools registered from this server
+   */
+  getToolNames() {
+    return Array.from(this.registeredTools.keys());
+  }
+
+  /**
+   * Get connection status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      connected: this.client.connected,
+      serverInfo: this.client.serverInfo,
+      tools: this.getToolNames(),
+      resources: this.resources.length
+    };
+  }
+
+  /**
+   * Remove the registered tools and close the connection
+   */
+  async disconnect() {
+    for (const name of this.registeredTools.keys()) {
+      this.toolManager.removeTool(name);
+    }
+    this.registeredTools.clear();
+    this.resources = [];
+
+    await this.client.close();
+  }
+}
+
+export default MCPToolSource;
@@ -0,0 +1,104 @@
+/**
+ * Base class for MCP transports
+ * A transport carries JSON-RPC messages to and from one server. The client sets
+ * `onmessage`, `onclose` and `onerror` before calling start().
+ */
+export class MCPTransport {
+  constructor() {
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    // Negotiated during initialization; HTTP transports send it as a header
+    this.protocolVersion = null;
+  }
+
+  /**
+   * Open the connection
+   * Must be implemented by subclasses
+   */
+  async start() {
+    throw new Error('start must be implemented by subclass');
+  }
+
+  /**
+   * Send a JSON-RPC message
+   * Must be implemented by subclasses
+   */
+  async send(message) {
+    throw new Error('send must be implemented by subclass');
+  }
+
+  /**
+   * Close the connection
+   * Must be implemented by subclasses
+   */
+  async close() {
+    throw new Error('close must be implemented by subclass');
+  }
+
+  /**
+   * Hand a received message (or JSON-RPC batch) to the client
+   */
+  receive(message) {
+    for (const item of Array.isArray(message) ? message : [message]) {
+      this.onmessage?.(item);
+    }
+  }
+
+  /**
+   * Parse received JSON and hand it to the client - malformed input is reported, not thrown
+   */
+  receiveJSON(text) {
+    try {
+      this.receive(JSON.parse(text));
+    } catch (error) {
+      this.onerror?.(new Error(`Invalid JSON-RPC message: ${error.message}`));
+    }
+  }
+
+  /**
+   * Read a text/event-stream body, calling onEvent({ event, data, id }) for each event
+   */
+  async readEventStream(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let event = { event: 'message', data: [], id: null };
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          // A blank line ends the event
+          if (line === '') {
+            if (event.data.length > 0) {
+              onEvent({ event: event.event, data: event.data.join('\n'), id: event.id });
+            }
+            event = { event: 'message', data: [], id: null };
+            continue;
+          }
+
+          const colon = line.indexOf(':');
+          if (colon === 0) continue; // Comment / keep-alive
+
+          const field = colon === -1 ? line : line.slice(0, colon);
+          const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+          if (field === 'event') event.event = value;
+          else if (field === 'data') event.data.push(value);
+          else if (field === 'id') event.id = value;
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+}
+
+export default MCPTransport;
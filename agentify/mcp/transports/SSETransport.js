@@ -0,0 +1,93 @@
+import { MCPTransport } from './MCPTransport.js';
+
+/**
+ * HTTP+SSE transport (MCP protocol 2024-11-05)
+ * The server streams messages over a long-lived GET; its first `endpoint` event
+ * names the URL that client messages are POSTed to.
+ */
+export class SSETransport extends MCPTransport {
+  constructor(options = {}) {
+    super();
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.endpoint = null;
+    this.controller = null;
+  }
+
+  /**
+   * Open the event stream and wait for the message endpoint
+   */
+  async start() {
+    this.controller = new AbortController();
+
+    const response = await fetch(this.url, {
+      headers: { ...this.headers, Accept: 'text/event-stream' },
+      signal: this.controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`SSE connection failed with status ${response.status}`);
+    }
+
+    await new Promise((resolve, reject) => {
+      this.readEventStream(response.body, ({ event, data }) => {
+        if (event === 'endpoint') {
+          this.endpoint = new URL(data, this.url).href;
+          resolve();
+        } else if (event === 'message') {
+          this.receiveJSON(data);
+        }
+      })
+        .then(() => {
+          reject(new Error('SSE stream ended before the endpoint event'));
+          this.handleStreamEnd();
+        })
+        .catch((error) => {
+          reject(error);
+          if (!this.controller.signal.aborted) {
+            this.onerror?.(error);
+            this.handleStreamEnd();
+          }
+        });
+    });
+  }
+
+  /**
+   * The stream is the connection - once it ends the transport is closed
+   */
+  handleStreamEnd() {
+    if (this.endpoint) {
+      this.endpoint = null;
+      this.onclose?.({});
+    }
+  }
+
+  /**
+   * POST a message to the endpoint given by the server
+   */
+  async send(message) {
+    if (!this.endpoint) {
+      throw new Error('SSE transport is not connected');
+    }
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Sending message failed with status ${response.status}`);
+    }
+  }
+
+  /**
+   * Close the event stream
+   */
+  async close() {
+    this.controller?.abort();
+    this.handleStreamEnd();
+  }
+}
+
+export default SSETransport;
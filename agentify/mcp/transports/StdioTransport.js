@@ -0,0 +1,98 @@
+import { MCPTransport } from './MCPTransport.js';
+
+/**
+ * Node.js stdio transport - runs the server as a child process
+ * Messages are newline-delimited JSON on the process's stdin and stdout
+ */
+export class StdioTransport extends MCPTransport {
+  constructor(options = {}) {
+    super();
+    this.command = options.command;
+    this.args = options.args || [];
+    this.env = options.env || null;
+    this.cwd = options.cwd || undefined;
+    this.process = null;
+    this.buffer = '';
+    this.stderr = '';
+  }
+
+  /**
+   * Spawn the server process
+   */
+  async start() {
+    // Loaded lazily so browser bundles never resolve Node modules
+    const { spawn } = await import('node:child_process');
+
+    const child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: this.env ? { ...process.env, ...this.env } : process.env,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+      child.once('spawn', resolve);
+      child.once('error', reject);
+    });
+
+    this.process = child;
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => this.handleData(chunk));
+
+    // Keep the tail of stderr for error details (the pipe must be drained either way)
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      this.stderr = (this.stderr + chunk).slice(-2000);
+    });
+
+    child.on('error', (error) => this.onerror?.(error));
+    child.on('close', (code, signal) => {
+      this.process = null;
+      this.onclose?.({ code, signal, stderr: this.stderr });
+    });
+  }
+
+  /**
+   * Split stdout into lines and hand each message to the client
+   */
+  handleData(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.trim()) {
+        this.receiveJSON(line);
+      }
+    }
+  }
+
+  /**
+   * Write a message to the server's stdin
+   */
+  async send(message) {
+    if (!this.process) {
+      throw new Error('Server process is not running');
+    }
+
+    await new Promise((resolve, reject) => {
+      this.process.stdin.write(JSON.stringify(message) + '\n', (error) => error ? reject(error) : resolve());
+    });
+  }
+
+  /**
+   * Close stdin and stop the process if it does not exit on its own
+   */
+  async close() {
+    const child = this.process;
+    if (!child) return;
+
+    const exited = new Promise(resolve => child.once('close', resolve));
+    child.stdin.end();
+
+    const timeoutId = setTimeout(() => child.kill(), 2000);
+    await exited;
+    clearTimeout(timeoutId);
+  }
+}
+
+export default StdioTransport;
@@ -0,0 +1,147 @@
+import { MCPTransport } from './MCPTransport.js';
+
+/**
+ * Streamable HTTP transport (MCP protocol 2025-03-26 and later)
+ * Every message is POSTed to one endpoint; the reply is JSON or an event stream.
+ * After initialization a GET stream receives server notifications, if the server offers one.
+ */
+export class StreamableHTTPTransport extends MCPTransport {
+  constructor(options = {}) {
+    super();
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.sessionId = null;
+    this.controllers = new Set();
+    this.closed = false;
+  }
+
+  /**
+   * Nothing to open - the first POST starts the session
+   */
+  async start() {
+    this.closed = false;
+  }
+
+  /**
+   * Headers sent with every request
+   */
+  getRequestHeaders() {
+    const headers = { ...this.headers };
+
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+    }
+    if (this.protocolVersion) {
+      headers['MCP-Protocol-Version'] = this.protocolVersion;
+    }
+
+    return headers;
+  }
+
+  /**
+   * POST a message and hand the reply (JSON or event stream) to the client
+   */
+  async send(message) {
+    const controller = new AbortController();
+    this.controllers.add(controller);
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          ...this.getRequestHeaders(),
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream'
+        },
+        body: JSON.stringify(message),
+        signal: controller.signal
+      });
+    } catch (error) {
+      this.controllers.delete(controller);
+      throw error;
+    }
+
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    if (!response.ok) {
+      this.controllers.delete(controller);
+      if (response.status === 404 && this.sessionId) {
+        throw new Error('MCP session expired');
+      }
+      throw new Error(`Sending message failed with status ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+
+    if (contentType.includes('text/event-stream')) {
+      // Responses (and related notifications) arrive on the stream - read it without blocking the sender
+      this.readEventStream(response.body, ({ data }) => this.receiveJSON(data))
+        .catch((error) => {
+          if (!controller.signal.aborted) this.onerror?.(error);
+        })
+        .finally(() => this.controllers.delete(controller));
+    } else {
+      this.controllers.delete(controller);
+      if (contentType.includes('application/json')) {
+        this.receiveJSON(await response.text());
+      }
+    }
+
+    if (message.method === 'notifications/initialized') {
+      this.listen();
+    }
+  }
+
+  /**
+   * Open the GET stream for server-initiated messages (405 means the server has none)
+   */
+  async listen() {
+    const controller = new AbortController();
+    this.controllers.add(controller);
+
+    try {
+      const response = await fetch(this.url, {
+        headers: { ...this.getRequestHeaders(), Accept: 'text/event-stream' },
+        signal: controller.signal
+      });
+
+      if (response.ok && (response.headers.get('content-type') || '').includes('text/event-stream')) {
+        await this.readEventStream(response.body, ({ data }) => this.receiveJSON(data));
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) this.onerror?.(error);
+    } finally {
+      this.controllers.delete(controller);
+    }
+  }
+
+  /**
+   * Abort open streams and end the session
+   */
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    for (const controller of this.controllers) {
+      controller.abort();
+    }
+    this.controllers.clear();
+
+    if (this.sessionId) {
+      try {
+        await fetch(this.url, { method: 'DELETE', headers: this.getRequestHeaders() });
+      } catch {
+        // The server may already be gone - the session ends either way
+      }
+      this.sessionId = null;
+    }
+
+    this.onclose?.({});
+  }
+}
+
+export default StreamableHTTPTransport;
@@ -0,0 +1,27 @@
+import { StdioTransport } from './StdioTransport.js';
+import { SSETransport } from './SSETransport.js';
+import { StreamableHTTPTransport } from './StreamableHTTPTransport.js';
+
+export { MCPTransport } from './MCPTransport.js';
+export { StdioTransport } from './StdioTransport.js';
+export { SSETransport } from './SSETransport.js';
+export { StreamableHTTPTransport } from './StreamableHTTPTransport.js';
+
+/**
+ * Create a transport from server options
+ * `command` means stdio; a `url` uses streamable HTTP unless `type: 'sse'` is given
+ */
+export function createTransport(options = {}) {
+  const type = options.type || (options.command ? 'stdio' : 'http');
+
+  switch (type) {
+    case 'stdio':
+      return new StdioTransport(options);
+    case 'sse':
+      return new SSETransport(options);
+    case 'http':
+      return new StreamableHTTPTransport(options);
+    default:
+      throw new Error(`Unknown MCP transport type: ${type}`);
+  }
+}
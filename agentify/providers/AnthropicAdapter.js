@@ -1,4 +1,6 @@
 import { BaseAdapter } from './BaseAdapter.js';
+import { STRUCTURED_OUTPUT_TOOL } from '../utils/formatters.js';
+import { decodeBase64Text, describePart } from '../utils/content.js';
 
 /**
  * Adapter for Anthropic Claude API
@@ -8,19 +10,28 @@ export class AnthropicAdapter extends BaseAdapter {
    * Format request for Anthropic
    */
   formatRequest(messages, tools, config) {
-    // Anthropic requires system message separate
-    const systemMessage = messages.find(m => m.role === 'system');
+    // Anthropic requires system message separate - merge instruction and conversation summary
+    const systemMessage = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
     const userMessages = messages.filter(m => m.role !== 'system');
 
+    // Extended thinking cannot be combined with a forced tool call, nor turned on
+    // in the middle of a tool round that was answered without it
+    const forcesTool = Boolean(tools && tools.length > 0) &&
+      (config.toolChoice === 'required' || typeof config.toolChoice === 'object');
+    const thinking = Boolean(config.reasoning) && !forcesTool && !this.continuesUnthinkingToolRound(userMessages);
+
     const request = {
       model: config.model,
-      messages: userMessages,
+      messages: this.formatMessages(userMessages, thinking),
       temperature: config.temperature,
       stream: config.stream
     };
 
     if (systemMessage) {
-      request.system = systemMessage.content;
+      request.system = systemMessage;
     }
 
     if (config.maxTokens) {
@@ -32,11 +43,188 @@ export class AnthropicAdapter extends BaseAdapter {
 
     if (tools && tools.length > 0) {
       request.tools = this.formatTools(tools);
+
+      if (config.toolChoice && config.toolChoice !== 'auto') {
+        request.tool_choice = this.formatToolChoice(config.toolChoice);
+      }
+    }
+
+    if (config.responseSchema) {
+      this.applyResponseSchema(request, config.responseSchema, !thinking);
+    }
+
+    if (thinking) {
+      this.applyThinking(request, config.reasoning);
     }
 
     return request;
   }
 
+  /**
+   * Whether the messages end with the results of a tool_use turn that has no thinking blocks
+   * With thinking on, Anthropic requires that turn to start with its signed thinking
+   */
+  continuesUnthinkingToolRound(messages) {
+    if (messages[messages.length - 1]?.role !== 'tool') {
+      return false;
+    }
+
+    const turn = messages.findLast(m => m.role === 'assistant');
+    return Boolean(turn?.tool_calls?.length) && !turn.reasoning?.blocks?.length;
+  }
+
+  /**
+   * Enable extended thinking with the reasoning budget
+   * max_tokens includes the thinking, so the budget is added to it; temperature must stay at its default
+   */
+  applyThinking(request, reasoning) {
+    request.thinking = { type: 'enabled', budget_tokens: reasoning.budgetTokens };
+    request.max_tokens += reasoning.budgetTokens;
+    delete request.temperature;
+
+    return request;
+  }
+
+  /**
+   * Request structured output through a tool whose input is the response
+   * Without other callable tools the call is forced (unless `canForce` is false, as with thinking);
+   * otherwise the model is told to finish with it
+   */
+  applyResponseSchema(request, responseSchema, canForce = true) {
+    const isObject = responseSchema.schema.type === 'object';
+
+    const outputTool = {
+      name: STRUCTURED_OUTPUT_TOOL,
+      description: responseSchema.description || 'Give the final response in the required structure.',
+      // Tool input must be an object - other schemas are wrapped in { value }
+      input_schema: isObject
+        ? responseSchema.schema
+        : { type: 'object', properties: { value: responseSchema.schema }, required: ['value'] }
+    };
+
+    if (!canForce || (request.tools && request.tools.length > 0 && request.tool_choice?.type !== 'none')) {
+      request.tools = [...(request.tools || []), outputTool];
+      const instruction = `When you have the final answer, call the ${STRUCTURED_OUTPUT_TOOL} tool with it instead of replying in text.`;
+      request.system = request.system ? `${request.system}\n\n${instruction}` : instruction;
+    } else {
+      request.tools = [...(request.tools || []), outputTool];
+      request.tool_choice = { type: 'tool', name: STRUCTURED_OUTPUT_TOOL };
+    }
+
+    return request;
+  }
+
+  /**
+   * Convert a normalized tool choice to Anthropic's `tool_choice`
+   */
+  formatToolChoice(toolChoice) {
+    if (typeof toolChoice === 'object') {
+      return { type: 'tool', name: toolChoice.name };
+    }
+    return { type: toolChoice === 'required' ? 'any' : toolChoice };
+  }
+
+  /**
+   * Get the structured output value from the structured output tool call
+   */
+  parseStructuredOutputCall(toolCall, responseSchema) {
+    const input = this.parseToolArguments(toolCall.arguments);
+    return responseSchema.schema.type === 'object' ? input : input.value;
+  }
+
+  /**
+   * Convert canonical messages to Anthropic format
+   * Tool calls become `tool_use` blocks; consecutive tool results share one user message.
+   * With `thinking`, stored thinking blocks are sent back (signed) ahead of the assistant's content
+   */
+  formatMessages(messages, thinking = false) {
+    const formatted = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        const block = {
+          type: 'tool_result',
+          tool_use_id: msg.tool_call_id,
+          content: msg.content
+        };
+        const last = formatted[formatted.length - 1];
+
+        if (last && last.role === 'user' && Array.isArray(last.content) &&
+            last.content.every(b => b.type === 'tool_result')) {
+          last.content.push(block);
+        } else {
+          formatted.push({ role: 'user', content: [block] });
+        }
+      } else if (msg.role === 'assistant' && ((msg.tool_calls && msg.tool_calls.length > 0) ||
+          (thinking && msg.reasoning?.blocks?.length > 0))) {
+        const content = thinking ? [...(msg.reasoning?.blocks || [])] : [];
+
+        if (msg.content) {
+          content.push({ type: 'text', text: msg.content });
+        }
+
+        for (const call of msg.tool_calls || []) {
+          content.push({
+            type: 'tool_use',
+            id: call.id,
+            name: call.function.name,
+            input: this.parseToolArguments(call.function.arguments)
+          });
+        }
+
+        formatted.push({ role: 'assistant', content });
+      } else {
+        formatted.push({
+          role: msg.role,
+          content: Array.isArray(msg.content) ? msg.content.map(part => this.formatContentPart(part)) : msg.content
+        });
+      }
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Convert one content part to an Anthropic content block
+   * Images and PDFs map to image/document blocks, text files to plain text documents;
+   * audio and other file types are not supported and become a text placeholder
+   */
+  formatContentPart(part) {
+    const source = part.data
+      ? { type: 'base64', media_type: part.mimeType, data: part.data }
+      : { type: 'url', url: part.url };
+
+    switch (part.type) {
+      case 'text':
+        return { type: 'text', text: part.text };
+
+      case 'image':
+        return { type: 'image', source };
+
+      case 'file':
+        if (part.data && part.mimeType?.startsWith('text/')) {
+          return {
+            type: 'document',
+            source: { type: 'text', media_type: 'text/plain', data: decodeBase64Text(part.data) },
+            ...(part.name && { title: part.name })
+          };
+        }
+        if (part.mimeType === 'application/pdf' || (!part.data && part.url?.toLowerCase().endsWith('.pdf'))) {
+          return { type: 'document', source, ...(part.name && { title: part.name }) };
+        }
+        break;
+    }
+
+    return { type: 'text', text: describePart(part) };
+  }
+
+  /**
+   * Parse Anthropic's event stream
+   */
+  parseStream(handler) {
+    return handler.processAnthropicBuffer();
+  }
+
   /**
    * Format tools for Anthropic
    */
@@ -66,6 +254,7 @@ export class AnthropicAdapter extends BaseAdapter {
     let textContent = '';
     const toolCalls = [];
     let thinkingContent = '';
+    const thinkingBlocks = [];
 
     for (const block of data.content) {
       if (block.type === 'text') {
@@ -79,6 +268,9 @@ export class AnthropicAdapter extends BaseAdapter {
         });
       } else if (block.type === 'thinking') {
         thinkingContent += block.thinking || '';
+        thinkingBlocks.push({ type: 'thinking', thinking: block.thinking || '', signature: block.signature });
+      } else if (block.type === 'redacted_thinking') {
+        thinkingBlocks.push({ type: 'redacted_thinking', data: block.data });
       }
     }
 
@@ -86,6 +278,7 @@ export class AnthropicAdapter extends BaseAdapter {
       content: textContent,
       toolCalls,
       thinkingContent,
+      thinkingBlocks,
       finishReason: data.stop_reason,
       usage: data.usage
     };
@@ -106,17 +299,6 @@ export class AnthropicAdapter extends BaseAdapter {
     return null;
   }
 
-  /**
-   * Format tool results for next request
-   */
-  formatToolResults(toolCalls, results) {
-    return toolCalls.map((call, index) => ({
-      type: 'tool_result',
-      tool_use_id: call.id,
-      content: JSON.stringify(results[index])
-    }));
-  }
-
   /**
    * Get request headers for Anthropic
    */
@@ -0,0 +1,46 @@
+import { OpenAIAdapter } from './OpenAIAdapter.js';
+
+/**
+ * api-version used when neither the URL nor the config names one
+ */
+export const AZURE_API_VERSION = '2024-10-21';
+
+/**
+ * Adapter for Azure OpenAI (Chat Completions on a deployment)
+ * The request body is OpenAI's; the URL names the deployment and api-version,
+ * and the key is sent in the `api-key` header.
+ */
+export class AzureOpenAIAdapter extends OpenAIAdapter {
+  /**
+   * Get API endpoint
+   * A resource URL (https://{resource}.openai.azure.com) is completed to the deployment's
+   * chat completions URL; a full deployment URL is used as given
+   */
+  getEndpoint() {
+    const url = new URL(this.config.get('apiUrl'));
+
+    if (!url.pathname.includes('/deployments/')) {
+      const deployment = this.config.get('deployment') || this.config.get('model');
+      const base = url.pathname.replace(/\/+$/, '').replace(/\/openai$/, '');
+      url.pathname = `${base}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions`;
+    }
+
+    if (!url.searchParams.has('api-version')) {
+      url.searchParams.set('api-version', this.config.get('apiVersion') || AZURE_API_VERSION);
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Get request headers for Azure OpenAI
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'api-key': this.config.get('apiKey')
+    };
+  }
+}
+
+export default AzureOpenAIAdapter;
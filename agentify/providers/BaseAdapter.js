@@ -1,10 +1,15 @@
+import { NetworkError, CancellationError } from '../errors/ErrorTypes.js';
+import { formatSchemaInstruction } from '../utils/formatters.js';
+import { toDataUrl, getAudioFormat, describePart } from '../utils/content.js';
+
 /**
  * Base adapter class for AI providers
  */
 export class BaseAdapter {
-  constructor(config, errorManager) {
+  constructor(config, errorManager, eventManager = null) {
     this.config = config;
     this.errorManager = errorManager;
+    this.eventManager = eventManager;
   }
 
   /**
@@ -32,10 +37,21 @@ export class BaseAdapter {
   }
 
   /**
-   * Get request headers
+   * Parse the buffered stream of a StreamHandler into items (token, tool_call, usage, finish, ...)
+   * OpenAI-style SSE by default - override for other stream formats
+   */
+  parseStream(handler) {
+    return handler.processOpenAIBuffer();
+  }
+
+  /**
+   * Get request headers - bearer authentication by default, adapters override for other schemes
    */
   getHeaders() {
-    return this.config.getHeaders();
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${this.config.get('apiKey')}`
+    };
   }
 
   /**
@@ -47,22 +63,179 @@ export class BaseAdapter {
 
   /**
    * Make API request
+   * Retries rate limits, server errors and network failures with exponential backoff.
+   * `options.signal` cancels the request (including the response body) at any point.
    */
-  async makeRequest(body, stream = false) {
+  async makeRequest(body, stream = false, options = {}) {
+    const { signal } = options;
     const headers = this.getHeaders();
-    const endpoint = this.getEndpoint();
+    const endpoint = this.getEndpoint(stream);
+    const maxRetries = this.config.get('retryAttempts') || 0;
+    const timeout = this.config.get('timeout');
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body)
-    });
+    for (let attempt = 1; ; attempt++) {
+      this.throwIfAborted(signal);
+
+      // Per-attempt controller: aborted by the caller's signal or by the timeout
+      const controller = new AbortController();
+      const abortAttempt = () => controller.abort();
+      signal?.addEventListener('abort', abortAttempt, { once: true });
+
+      let timedOut = false;
+      const timeoutId = timeout
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, timeout)
+        : null;
+
+      let error;
+      let retryable;
+
+      try {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body),
+          signal: controller.signal
+        });
+
+        if (response.ok) {
+          return response;
+        }
 
-    if (!response.ok) {
-      throw await this.errorManager.handleFetchError(response, endpoint);
+        signal?.removeEventListener('abort', abortAttempt);
+        error = await this.errorManager.handleFetchError(response, endpoint);
+        retryable = this.isRetryableStatus(response.status);
+      } catch (fetchError) {
+        signal?.removeEventListener('abort', abortAttempt);
+        this.throwIfAborted(signal);
+
+        if (timedOut) {
+          error = this.errorManager.createNetworkError(
+            `Request timed out after ${timeout}ms`,
+            NetworkError.codes.TIMEOUT,
+            { endpoint, timeout }
+          );
+        } else {
+          // fetch only rejects on network-level failures (DNS, CORS, connection reset)
+          error = this.errorManager.createNetworkError(
+            'Network request failed',
+            NetworkError.codes.CONNECTION_FAILED,
+            { endpoint, originalError: fetchError.message }
+          );
+        }
+        retryable = true;
+      } finally {
+        // The timeout only covers waiting for the response; streaming may legitimately take longer
+        clearTimeout(timeoutId);
+      }
+
+      const willRetry = retryable && attempt <= maxRetries;
+      const delay = willRetry ? this.getRetryDelay(attempt, error) : null;
+
+      if (this.eventManager) {
+        this.eventManager.logApiRequestFailed(endpoint, error, {
+          attempt,
+          maxAttempts: maxRetries + 1,
+          willRetry
+        });
+
+        if (willRetry) {
+          this.eventManager.logApiRequestRetry(endpoint, attempt + 1, delay, error);
+        }
+      }
+
+      if (!willRetry) {
+        throw error;
+      }
+
+      await this.wait(delay, signal);
+    }
+  }
+
+  /**
+   * Throw a cancellation error if the signal has been aborted
+   */
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw this.errorManager.createCancellationError(
+        'Request was cancelled',
+        CancellationError.codes.ABORTED,
+        { reason: String(signal.reason ?? 'aborted') }
+      );
     }
+  }
+
+  /**
+   * Check whether an HTTP status is worth retrying
+   */
+  isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Calculate delay before the next attempt
+   * Uses the server's Retry-After when given, otherwise exponential backoff with jitter
+   */
+  getRetryDelay(attempt, error) {
+    const baseDelay = this.config.get('retryDelay') || 0;
+    const maxDelay = this.config.get('maxRetryDelay');
+
+    const retryAfter = this.parseRetryAfter(error.details?.retryAfter);
+    const delay = retryAfter !== null
+      ? retryAfter
+      : baseDelay * Math.pow(2, attempt - 1) + Math.random() * baseDelay;
+
+    return Math.round(maxDelay ? Math.min(delay, maxDelay) : delay);
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+   */
+  parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
+  /**
+   * Wait for the given number of milliseconds (cut short if the signal aborts)
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        try {
+          this.throwIfAborted(signal);
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
 
-    return response;
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }
+    });
   }
 
   /**
@@ -80,6 +253,104 @@ export class BaseAdapter {
     // Base implementation - override in subclasses if needed
     return [];
   }
+
+  /**
+   * Format tool results as history messages
+   * History uses one canonical shape for every provider: assistant messages carry
+   * OpenAI-style `tool_calls` and each result is a `role: 'tool'` message.
+   * Adapters translate this shape to their native format in formatRequest.
+   */
+  formatToolResults(toolCalls, results) {
+    return toolCalls.map((call, index) => ({
+      role: 'tool',
+      tool_call_id: call.id,
+      content: JSON.stringify(results[index])
+    }));
+  }
+
+  /**
+   * Convert a normalized tool choice ('auto', 'none', 'required' or { name }) to OpenAI's `tool_choice`
+   */
+  formatToolChoice(toolChoice) {
+    return typeof toolChoice === 'object'
+      ? { type: 'function', function: { name: toolChoice.name } }
+      : toolChoice;
+  }
+
+  /**
+   * Convert content parts of messages to OpenAI-style content (text, image_url, input_audio, file)
+   * The history's `response_id` (Responses API) and `reasoning` are not part of the message format and are dropped
+   */
+  formatMessagesContent(messages) {
+    return messages.map(({ response_id, reasoning, ...msg }) => Array.isArray(msg.content)
+      ? { ...msg, content: msg.content.map(part => this.formatContentPart(part)) }
+      : msg
+    );
+  }
+
+  /**
+   * Convert one content part to OpenAI-style content
+   * Parts the API cannot take by URL (audio, files) are sent as a text placeholder
+   */
+  formatContentPart(part) {
+    switch (part.type) {
+      case 'text':
+        return { type: 'text', text: part.text };
+
+      case 'image':
+        return { type: 'image_url', image_url: { url: part.data ? toDataUrl(part) : part.url } };
+
+      case 'audio':
+        if (part.data) {
+          return { type: 'input_audio', input_audio: { data: part.data, format: getAudioFormat(part.mimeType) } };
+        }
+        break;
+
+      case 'file':
+        if (part.data) {
+          return { type: 'file', file: { filename: part.name || 'file', file_data: toDataUrl(part) } };
+        }
+        break;
+    }
+
+    return { type: 'text', text: describePart(part) };
+  }
+
+  /**
+   * Add the structured output instruction to the system message
+   * (for providers without a native JSON Schema mode)
+   */
+  withSchemaInstruction(messages, responseSchema) {
+    const instruction = formatSchemaInstruction(responseSchema);
+    const [first, ...rest] = messages;
+
+    if (first && first.role === 'system') {
+      return [{ ...first, content: `${first.content}\n\n${instruction}` }, ...rest];
+    }
+
+    return [{ role: 'system', content: instruction }, ...messages];
+  }
+
+  /**
+   * Get the structured output value from a forced structured output tool call
+   */
+  parseStructuredOutputCall(toolCall, responseSchema) {
+    return this.parseToolArguments(toolCall.arguments);
+  }
+
+  /**
+   * Parse tool arguments (may be string or object)
+   */
+  parseToolArguments(args) {
+    if (typeof args === 'string') {
+      try {
+        return JSON.parse(args);
+      } catch {
+        return {};
+      }
+    }
+    return args || {};
+  }
 }
 
 export default BaseAdapter;
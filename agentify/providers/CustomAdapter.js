@@ -11,7 +11,7 @@ export class CustomAdapter extends BaseAdapter {
   formatRequest(messages, tools, config) {
     const request = {
       model: config.model,
-      messages: messages,
+      messages: this.formatMessagesContent(messages),
       temperature: config.temperature,
       stream: config.stream
     };
@@ -20,8 +20,22 @@ export class CustomAdapter extends BaseAdapter {
       request.max_tokens = config.maxTokens;
     }
 
+    // OpenAI-compatible servers that support reasoning take `reasoning_effort`
+    if (config.reasoning) {
+      request.reasoning_effort = config.reasoning.effort;
+    }
+
     if (tools && tools.length > 0) {
       request.tools = this.formatTools(tools);
+
+      if (config.toolChoice && config.toolChoice !== 'auto') {
+        request.tool_choice = this.formatToolChoice(config.toolChoice);
+      }
+    }
+
+    // No known JSON Schema mode - describe the expected output in the prompt
+    if (config.responseSchema) {
+      request.messages = this.withSchemaInstruction(request.messages, config.responseSchema);
     }
 
     // Add any custom config parameters
@@ -59,6 +73,7 @@ export class CustomAdapter extends BaseAdapter {
       return {
         content: message.content || '',
         toolCalls: this.extractToolCalls(message),
+        thinkingContent: this.extractThinking(data) || '',
         finishReason: choice.finish_reason,
         usage: data.usage
       };
@@ -107,6 +122,14 @@ export class CustomAdapter extends BaseAdapter {
     );
   }
 
+  /**
+   * Extract reasoning text (`reasoning_content` or `reasoning`) from an OpenAI-format response
+   */
+  extractThinking(data) {
+    const message = data.choices?.[0]?.message;
+    return message?.reasoning_content || (typeof message?.reasoning === 'string' ? message.reasoning : null) || null;
+  }
+
   /**
    * Extract tool calls from message
    */
@@ -135,32 +158,6 @@ export class CustomAdapter extends BaseAdapter {
 
     return [];
   }
-
-  /**
-   * Parse tool arguments
-   */
-  parseToolArguments(args) {
-    if (typeof args === 'string') {
-      try {
-        return JSON.parse(args);
-      } catch {
-        return {};
-      }
-    }
-    return args || {};
-  }
-
-  /**
-   * Format tool results for next request
-   */
-  formatToolResults(toolCalls, results) {
-    // Use OpenAI format by default
-    return toolCalls.map((call, index) => ({
-      role: 'tool',
-      tool_call_id: call.id || `call_${index}`,
-      content: JSON.stringify(results[index])
-    }));
-  }
 }
 
 export default CustomAdapter;
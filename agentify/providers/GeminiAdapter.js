@@ -1,4 +1,11 @@
 import { BaseAdapter } from './BaseAdapter.js';
+import { ModelError } from '../errors/ErrorTypes.js';
+import { guessMimeType } from '../utils/content.js';
+
+/**
+ * Finish reasons (and prompt block reasons) that mean Gemini withheld the response
+ */
+const BLOCKED_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
 
 /**
  * Adapter for Google Gemini API
@@ -8,14 +15,22 @@ export class GeminiAdapter extends BaseAdapter {
    * Format request for Gemini
    */
   formatRequest(messages, tools, config) {
+    const hasTools = Boolean(tools && tools.length > 0);
+
+    // Gemini cannot combine function calling with JSON output - describe the schema in the prompt instead
+    if (config.responseSchema && hasTools) {
+      messages = this.withSchemaInstruction(messages, config.responseSchema);
+    }
+
     // Convert messages to Gemini format
-    const systemInstruction = messages.find(m => m.role === 'system');
+    // All system messages (instruction, conversation summary) go into the system instruction
+    const systemInstruction = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
     const conversationMessages = messages.filter(m => m.role !== 'system');
 
-    const contents = conversationMessages.map(msg => ({
-      role: msg.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text: msg.content }]
-    }));
+    const contents = this.formatContents(conversationMessages);
 
     const request = {
       contents,
@@ -25,21 +40,242 @@ export class GeminiAdapter extends BaseAdapter {
       }
     };
 
+    if (config.candidateCount > 1) {
+      request.generationConfig.candidateCount = config.candidateCount;
+    }
+
+    // Thinking tokens count against maxOutputTokens, so the budget is added to it
+    if (config.reasoning) {
+      request.generationConfig.thinkingConfig = {
+        includeThoughts: true,
+        thinkingBudget: config.reasoning.budgetTokens
+      };
+      request.generationConfig.maxOutputTokens += config.reasoning.budgetTokens;
+    }
+
     if (systemInstruction) {
       request.systemInstruction = {
-        parts: [{ text: systemInstruction.content }]
+        parts: [{ text: systemInstruction }]
       };
     }
 
-    if (tools && tools.length > 0) {
+    if (hasTools) {
       request.tools = [{
         functionDeclarations: this.formatTools(tools)
       }];
+
+      if (config.toolChoice && config.toolChoice !== 'auto') {
+        request.toolConfig = { functionCallingConfig: this.formatToolChoice(config.toolChoice) };
+      }
+    } else if (config.responseSchema) {
+      request.generationConfig.responseMimeType = 'application/json';
+      request.generationConfig.responseSchema = this.formatResponseSchema(config.responseSchema.schema);
     }
 
     return request;
   }
 
+  /**
+   * Convert a normalized tool choice to Gemini's function calling config
+   */
+  formatToolChoice(toolChoice) {
+    if (typeof toolChoice === 'object') {
+      return { mode: 'ANY', allowedFunctionNames: [toolChoice.name] };
+    }
+    return { mode: { none: 'NONE', required: 'ANY' }[toolChoice] || 'AUTO' };
+  }
+
+  /**
+   * Reduce a JSON Schema to the OpenAPI subset Gemini accepts as `responseSchema`
+   * (the full schema is still enforced when the response is validated)
+   */
+  formatResponseSchema(schema) {
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const supported = [
+      'type', 'format', 'title', 'description', 'nullable', 'enum', 'minItems', 'maxItems',
+      'required', 'propertyOrdering', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern',
+      'minProperties', 'maxProperties'
+    ];
+    const formatted = {};
+
+    for (const key of supported) {
+      if (schema[key] !== undefined) {
+        formatted[key] = schema[key];
+      }
+    }
+
+    // ['string', 'null'] becomes a nullable string
+    if (Array.isArray(schema.type)) {
+      const types = schema.type.filter(type => type !== 'null');
+      formatted.type = types[0];
+      if (types.length < schema.type.length) {
+        formatted.nullable = true;
+      }
+    }
+
+    if (schema.const !== undefined && formatted.enum === undefined) {
+      formatted.enum = [schema.const];
+    }
+
+    if (schema.properties) {
+      formatted.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([key, value]) => [key, this.formatResponseSchema(value)])
+      );
+    }
+
+    if (schema.items) {
+      formatted.items = this.formatResponseSchema(schema.items);
+    }
+
+    const variants = schema.anyOf || schema.oneOf;
+    if (variants) {
+      formatted.anyOf = variants.map(variant => this.formatResponseSchema(variant));
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Convert canonical messages to Gemini contents
+   * Tool calls become `functionCall` parts; consecutive tool results share one user turn.
+   * A stored thought signature goes back on the first function call (or the last part)
+   */
+  formatContents(messages) {
+    const contents = [];
+    // Gemini matches responses by function name, canonical results reference the call id
+    const callNames = new Map();
+
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        const part = {
+          functionResponse: {
+            name: callNames.get(msg.tool_call_id) || msg.name,
+            response: this.formatFunctionResponse(msg.content)
+          }
+        };
+        const last = contents[contents.length - 1];
+
+        if (last && last.role === 'user' && last.parts.every(p => p.functionResponse)) {
+          last.parts.push(part);
+        } else {
+          contents.push({ role: 'user', parts: [part] });
+        }
+      } else if (msg.role === 'assistant') {
+        const parts = [];
+
+        if (msg.content) {
+          parts.push({ text: msg.content });
+        }
+
+        for (const call of msg.tool_calls || []) {
+          callNames.set(call.id, call.function.name);
+          parts.push({
+            functionCall: {
+              name: call.function.name,
+              args: this.parseToolArguments(call.function.arguments)
+            }
+          });
+        }
+
+        const signature = msg.reasoning?.signature;
+        if (signature && parts.length > 0) {
+          const signed = parts.find(part => part.functionCall) || parts[parts.length - 1];
+          signed.thoughtSignature = signature;
+        }
+
+        contents.push({ role: 'model', parts });
+      } else {
+        const parts = Array.isArray(msg.content)
+          ? msg.content.map(part => this.formatContentPart(part))
+          : [{ text: msg.content }];
+        contents.push({ role: 'user', parts });
+      }
+    }
+
+    return contents;
+  }
+
+  /**
+   * Convert one content part to a Gemini part - base64 data goes inline, URLs as file references
+   */
+  formatContentPart(part) {
+    if (part.type === 'text') {
+      return { text: part.text };
+    }
+
+    if (part.data) {
+      return { inlineData: { mimeType: part.mimeType, data: part.data } };
+    }
+
+    return {
+      fileData: {
+        mimeType: part.mimeType || guessMimeType(part.url),
+        fileUri: part.url
+      }
+    };
+  }
+
+  /**
+   * Build a functionResponse payload - Gemini requires an object
+   */
+  formatFunctionResponse(content) {
+    let value = content;
+
+    if (typeof content === 'string') {
+      try {
+        value = JSON.parse(content);
+      } catch {
+        value = content;
+      }
+    }
+
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? value
+      : { result: value };
+  }
+
+  /**
+   * Parse Gemini's stream - a blocked response ends it with a typed error
+   */
+  parseStream(handler) {
+    return handler.processGeminiBuffer().map(item => {
+      if (item.type === 'finish' && (item.promptFeedback || BLOCKED_REASONS.includes(item.reason) ||
+          item.reason === 'MALFORMED_FUNCTION_CALL')) {
+        return {
+          type: 'error',
+          error: this.createFinishError(item.reason, {
+            safetyRatings: item.safetyRatings,
+            promptFeedback: item.promptFeedback
+          })
+        };
+      }
+      return item;
+    });
+  }
+
+  /**
+   * Create the ModelError for a response Gemini blocked or could not complete
+   */
+  createFinishError(reason, details = {}) {
+    if (reason === 'MALFORMED_FUNCTION_CALL') {
+      return this.errorManager.createModelError(
+        'Gemini produced a malformed function call',
+        ModelError.codes.INVALID_FUNCTION_CALL,
+        { finishReason: reason, ...details }
+      );
+    }
+
+    const subject = details.promptFeedback ? 'prompt' : 'response';
+    return this.errorManager.createModelError(
+      `Gemini blocked the ${subject} (${reason})`,
+      ModelError.codes.CONTENT_FILTERED,
+      { finishReason: reason, ...details }
+    );
+  }
+
   /**
    * Format tools for Gemini
    */
@@ -56,8 +292,13 @@ export class GeminiAdapter extends BaseAdapter {
 
   /**
    * Parse Gemini response
+   * With candidateCount > 1 every candidate is returned in `candidates`; the first one is the response
    */
   parseResponse(data) {
+    if (data.promptFeedback?.blockReason) {
+      throw this.createFinishError(data.promptFeedback.blockReason, { promptFeedback: data.promptFeedback });
+    }
+
     if (!data.candidates || data.candidates.length === 0) {
       throw this.errorManager.createModelError(
         'No candidates in response',
@@ -66,40 +307,80 @@ export class GeminiAdapter extends BaseAdapter {
       );
     }
 
-    const candidate = data.candidates[0];
-    const content = candidate.content;
+    const candidates = data.candidates
+      .map((candidate, position) => this.parseCandidate(candidate, position))
+      .sort((a, b) => a.index - b.index);
+    const [primary] = candidates;
+
+    if (BLOCKED_REASONS.includes(primary.finishReason) || primary.finishReason === 'MALFORMED_FUNCTION_CALL') {
+      throw this.createFinishError(primary.finishReason, {
+        safetyRatings: primary.safetyRatings,
+        partialContent: primary.content
+      });
+    }
+
+    const result = {
+      content: primary.content,
+      toolCalls: primary.toolCalls,
+      thinkingContent: primary.thinkingContent,
+      thinkingSignature: primary.thinkingSignature,
+      finishReason: primary.finishReason,
+      usage: data.usageMetadata
+    };
+
+    if (candidates.length > 1) {
+      result.candidates = candidates.map(({ index, content, toolCalls, finishReason }) => ({
+        index,
+        content,
+        toolCalls,
+        finishReason
+      }));
+    }
+
+    return result;
+  }
 
-    let textContent = '';
+  /**
+   * Collect the text, thoughts and function calls of one candidate
+   */
+  parseCandidate(candidate, position) {
+    let content = '';
+    let thinkingContent = '';
+    let thinkingSignature = null;
     const toolCalls = [];
 
-    if (content && content.parts) {
-      for (const part of content.parts) {
-        if (part.text) {
-          textContent += part.text;
-        } else if (part.functionCall) {
-          toolCalls.push({
-            name: part.functionCall.name,
-            arguments: part.functionCall.args
-          });
-        }
+    for (const part of candidate.content?.parts || []) {
+      thinkingSignature = thinkingSignature || part.thoughtSignature || null;
+
+      if (part.text && part.thought) {
+        thinkingContent += part.text;
+      } else if (part.text) {
+        content += part.text;
+      } else if (part.functionCall) {
+        toolCalls.push({
+          name: part.functionCall.name,
+          arguments: part.functionCall.args
+        });
       }
     }
 
     return {
-      content: textContent,
+      index: candidate.index ?? position,
+      content,
+      thinkingContent,
+      thinkingSignature,
       toolCalls,
       finishReason: candidate.finishReason,
-      usage: data.usageMetadata
+      safetyRatings: candidate.safetyRatings
     };
   }
 
   /**
    * Get API endpoint with API key
    */
-  getEndpoint() {
+  getEndpoint(stream = this.config.get('stream')) {
     const baseUrl = this.config.get('apiUrl');
     const apiKey = this.config.get('apiKey');
-    const stream = this.config.get('stream');
     
     // Gemini uses API key in URL
     const url = new URL(baseUrl);
@@ -110,6 +391,10 @@ export class GeminiAdapter extends BaseAdapter {
       if (!baseUrl.includes('streamGenerateContent')) {
         url.pathname = url.pathname.replace('generateContent', 'streamGenerateContent');
       }
+      // Stream as server-sent events rather than one long JSON array
+      if (!url.searchParams.has('alt')) {
+        url.searchParams.set('alt', 'sse');
+      }
     }
     
     return url.toString();
@@ -124,21 +409,6 @@ export class GeminiAdapter extends BaseAdapter {
       // API key is in URL for Gemini
     };
   }
-
-  /**
-   * Format tool results for next request
-   */
-  formatToolResults(toolCalls, results) {
-    return {
-      role: 'function',
-      parts: toolCalls.map((call, index) => ({
-        functionResponse: {
-          name: call.name,
-          response: results[index]
-        }
-      }))
-    };
-  }
 }
 
 export default GeminiAdapter;
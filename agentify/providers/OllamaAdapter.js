@@ -0,0 +1,259 @@
+import { BaseAdapter } from './BaseAdapter.js';
+import { NetworkError } from '../errors/ErrorTypes.js';
+import { describePart, decodeBase64Text } from '../utils/content.js';
+
+/**
+ * Adapter for Ollama's native API (`/api/chat`, NDJSON streaming)
+ */
+export class OllamaAdapter extends BaseAdapter {
+  /**
+   * Format request for Ollama
+   */
+  formatRequest(messages, tools, config) {
+    const request = {
+      model: config.model,
+      messages: this.formatMessages(messages),
+      stream: Boolean(config.stream),
+      options: {
+        temperature: config.temperature
+      }
+    };
+
+    if (config.maxTokens) {
+      request.options.num_predict = config.maxTokens;
+    }
+
+    // Ollama has no thinking budget - thinking models are switched on, and num_predict counts the thinking
+    if (config.reasoning) {
+      request.think = true;
+      if (request.options.num_predict) {
+        request.options.num_predict += config.reasoning.budgetTokens;
+      }
+    }
+
+    // Ollama has no tool_choice - 'none' sends no tools and a forced tool is the only one offered
+    const toolChoice = config.toolChoice || 'auto';
+    if (tools && tools.length > 0 && toolChoice !== 'none') {
+      const offered = typeof toolChoice === 'object'
+        ? tools.filter(tool => tool.name === toolChoice.name)
+        : tools;
+      request.tools = this.formatTools(offered);
+    }
+
+    // Ollama constrains the output to a JSON Schema passed as `format`
+    if (config.responseSchema) {
+      request.format = config.responseSchema.schema;
+    }
+
+    return request;
+  }
+
+  /**
+   * Convert canonical messages to Ollama messages
+   * Tool call arguments are objects and tool results reference the tool by name
+   */
+  formatMessages(messages) {
+    // Ollama matches results by tool name, canonical results reference the call id
+    const callNames = new Map();
+
+    return messages.map(msg => {
+      if (msg.role === 'assistant' && msg.tool_calls) {
+        for (const call of msg.tool_calls) {
+          callNames.set(call.id, call.function.name);
+        }
+
+        return {
+          role: 'assistant',
+          content: msg.content || '',
+          tool_calls: msg.tool_calls.map(call => ({
+            function: {
+              name: call.function.name,
+              arguments: this.parseToolArguments(call.function.arguments)
+            }
+          }))
+        };
+      }
+
+      if (msg.role === 'tool') {
+        return {
+          role: 'tool',
+          content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content),
+          tool_name: callNames.get(msg.tool_call_id) || msg.name
+        };
+      }
+
+      if (Array.isArray(msg.content)) {
+        return { role: msg.role, ...this.formatContentParts(msg.content) };
+      }
+
+      return { role: msg.role, content: msg.content ?? '' };
+    });
+  }
+
+  /**
+   * Convert content parts to Ollama's text plus base64 `images`
+   * Text files are inlined; image URLs, audio and other files become a text placeholder
+   */
+  formatContentParts(parts) {
+    const text = [];
+    const images = [];
+
+    for (const part of parts) {
+      if (part.type === 'text') {
+        text.push(part.text);
+      } else if (part.type === 'image' && part.data) {
+        images.push(part.data);
+      } else if (part.type === 'file' && part.data && part.mimeType?.startsWith('text/')) {
+        text.push(`${describePart(part)}\n${decodeBase64Text(part.data)}`);
+      } else {
+        text.push(describePart(part));
+      }
+    }
+
+    const formatted = { content: text.join('\n') };
+    if (images.length > 0) {
+      formatted.images = images;
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Format tools for Ollama (OpenAI-style function definitions)
+   */
+  formatTools(tools) {
+    return tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters || { type: 'object', properties: {} }
+      }
+    }));
+  }
+
+  /**
+   * Parse Ollama response
+   */
+  parseResponse(data) {
+    if (!data.message) {
+      throw this.errorManager.createModelError(
+        'No message in response',
+        'MDL_INVALID_RESPONSE',
+        { response: data }
+      );
+    }
+
+    return {
+      content: data.message.content || '',
+      toolCalls: this.extractToolCalls(data.message),
+      thinkingContent: this.extractThinking(data) || '',
+      finishReason: data.done_reason || 'stop',
+      usage: this.extractUsage(data)
+    };
+  }
+
+  /**
+   * Extract tool calls from an Ollama message (Ollama does not assign call ids)
+   */
+  extractToolCalls(message) {
+    return (message.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function.name,
+      arguments: this.parseToolArguments(call.function.arguments)
+    }));
+  }
+
+  /**
+   * Extract thinking content from an Ollama message
+   */
+  extractThinking(data) {
+    return data.message?.thinking || null;
+  }
+
+  /**
+   * Get the token counts of a finished response
+   */
+  extractUsage(data) {
+    if (data.prompt_eval_count === undefined && data.eval_count === undefined) {
+      return undefined;
+    }
+
+    return {
+      prompt_eval_count: data.prompt_eval_count || 0,
+      eval_count: data.eval_count || 0
+    };
+  }
+
+  /**
+   * Parse Ollama's NDJSON stream
+   */
+  parseStream(handler) {
+    return handler.processOllamaBuffer();
+  }
+
+  /**
+   * Server root - the configured URL without any `/api/...` path
+   */
+  getBaseUrl() {
+    return this.config.get('apiUrl').replace(/\/+$/, '').replace(/\/api(\/.*)?$/, '');
+  }
+
+  /**
+   * Get API endpoint
+   */
+  getEndpoint() {
+    return `${this.getBaseUrl()}/api/chat`;
+  }
+
+  /**
+   * Get request headers - a local server needs no key, a proxy in front of it may
+   */
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    const apiKey = this.config.get('apiKey');
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * List the models installed on the server (`/api/tags`)
+   */
+  async listModels(options = {}) {
+    const { signal } = options;
+    const endpoint = `${this.getBaseUrl()}/api/tags`;
+
+    let response;
+    try {
+      response = await fetch(endpoint, { headers: this.getHeaders(), signal });
+    } catch (fetchError) {
+      this.throwIfAborted(signal);
+      throw this.errorManager.createNetworkError(
+        'Network request failed',
+        NetworkError.codes.CONNECTION_FAILED,
+        { endpoint, originalError: fetchError.message }
+      );
+    }
+
+    if (!response.ok) {
+      throw await this.errorManager.handleFetchError(response, endpoint);
+    }
+
+    const data = await response.json();
+
+    return (data.models || []).map(model => ({
+      id: model.name,
+      size: model.size,
+      modifiedAt: model.modified_at,
+      details: model.details || {}
+    }));
+  }
+}
+
+export default OllamaAdapter;
@@ -1,4 +1,10 @@
 import { BaseAdapter } from './BaseAdapter.js';
+import { getTextContent } from '../utils/content.js';
+
+/**
+ * Models that take reasoning parameters (o-series, gpt-5); others reject `reasoning_effort`
+ */
+const REASONING_MODELS = /^(o\d|gpt-5)/i;
 
 /**
  * Adapter for OpenAI API
@@ -10,18 +16,77 @@ export class OpenAIAdapter extends BaseAdapter {
   formatRequest(messages, tools, config) {
     const request = {
       model: config.model,
-      messages: messages,
+      // DeepSeek only accepts text content (and rejects its own reasoning_content as input)
+      messages: config.provider === 'deepseek'
+        ? messages.map(({ response_id, reasoning, ...msg }) => Array.isArray(msg.content) ? { ...msg, content: getTextContent(msg.content) } : msg)
+        : this.formatMessagesContent(messages),
       temperature: config.temperature,
       stream: config.stream
     };
 
+    // Ask for a final usage chunk so streamed requests can be accounted for
+    if (config.stream) {
+      request.stream_options = { include_usage: true };
+    }
+
     if (config.maxTokens) {
       request.max_tokens = config.maxTokens;
     }
 
+    // DeepSeek reasons when a reasoning model is chosen - it has no reasoning parameters
+    if (config.reasoning && config.provider !== 'deepseek' && REASONING_MODELS.test(config.model)) {
+      this.applyReasoning(request, config.reasoning);
+    }
+
     if (tools && tools.length > 0) {
       request.tools = this.formatTools(tools);
-      request.tool_choice = 'auto';
+      request.tool_choice = this.formatToolChoice(config.toolChoice || 'auto');
+    }
+
+    if (config.responseSchema) {
+      this.applyResponseSchema(request, config.responseSchema, config.provider);
+    }
+
+    return request;
+  }
+
+  /**
+   * Ask a reasoning model (o-series, gpt-5) for the given effort
+   * These models take `max_completion_tokens` (which includes reasoning) and no temperature
+   */
+  applyReasoning(request, reasoning) {
+    request.reasoning_effort = reasoning.effort;
+    delete request.temperature;
+
+    if (request.max_tokens) {
+      request.max_completion_tokens = request.max_tokens + reasoning.budgetTokens;
+      delete request.max_tokens;
+    }
+
+    return request;
+  }
+
+  /**
+   * Request structured output - JSON Schema mode on OpenAI, JSON mode plus instructions on DeepSeek
+   */
+  applyResponseSchema(request, responseSchema, provider) {
+    if (provider === 'deepseek') {
+      request.messages = this.withSchemaInstruction(request.messages, responseSchema);
+      request.response_format = { type: 'json_object' };
+      return request;
+    }
+
+    request.response_format = {
+      type: 'json_schema',
+      json_schema: {
+        name: responseSchema.name,
+        schema: responseSchema.schema,
+        strict: responseSchema.strict
+      }
+    };
+
+    if (responseSchema.description) {
+      request.response_format.json_schema.description = responseSchema.description;
     }
 
     return request;
@@ -65,11 +130,20 @@ export class OpenAIAdapter extends BaseAdapter {
     return {
       content: message.content || '',
       toolCalls: this.extractToolCalls(message),
+      thinkingContent: this.extractThinking(data) || '',
       finishReason: choice.finish_reason,
       usage: data.usage
     };
   }
 
+  /**
+   * Extract reasoning text (DeepSeek `reasoning_content`, `reasoning` on other compatible servers)
+   */
+  extractThinking(data) {
+    const message = data.choices?.[0]?.message;
+    return message?.reasoning_content || (typeof message?.reasoning === 'string' ? message.reasoning : null) || null;
+  }
+
   /**
    * Extract tool calls from OpenAI message
    */
@@ -85,31 +159,6 @@ export class OpenAIAdapter extends BaseAdapter {
       arguments: this.parseToolArguments(call.function.arguments)
     }));
   }
-
-  /**
-   * Parse tool arguments (may be string or object)
-   */
-  parseToolArguments(args) {
-    if (typeof args === 'string') {
-      try {
-        return JSON.parse(args);
-      } catch {
-        return {};
-      }
-    }
-    return args || {};
-  }
-
-  /**
-   * Format tool results for next request
-   */
-  formatToolResults(toolCalls, results) {
-    return toolCalls.map((call, index) => ({
-      role: 'tool',
-      tool_call_id: call.id,
-      content: JSON.stringify(results[index])
-    }));
-  }
 }
 
 export default OpenAIAdapter;
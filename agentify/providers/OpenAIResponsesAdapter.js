@@ -0,0 +1,266 @@
+import { BaseAdapter } from './BaseAdapter.js';
+import { toDataUrl, describePart } from '../utils/content.js';
+
+/**
+ * Adapter for the OpenAI Responses API (`/v1/responses`)
+ * History is sent as input items; with `responseThreading` only the items after the
+ * last stored response are sent, together with its `previous_response_id`.
+ */
+export class OpenAIResponsesAdapter extends BaseAdapter {
+  /**
+   * Format request for the Responses API
+   */
+  formatRequest(messages, tools, config) {
+    // System messages (instruction, conversation summary) are not carried over by
+    // previous_response_id, so they are always sent as instructions
+    const instructions = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+    let conversationMessages = messages.filter(m => m.role !== 'system');
+
+    const request = {
+      model: config.model,
+      stream: config.stream
+    };
+
+    if (config.responseThreading) {
+      const lastResponse = conversationMessages.findLastIndex(m => m.role === 'assistant' && m.response_id);
+      if (lastResponse !== -1) {
+        request.previous_response_id = conversationMessages[lastResponse].response_id;
+        conversationMessages = conversationMessages.slice(lastResponse + 1);
+      }
+    }
+
+    request.input = this.formatInput(conversationMessages);
+
+    if (instructions) {
+      request.instructions = instructions;
+    }
+
+    if (config.temperature !== undefined && config.temperature !== null) {
+      request.temperature = config.temperature;
+    }
+
+    if (config.maxTokens) {
+      request.max_output_tokens = config.maxTokens;
+    }
+
+    // Reasoning models take no temperature; max_output_tokens includes the reasoning tokens
+    if (config.reasoning) {
+      request.reasoning = { effort: config.reasoning.effort, summary: 'auto' };
+      delete request.temperature;
+      if (request.max_output_tokens) {
+        request.max_output_tokens += config.reasoning.budgetTokens;
+      }
+    }
+
+    if (tools && tools.length > 0) {
+      request.tools = this.formatTools(tools);
+      request.tool_choice = this.formatToolChoice(config.toolChoice || 'auto');
+    }
+
+    if (config.responseSchema) {
+      request.text = {
+        format: {
+          type: 'json_schema',
+          name: config.responseSchema.name,
+          schema: config.responseSchema.schema,
+          strict: config.responseSchema.strict
+        }
+      };
+
+      if (config.responseSchema.description) {
+        request.text.format.description = config.responseSchema.description;
+      }
+    }
+
+    return request;
+  }
+
+  /**
+   * Convert canonical messages to input items
+   * Tool calls become `function_call` items and results `function_call_output` items
+   */
+  formatInput(messages) {
+    const input = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        input.push({
+          type: 'function_call_output',
+          call_id: msg.tool_call_id,
+          output: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
+        });
+      } else if (msg.role === 'assistant') {
+        if (msg.content) {
+          input.push({ role: 'assistant', content: msg.content });
+        }
+
+        for (const call of msg.tool_calls || []) {
+          input.push({
+            type: 'function_call',
+            call_id: call.id,
+            name: call.function.name,
+            arguments: typeof call.function.arguments === 'string'
+              ? call.function.arguments
+              : JSON.stringify(call.function.arguments)
+          });
+        }
+      } else {
+        input.push({
+          role: msg.role,
+          content: Array.isArray(msg.content) ? msg.content.map(part => this.formatContentPart(part)) : msg.content
+        });
+      }
+    }
+
+    return input;
+  }
+
+  /**
+   * Convert one content part to an input content item
+   * Audio is not accepted as input and becomes a text placeholder
+   */
+  formatContentPart(part) {
+    switch (part.type) {
+      case 'text':
+        return { type: 'input_text', text: part.text };
+
+      case 'image':
+        return { type: 'input_image', image_url: part.data ? toDataUrl(part) : part.url };
+
+      case 'file':
+        return part.data
+          ? { type: 'input_file', filename: part.name || 'file', file_data: toDataUrl(part) }
+          : { type: 'input_file', file_url: part.url };
+    }
+
+    return { type: 'input_text', text: describePart(part) };
+  }
+
+  /**
+   * Format tools for the Responses API (flat function definitions)
+   */
+  formatTools(tools) {
+    return tools.map(tool => ({
+      type: 'function',
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters || { type: 'object', properties: {} },
+      strict: false
+    }));
+  }
+
+  /**
+   * Convert a normalized tool choice to the Responses API's `tool_choice`
+   */
+  formatToolChoice(toolChoice) {
+    return typeof toolChoice === 'object'
+      ? { type: 'function', name: toolChoice.name }
+      : toolChoice;
+  }
+
+  /**
+   * Parse Responses API response
+   */
+  parseResponse(data) {
+    if (!Array.isArray(data.output)) {
+      throw this.errorManager.createModelError(
+        'No output in response',
+        'MDL_INVALID_RESPONSE',
+        { response: data }
+      );
+    }
+
+    let content = '';
+    const toolCalls = [];
+
+    for (const item of data.output) {
+      if (item.type === 'message') {
+        for (const part of item.content || []) {
+          if (part.type === 'output_text') {
+            content += part.text;
+          }
+        }
+      } else if (item.type === 'function_call') {
+        toolCalls.push({
+          id: item.call_id,
+          type: 'function',
+          name: item.name,
+          arguments: this.parseToolArguments(item.arguments)
+        });
+      }
+    }
+
+    return {
+      content,
+      toolCalls,
+      thinkingContent: this.extractThinking(data) || '',
+      finishReason: this.getFinishReason(data, toolCalls.length > 0),
+      usage: data.usage,
+      responseId: data.id
+    };
+  }
+
+  /**
+   * Map the response status to a Chat Completions style finish reason
+   */
+  getFinishReason(data, hasToolCalls) {
+    if (data.status === 'incomplete') {
+      const reason = data.incomplete_details?.reason;
+      return reason === 'max_output_tokens' ? 'length' : reason || 'incomplete';
+    }
+    return hasToolCalls ? 'tool_calls' : 'stop';
+  }
+
+  /**
+   * Extract reasoning summary text from a response
+   */
+  extractThinking(data) {
+    const summary = (data.output || [])
+      .filter(item => item.type === 'reasoning')
+      .flatMap(item => (item.summary || []).map(part => part.text))
+      .join('\n');
+
+    return summary || null;
+  }
+
+  /**
+   * Parse the Responses API's event stream
+   */
+  parseStream(handler) {
+    return handler.processResponsesBuffer();
+  }
+
+  /**
+   * Get API endpoint - an `apiVersion` is added as `api-version` (Azure)
+   */
+  getEndpoint() {
+    const apiVersion = this.config.get('apiVersion');
+    if (!apiVersion) {
+      return this.config.get('apiUrl');
+    }
+
+    const url = new URL(this.config.get('apiUrl'));
+    if (!url.searchParams.has('api-version')) {
+      url.searchParams.set('api-version', apiVersion);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Get request headers - Azure endpoints take the key in the `api-key` header
+   */
+  getHeaders() {
+    const apiKey = this.config.get('apiKey');
+
+    if (new URL(this.config.get('apiUrl')).hostname.endsWith('.azure.com')) {
+      return { 'Content-Type': 'application/json', 'api-key': apiKey };
+    }
+
+    return { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` };
+  }
+}
+
+export default OpenAIResponsesAdapter;
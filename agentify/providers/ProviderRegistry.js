@@ -0,0 +1,131 @@
+import { validateProviderDefinition } from '../utils/validators.js';
+import { OpenAIAdapter } from './OpenAIAdapter.js';
+import { AnthropicAdapter } from './AnthropicAdapter.js';
+import { GeminiAdapter } from './GeminiAdapter.js';
+import { CustomAdapter } from './CustomAdapter.js';
+import { OllamaAdapter } from './OllamaAdapter.js';
+import { AzureOpenAIAdapter } from './AzureOpenAIAdapter.js';
+import { OpenAIResponsesAdapter } from './OpenAIResponsesAdapter.js';
+
+/**
+ * Registry of AI providers.
+ *
+ * A provider is an adapter class (request format, headers, tool format and stream parsing),
+ * an optional `streamParser(handler)` that replaces the adapter's parseStream, an optional
+ * `detect(url)` used to pick the provider from the API URL, and `requiresApiKey: false`
+ * for servers that need no key.
+ */
+export class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider (replaces one with the same name)
+   */
+  register(name, definition) {
+    validateProviderDefinition(name, definition);
+
+    this.providers.set(name, {
+      name,
+      adapter: definition.adapter,
+      streamParser: definition.streamParser || null,
+      detect: definition.detect || null,
+      requiresApiKey: definition.requiresApiKey !== false
+    });
+
+    return this;
+  }
+
+  /**
+   * Remove a provider
+   */
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  /**
+   * Get a provider definition, or null if unknown
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Check if a provider is registered
+   */
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * Get the names of all registered providers
+   */
+  getNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Create the adapter of a provider (the custom adapter for unknown names)
+   */
+  createAdapter(name, config, errorManager, eventManager = null) {
+    const provider = this.get(name) || this.get('custom');
+    return new provider.adapter(config, errorManager, eventManager);
+  }
+
+  /**
+   * Get a provider's stream parser - its `streamParser`, or the parseStream of `adapter`
+   */
+  getStreamParser(name, adapter) {
+    const provider = this.get(name) || this.get('custom');
+    return provider.streamParser || ((handler) => adapter.parseStream(handler));
+  }
+
+  /**
+   * Find the provider for an API URL, or null if none claims it
+   * Later registrations are asked first, so a custom provider can claim URLs of a built-in one
+   */
+  detect(url) {
+    const providers = Array.from(this.providers.values()).reverse();
+    return providers.find(provider => provider.detect && provider.detect(url))?.name || null;
+  }
+}
+
+/**
+ * Shared registry with the built-in providers
+ */
+export const providerRegistry = new ProviderRegistry()
+  .register('custom', { adapter: CustomAdapter })
+  .register('openai', {
+    adapter: OpenAIAdapter,
+    detect: (url) => url.toLowerCase().includes('openai.com')
+  })
+  .register('anthropic', {
+    adapter: AnthropicAdapter,
+    detect: (url) => url.toLowerCase().includes('anthropic.com')
+  })
+  .register('gemini', {
+    adapter: GeminiAdapter,
+    detect: (url) => /googleapis\.com|generativelanguage/.test(url.toLowerCase())
+  })
+  .register('deepseek', {
+    adapter: OpenAIAdapter,
+    detect: (url) => url.toLowerCase().includes('deepseek.com')
+  })
+  .register('ollama', {
+    adapter: OllamaAdapter,
+    // Ollama's default port - its OpenAI-compatible `/v1` endpoints are left to the custom adapter
+    detect: (url) => /\/\/(localhost|127\.0\.0\.1|\[::1\]):11434(\/(?!v1\b)|$)/.test(url.toLowerCase()),
+    requiresApiKey: false
+  })
+  .register('azure', {
+    adapter: AzureOpenAIAdapter,
+    detect: (url) => /\.(openai|cognitiveservices)\.azure\.com/.test(url.toLowerCase())
+  })
+  .register('openai-responses', {
+    adapter: OpenAIResponsesAdapter,
+    // Any URL ending in /responses, on OpenAI or Azure
+    detect: (url) => /\/responses\/?(\?|$)/.test(url.toLowerCase())
+  });
+
+export default ProviderRegistry;
@@ -0,0 +1,194 @@
+import { StorageError } from '../errors/ErrorTypes.js';
+import { formatBytes } from '../utils/formatters.js';
+import { validateStorageAdapter } from '../utils/validators.js';
+import { describePart } from '../utils/content.js';
+import { createDefaultStorage } from './adapters/index.js';
+
+/**
+ * Keeps large binary message parts (images, files, audio) out of chat history.
+ *
+ * Parts whose base64 data exceeds `inlineLimit` characters are saved under their own
+ * storage key and replaced by a `ref`; `resolveMessages` loads them back before a request.
+ */
+export class AttachmentManager {
+  constructor(keyPrefix = 'agentify_attachment_', errorManager, storage = createDefaultStorage()) {
+    validateStorageAdapter(storage);
+
+    this.keyPrefix = keyPrefix;
+    this.errorManager = errorManager;
+    this.storage = storage;
+    this.inlineLimit = 16 * 1024;
+  }
+
+  /**
+   * Generate unique attachment ID
+   */
+  generateAttachmentId() {
+    return `att_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Move large parts of message content into attachment storage
+   */
+  async storeContent(content) {
+    if (!Array.isArray(content)) {
+      return content;
+    }
+
+    return Promise.all(content.map(async (part) => {
+      if (!part.data || part.data.length <= this.inlineLimit) {
+        return part;
+      }
+
+      const { data, ...rest } = part;
+      const ref = await this.saveAttachment(part);
+      return { ...rest, ref, size: part.size ?? Math.floor(data.length * 3 / 4) };
+    }));
+  }
+
+  /**
+   * Load referenced parts of message content back from attachment storage
+   */
+  async resolveContent(content) {
+    if (!Array.isArray(content)) {
+      return content;
+    }
+
+    return Promise.all(content.map(async (part) => {
+      if (!part.ref) {
+        return part;
+      }
+
+      const attachment = await this.getAttachment(part.ref);
+
+      // The data is gone (cleared storage) - keep the conversation readable
+      if (!attachment) {
+        return { type: 'text', text: `${describePart(part)} (attachment no longer available)` };
+      }
+
+      const { ref, ...rest } = part;
+      return { ...rest, data: attachment.data, mimeType: attachment.mimeType || part.mimeType };
+    }));
+  }
+
+  /**
+   * Resolve referenced parts in a list of messages
+   */
+  async resolveMessages(messages) {
+    return Promise.all(messages.map(async (message) =>
+      Array.isArray(message.content)
+        ? { ...message, content: await this.resolveContent(message.content) }
+        : message
+    ));
+  }
+
+  /**
+   * Collect attachment IDs referenced by a list of messages
+   */
+  getReferencedIds(messages) {
+    return messages.flatMap(message =>
+      Array.isArray(message.content)
+        ? message.content.filter(part => part.ref).map(part => part.ref)
+        : []
+    );
+  }
+
+  /**
+   * Save an attachment and return its ID
+   */
+  async saveAttachment(part) {
+    const id = this.generateAttachmentId();
+
+    try {
+      await this.storage.set(this.keyPrefix + id, {
+        id,
+        type: part.type,
+        mimeType: part.mimeType,
+        name: part.name || null,
+        data: part.data,
+        createdAt: new Date().toISOString()
+      });
+      return id;
+    } catch (error) {
+      throw this.errorManager.createStorageError(
+        'Failed to save attachment',
+        error.name === 'QuotaExceededError'
+          ? StorageError.codes.QUOTA_EXCEEDED
+          : StorageError.codes.WRITE_FAILED,
+        { name: part.name, mimeType: part.mimeType, originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Get an attachment by ID, or null if it does not exist
+   */
+  async getAttachment(id) {
+    try {
+      return (await this.storage.get(this.keyPrefix + id)) || null;
+    } catch (error) {
+      throw this.errorManager.createStorageError(
+        'Failed to read attachment',
+        StorageError.codes.READ_FAILED,
+        { attachmentId: id, originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Delete attachments by ID
+   */
+  async deleteAttachments(ids) {
+    try {
+      await Promise.all(ids.map(id => this.storage.delete(this.keyPrefix + id)));
+      return ids.length;
+    } catch (error) {
+      throw this.errorManager.createStorageError(
+        'Failed to delete attachments',
+        StorageError.codes.WRITE_FAILED,
+        { attachmentIds: ids, originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Get the IDs of all stored attachments
+   */
+  async listAttachmentIds() {
+    try {
+      const keys = await this.storage.list(this.keyPrefix);
+      return keys.map(key => key.slice(this.keyPrefix.length));
+    } catch (error) {
+      throw this.errorManager.createStorageError(
+        'Failed to list attachments',
+        StorageError.codes.READ_FAILED,
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Delete all attachments
+   */
+  async clearAllAttachments() {
+    return this.deleteAttachments(await this.listAttachmentIds());
+  }
+
+  /**
+   * Get storage statistics
+   */
+  async getStorageStats() {
+    const ids = await this.listAttachmentIds();
+    const attachments = await Promise.all(ids.map(id => this.getAttachment(id)));
+    const storageUsed = attachments.reduce((total, attachment) =>
+      total + (attachment ? JSON.stringify(attachment).length : 0), 0);
+
+    return {
+      totalAttachments: ids.length,
+      storageUsed,
+      storageUsedFormatted: formatBytes(storageUsed)
+    };
+  }
+}
+
+export default AttachmentManager;
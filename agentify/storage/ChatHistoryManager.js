@@ -1,46 +1,33 @@
 import { StorageError } from '../errors/ErrorTypes.js';
 import { formatBytes } from '../utils/formatters.js';
+import { createDefaultStorage } from './adapters/index.js';
+import { countMessageTokens, estimateTokens } from '../utils/tokens.js';
+import { getTextContent } from '../utils/content.js';
+import { QueuedStorage } from './QueuedStorage.js';
 
 /**
  * Manages chat history storage and retrieval
+ *
+ * With an AttachmentManager, attachments of messages that leave the history
+ * (trimmed, deleted, replaced or cleared) are deleted too.
  */
-export class ChatHistoryManager {
-  constructor(storageKey = 'agentify_chat_history', errorManager) {
-    this.storageKey = storageKey;
-    this.errorManager = errorManager;
+export class ChatHistoryManager extends QueuedStorage {
+  constructor(storageKey = 'agentify_chat_history', errorManager, storage = createDefaultStorage(), attachmentManager = null) {
+    super(storageKey, errorManager, storage);
+
+    this.attachmentManager = attachmentManager;
     this.maxMessagesPerChat = 100;
     this.maxChats = 50;
-    
-    this.ensureStorageAvailable();
-  }
-
-  /**
-   * Ensure localStorage is available
-   */
-  ensureStorageAvailable() {
-    try {
-      const test = '__agentify_test__';
-      localStorage.setItem(test, test);
-      localStorage.removeItem(test);
-    } catch (error) {
-      throw this.errorManager.createStorageError(
-        'localStorage is not available',
-        StorageError.codes.NOT_AVAILABLE,
-        { originalError: error.message }
-      );
-    }
   }
 
   /**
    * Get all chat histories
+   * Reads storage directly; callers that modify histories must run inside enqueue()
    */
-  getAllHistories() {
+  async getAllHistories() {
     try {
-      const historiesJson = localStorage.getItem(this.storageKey);
-      if (!historiesJson) {
-        return {};
-      }
-      return JSON.parse(historiesJson);
+      const histories = await this.storage.get(this.storageKey);
+      return histories || {};
     } catch (error) {
       throw this.errorManager.createStorageError(
         'Failed to read chat histories',
@@ -52,19 +39,22 @@ export class ChatHistoryManager {
 
   /**
    * Save all chat histories
+   * `removedMessages` are messages the change drops - their attachments are deleted once saved
    */
-  saveAllHistories(histories) {
+  async saveAllHistories(histories, removedMessages = []) {
+    const removed = [...removedMessages];
+
     try {
-      const historiesJson = JSON.stringify(histories);
-      localStorage.setItem(this.storageKey, historiesJson);
+      await this.storage.set(this.storageKey, histories);
     } catch (error) {
       if (error.name === 'QuotaExceededError') {
         // Try to clean up old chats
-        this.cleanupOldChats(histories);
+        for (const chat of this.cleanupOldChats(histories)) {
+          removed.push(...chat.messages);
+        }
         
         try {
-          const historiesJson = JSON.stringify(histories);
-          localStorage.setItem(this.storageKey, historiesJson);
+          await this.storage.set(this.storageKey, histories);
         } catch {
           throw this.errorManager.createStorageError(
             'Storage quota exceeded even after cleanup',
@@ -80,34 +70,70 @@ export class ChatHistoryManager {
         );
       }
     }
+
+    await this.deleteUnreferencedAttachments(removed, histories);
+  }
+
+  /**
+   * Delete the attachments of removed messages that no remaining message references
+   * Failures are logged - orphaned attachments must not break the history
+   */
+  async deleteUnreferencedAttachments(removedMessages, histories) {
+    if (!this.attachmentManager || removedMessages.length === 0) {
+      return 0;
+    }
+
+    const removedIds = this.attachmentManager.getReferencedIds(removedMessages);
+    if (removedIds.length === 0) {
+      return 0;
+    }
+
+    // Merged chats can share an attachment
+    const keptIds = new Set(Object.values(histories).flatMap(chat =>
+      this.attachmentManager.getReferencedIds(chat.messages)
+    ));
+
+    try {
+      return await this.attachmentManager.deleteAttachments(removedIds.filter(id => !keptIds.has(id)));
+    } catch (error) {
+      this.errorManager.logError(error);
+      return 0;
+    }
   }
 
   /**
    * Get chat history by ID
    */
-  getChatHistory(chatId) {
-    const histories = this.getAllHistories();
+  async getChatHistory(chatId) {
+    const histories = await this.enqueue(() => this.getAllHistories());
     
     if (!histories[chatId]) {
-      return {
-        chatId,
-        messages: [],
-        metadata: {
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-          messageCount: 0
-        }
-      };
+      return this.createEmptyHistory(chatId);
     }
 
     return histories[chatId];
   }
 
+  /**
+   * Create an empty history record for a chat
+   */
+  createEmptyHistory(chatId) {
+    return {
+      chatId,
+      messages: [],
+      metadata: {
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        messageCount: 0
+      }
+    };
+  }
+
   /**
    * Get messages for a chat
    */
-  getMessages(chatId, options = {}) {
-    const history = this.getChatHistory(chatId);
+  async getMessages(chatId, options = {}) {
+    const history = await this.getChatHistory(chatId);
     let messages = [...history.messages];
 
     // Apply limit
@@ -131,8 +157,15 @@ export class ChatHistoryManager {
   /**
    * Add message to chat history
    */
-  addMessage(chatId, message) {
-    const histories = this.getAllHistories();
+  async addMessage(chatId, message) {
+    return this.enqueue(() => this.appendMessage(chatId, message));
+  }
+
+  /**
+   * Append a message to storage (caller must hold the queue)
+   */
+  async appendMessage(chatId, message) {
+    const histories = await this.getAllHistories();
     
     if (!histories[chatId]) {
       histories[chatId] = {
@@ -160,12 +193,14 @@ export class ChatHistoryManager {
     chat.metadata.messageCount = chat.messages.length;
 
     // Trim if exceeds max
+    let trimmed = [];
     if (chat.messages.length > this.maxMessagesPerChat) {
+      trimmed = chat.messages.slice(0, -this.maxMessagesPerChat);
       chat.messages = chat.messages.slice(-this.maxMessagesPerChat);
       chat.metadata.messageCount = chat.messages.length;
     }
 
-    this.saveAllHistories(histories);
+    await this.saveAllHistories(histories, trimmed);
     
     return messageWithMeta;
   }
@@ -173,10 +208,10 @@ export class ChatHistoryManager {
   /**
    * Add multiple messages to chat history
    */
-  addMessages(chatId, messages) {
+  async addMessages(chatId, messages) {
     const results = [];
     for (const message of messages) {
-      results.push(this.addMessage(chatId, message));
+      results.push(await this.addMessage(chatId, message));
     }
     return results;
   }
@@ -184,107 +219,183 @@ export class ChatHistoryManager {
   /**
    * Update chat history completely
    */
-  updateChatHistory(chatId, messages) {
-    const histories = this.getAllHistories();
-    
-    histories[chatId] = {
-      chatId,
-      messages: messages.map((msg, index) => ({
-        ...msg,
-        timestamp: msg.timestamp || new Date().toISOString(),
-        messageId: msg.messageId || this.generateMessageId()
-      })),
-      metadata: {
-        createdAt: histories[chatId]?.metadata?.createdAt || new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        messageCount: messages.length
+  async updateChatHistory(chatId, messages) {
+    return this.enqueue(async () => {
+      const histories = await this.getAllHistories();
+      const previousMessages = histories[chatId]?.messages || [];
+      
+      histories[chatId] = {
+        chatId,
+        messages: messages.map((msg, index) => ({
+          ...msg,
+          timestamp: msg.timestamp || new Date().toISOString(),
+          messageId: msg.messageId || this.generateMessageId()
+        })),
+        metadata: {
+          createdAt: histories[chatId]?.metadata?.createdAt || new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+          messageCount: messages.length
+        }
+      };
+
+      await this.saveAllHistories(histories, previousMessages);
+      return histories[chatId];
+    });
+  }
+
+  /**
+   * Delete messages from a chat by messageId
+   * Returns the number of messages deleted
+   */
+  async deleteMessages(chatId, messageIds) {
+    return this.enqueue(async () => {
+      const histories = await this.getAllHistories();
+      const chat = histories[chatId];
+
+      if (!chat) {
+        return 0;
       }
-    };
 
-    this.saveAllHistories(histories);
-    return histories[chatId];
+      const ids = new Set(messageIds);
+      const messages = chat.messages.filter(msg => !ids.has(msg.messageId));
+      const deleted = chat.messages.length - messages.length;
+
+      if (deleted > 0) {
+        const removed = chat.messages.filter(msg => ids.has(msg.messageId));
+        chat.messages = messages;
+        chat.metadata.updatedAt = new Date().toISOString();
+        chat.metadata.messageCount = messages.length;
+        await this.saveAllHistories(histories, removed);
+      }
+
+      return deleted;
+    });
   }
 
   /**
    * Clear chat history
    */
-  clearChatHistory(chatId) {
-    const histories = this.getAllHistories();
-    
-    if (histories[chatId]) {
-      delete histories[chatId];
-      this.saveAllHistories(histories);
-      return true;
-    }
+  async clearChatHistory(chatId) {
+    return this.enqueue(async () => {
+      const histories = await this.getAllHistories();
+      
+      if (histories[chatId]) {
+        const { messages } = histories[chatId];
+        delete histories[chatId];
+        await this.saveAllHistories(histories, messages);
+        return true;
+      }
 
-    return false;
+      return false;
+    });
   }
 
   /**
    * Clear all chat histories
    */
-  clearAllHistories() {
-    try {
-      localStorage.removeItem(this.storageKey);
-      return true;
-    } catch (error) {
-      throw this.errorManager.createStorageError(
-        'Failed to clear chat histories',
-        StorageError.codes.WRITE_FAILED,
-        { originalError: error.message }
-      );
-    }
+  async clearAllHistories() {
+    return this.enqueue(async () => {
+      try {
+        await this.storage.delete(this.storageKey);
+        await this.attachmentManager?.clearAllAttachments();
+        return true;
+      } catch (error) {
+        throw this.errorManager.createStorageError(
+          'Failed to clear chat histories',
+          StorageError.codes.WRITE_FAILED,
+          { originalError: error.message }
+        );
+      }
+    });
   }
 
   /**
    * Get all chat IDs
    */
-  getAllChatIds() {
-    const histories = this.getAllHistories();
+  async getAllChatIds() {
+    const histories = await this.enqueue(() => this.getAllHistories());
     return Object.keys(histories);
   }
 
   /**
    * Get chat metadata
    */
-  getChatMetadata(chatId) {
-    const history = this.getChatHistory(chatId);
+  async getChatMetadata(chatId) {
+    const history = await this.getChatHistory(chatId);
     return history.metadata;
   }
 
+  /**
+   * Store the rolling summary of a chat's older messages in its metadata
+   */
+  async setChatSummary(chatId, summary) {
+    return this.enqueue(async () => {
+      const histories = await this.getAllHistories();
+      const chat = histories[chatId] || this.createEmptyHistory(chatId);
+
+      chat.metadata.summary = {
+        content: summary.content,
+        summarizedUntil: summary.summarizedUntil,
+        summarizedCount: summary.summarizedCount || 0,
+        updatedAt: new Date().toISOString()
+      };
+      chat.metadata.updatedAt = new Date().toISOString();
+
+      histories[chatId] = chat;
+      await this.saveAllHistories(histories);
+
+      return chat.metadata.summary;
+    });
+  }
+
+  /**
+   * Get messages not yet covered by the chat summary
+   */
+  getUnsummarizedMessages(history) {
+    const summarizedUntil = history.metadata?.summary?.summarizedUntil;
+
+    if (!summarizedUntil) {
+      return history.messages;
+    }
+
+    // If the summarized message was already trimmed away, everything left is newer
+    const index = history.messages.findIndex(msg => msg.messageId === summarizedUntil);
+    return index === -1 ? history.messages : history.messages.slice(index + 1);
+  }
+
   /**
    * Check if chat exists
    */
-  chatExists(chatId) {
-    const histories = this.getAllHistories();
+  async chatExists(chatId) {
+    const histories = await this.enqueue(() => this.getAllHistories());
     return !!histories[chatId];
   }
 
   /**
    * Get message count for a chat
    */
-  getMessageCount(chatId) {
-    const history = this.getChatHistory(chatId);
+  async getMessageCount(chatId) {
+    const history = await this.getChatHistory(chatId);
     return history.messages.length;
   }
 
   /**
    * Get last N messages from a chat
    */
-  getLastMessages(chatId, count = 10) {
-    const history = this.getChatHistory(chatId);
+  async getLastMessages(chatId, count = 10) {
+    const history = await this.getChatHistory(chatId);
     return history.messages.slice(-count);
   }
 
   /**
    * Search messages in a chat
    */
-  searchMessages(chatId, query, options = {}) {
-    const history = this.getChatHistory(chatId);
+  async searchMessages(chatId, query, options = {}) {
+    const history = await this.getChatHistory(chatId);
     const queryLower = query.toLowerCase();
 
     let results = history.messages.filter(msg => {
-      const content = typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content);
+      const content = getTextContent(msg.content);
       return content.toLowerCase().includes(queryLower);
     });
 
@@ -302,8 +413,8 @@ export class ChatHistoryManager {
   /**
    * Export chat history
    */
-  exportChatHistory(chatId, format = 'json') {
-    const history = this.getChatHistory(chatId);
+  async exportChatHistory(chatId, format = 'json') {
+    const history = await this.getChatHistory(chatId);
 
     switch (format.toLowerCase()) {
       case 'json':
@@ -335,7 +446,7 @@ export class ChatHistoryManager {
     history.messages.forEach((msg, index) => {
       text += `[${index + 1}] ${msg.role.toUpperCase()}\n`;
       text += `Time: ${msg.timestamp}\n`;
-      text += `Content: ${typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)}\n`;
+      text += `Content: ${getTextContent(msg.content)}\n`;
       text += `${'-'.repeat(60)}\n\n`;
     });
 
@@ -354,7 +465,7 @@ export class ChatHistoryManager {
     history.messages.forEach((msg, index) => {
       md += `### Message ${index + 1} - ${msg.role}\n\n`;
       md += `*${msg.timestamp}*\n\n`;
-      md += `${typeof msg.content === 'string' ? msg.content : '```json\n' + JSON.stringify(msg.content, null, 2) + '\n```'}\n\n`;
+      md += `${typeof msg.content === 'string' || Array.isArray(msg.content) ? getTextContent(msg.content) : '```json\n' + JSON.stringify(msg.content, null, 2) + '\n```'}\n\n`;
       md += `---\n\n`;
     });
 
@@ -378,7 +489,7 @@ export class ChatHistoryManager {
       html += `<span>${msg.timestamp}</span>`;
       html += `</div>`;
       html += `<div class="message-content">`;
-      html += typeof msg.content === 'string' ? msg.content : `<pre>${JSON.stringify(msg.content, null, 2)}</pre>`;
+      html += typeof msg.content === 'string' || Array.isArray(msg.content) ? getTextContent(msg.content) : `<pre>${JSON.stringify(msg.content, null, 2)}</pre>`;
       html += `</div>`;
       html += `</div>`;
     });
@@ -390,7 +501,7 @@ export class ChatHistoryManager {
   /**
    * Import chat history
    */
-  importChatHistory(chatId, data, format = 'json') {
+  async importChatHistory(chatId, data, format = 'json') {
     let history;
 
     if (format === 'json') {
@@ -399,21 +510,25 @@ export class ChatHistoryManager {
       throw new Error('Only JSON format is supported for import');
     }
 
-    const histories = this.getAllHistories();
-    histories[chatId] = history;
-    this.saveAllHistories(histories);
+    return this.enqueue(async () => {
+      const histories = await this.getAllHistories();
+      const previousMessages = histories[chatId]?.messages || [];
+      histories[chatId] = history;
+      await this.saveAllHistories(histories, previousMessages);
 
-    return history;
+      return history;
+    });
   }
 
   /**
    * Cleanup old chats
+   * Returns the removed chats
    */
   cleanupOldChats(histories) {
     const chatIds = Object.keys(histories);
     
     if (chatIds.length <= this.maxChats) {
-      return;
+      return [];
     }
 
     // Sort by updatedAt
@@ -425,16 +540,18 @@ export class ChatHistoryManager {
 
     // Remove oldest chats
     const toRemove = sorted.slice(0, chatIds.length - this.maxChats);
-    toRemove.forEach(chatId => {
+    return toRemove.map(chatId => {
+      const chat = histories[chatId];
       delete histories[chatId];
+      return chat;
     });
   }
 
   /**
    * Get storage statistics
    */
-  getStorageStats() {
-    const histories = this.getAllHistories();
+  async getStorageStats() {
+    const histories = await this.enqueue(() => this.getAllHistories());
     const historiesJson = JSON.stringify(histories);
     const chatIds = Object.keys(histories);
 
@@ -462,48 +579,126 @@ export class ChatHistoryManager {
   /**
    * Merge chat histories
    */
-  mergeChats(targetChatId, sourceChatIds) {
-    const histories = this.getAllHistories();
-    const targetChat = this.getChatHistory(targetChatId);
-
-    sourceChatIds.forEach(sourceChatId => {
-      if (histories[sourceChatId]) {
-        targetChat.messages.push(...histories[sourceChatId].messages);
-      }
-    });
+  async mergeChats(targetChatId, sourceChatIds) {
+    return this.enqueue(async () => {
+      const histories = await this.getAllHistories();
+      const targetChat = histories[targetChatId] || this.createEmptyHistory(targetChatId);
+
+      sourceChatIds.forEach(sourceChatId => {
+        if (histories[sourceChatId]) {
+          targetChat.messages.push(...histories[sourceChatId].messages);
+        }
+      });
 
-    // Sort by timestamp
-    targetChat.messages.sort((a, b) => {
-      return new Date(a.timestamp) - new Date(b.timestamp);
-    });
+      // Sort by timestamp
+      targetChat.messages.sort((a, b) => {
+        return new Date(a.timestamp) - new Date(b.timestamp);
+      });
 
-    targetChat.metadata.updatedAt = new Date().toISOString();
-    targetChat.metadata.messageCount = targetChat.messages.length;
+      targetChat.metadata.updatedAt = new Date().toISOString();
+      targetChat.metadata.messageCount = targetChat.messages.length;
 
-    histories[targetChatId] = targetChat;
-    this.saveAllHistories(histories);
+      histories[targetChatId] = targetChat;
+      await this.saveAllHistories(histories);
 
-    return targetChat;
+      return targetChat;
+    });
   }
 
   /**
    * Get context window (last N messages formatted for API)
    */
-  getContextWindow(chatId, maxMessages = null) {
-    const history = this.getChatHistory(chatId);
-    let messages = history.messages;
+  async getContextWindow(chatId, maxMessages = null, options = {}) {
+    const contextWindow = await this.buildContextWindow(chatId, { ...options, maxMessages });
+    return contextWindow.messages;
+  }
+
+  /**
+   * Build the context window within a message and/or token budget
+   * Whole tool exchanges are kept or dropped together; returns what was dropped
+   */
+  async buildContextWindow(chatId, options = {}) {
+    const {
+      maxMessages = null,
+      maxTokens = null,
+      tokenizer = estimateTokens
+    } = options;
 
-    if (maxMessages && maxMessages > 0) {
-      messages = messages.slice(-maxMessages);
-    }
+    const history = await this.getChatHistory(chatId);
+    const summary = history.metadata?.summary;
 
     // Return messages with all necessary fields for API
-    return messages.map(msg => {
+    const messages = this.getUnsummarizedMessages(history).map(msg => {
       const formatted = { role: msg.role, content: msg.content };
       if (msg.tool_calls) formatted.tool_calls = msg.tool_calls;
       if (msg.tool_call_id) formatted.tool_call_id = msg.tool_call_id;
+      if (msg.response_id) formatted.response_id = msg.response_id;
+      if (msg.reasoning) formatted.reasoning = msg.reasoning;
       return formatted;
     });
+
+    const { groups, orphans } = this.groupMessages(messages);
+    const kept = [];
+    let tokenCount = 0;
+    let index = groups.length - 1;
+
+    // The summary of older turns goes ahead of the recent messages and counts against the budget
+    const summaryMessage = summary?.content
+      ? { role: 'system', content: `Summary of the earlier conversation:\n${summary.content}` }
+      : null;
+    const summaryTokens = summaryMessage ? countMessageTokens(summaryMessage, tokenizer) : 0;
+    const tokenBudget = maxTokens > 0 ? Math.max(maxTokens - summaryTokens, 1) : null;
+
+    // Walk back from the newest group; the newest one is always kept
+    for (; index >= 0; index--) {
+      const group = groups[index];
+      const groupTokens = group.reduce((sum, msg) => sum + countMessageTokens(msg, tokenizer), 0);
+
+      if (kept.length > 0) {
+        if (maxMessages > 0 && kept.length + group.length > maxMessages) break;
+        if (tokenBudget && tokenCount + groupTokens > tokenBudget) break;
+      }
+
+      kept.unshift(...group);
+      tokenCount += groupTokens;
+    }
+
+    const dropped = [...orphans, ...groups.slice(0, index + 1).flat()];
+
+    return {
+      messages: summaryMessage ? [summaryMessage, ...kept] : kept,
+      tokenCount: tokenCount + summaryTokens,
+      dropped,
+      droppedCount: dropped.length,
+      droppedTokens: dropped.reduce((sum, msg) => sum + countMessageTokens(msg, tokenizer), 0)
+    };
+  }
+
+  /**
+   * Group messages so an assistant `tool_calls` message stays with its tool results
+   * Tool results without their assistant message (e.g. after trimming) are returned as orphans
+   */
+  groupMessages(messages) {
+    const groups = [];
+    const orphans = [];
+    let openToolGroup = null;
+
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        if (openToolGroup) {
+          openToolGroup.push(msg);
+        } else {
+          orphans.push(msg);
+        }
+        continue;
+      }
+
+      const group = [msg];
+      groups.push(group);
+      openToolGroup = msg.role === 'assistant' && msg.tool_calls?.length > 0 ? group : null;
+    }
+
+    return { groups, orphans };
   }
 }
 
@@ -0,0 +1,67 @@
+import { StorageError } from '../errors/ErrorTypes.js';
+import { validateStorageAdapter } from '../utils/validators.js';
+import { createDefaultStorage } from './adapters/index.js';
+
+/**
+ * Base class for managers that persist one value through a storage adapter.
+ *
+ * Operations run one after another through `enqueue()`, so concurrent
+ * read-modify-write cycles never drop updates. The backend's availability is
+ * checked once, before the first queued operation.
+ */
+export class QueuedStorage {
+  constructor(storageKey, errorManager, storage = createDefaultStorage()) {
+    validateStorageAdapter(storage);
+
+    this.storageKey = storageKey;
+    this.errorManager = errorManager;
+    this.storage = storage;
+    this.queue = Promise.resolve();
+    this.availability = null;
+  }
+
+  /**
+   * Ensure the storage backend is available
+   */
+  async ensureStorageAvailable() {
+    let available;
+    try {
+      available = typeof this.storage.isAvailable === 'function'
+        ? await this.storage.isAvailable()
+        : true;
+    } catch {
+      available = false;
+    }
+
+    if (!available) {
+      throw this.errorManager.createStorageError(
+        'Storage backend is not available',
+        StorageError.codes.NOT_AVAILABLE,
+        { storage: this.storage.constructor?.name }
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Run a storage operation once all earlier ones have finished
+   * A failed availability check is retried by the next operation
+   */
+  enqueue(operation) {
+    const result = this.queue
+      .then(() => {
+        this.availability = this.availability || this.ensureStorageAvailable().catch(error => {
+          this.availability = null;
+          throw error;
+        });
+        return this.availability;
+      })
+      .then(operation);
+
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+export default QueuedStorage;
@@ -1,34 +1,17 @@
 import { StorageError } from '../errors/ErrorTypes.js';
 import { formatBytes, formatRelativeTime } from '../utils/formatters.js';
+import { createDefaultStorage } from './adapters/index.js';
+import { QueuedStorage } from './QueuedStorage.js';
 
 /**
- * Manages task persistence using browser localStorage
+ * Manages task persistence through a pluggable storage adapter
  */
-export class TaskManager {
-  constructor(storageKey = 'agentify_tasks', errorManager) {
-    this.storageKey = storageKey;
-    this.errorManager = errorManager;
+export class TaskManager extends QueuedStorage {
+  constructor(storageKey = 'agentify_tasks', errorManager, storage = createDefaultStorage()) {
+    super(storageKey, errorManager, storage);
+
     this.maxTasks = 1000;
     this.compressionThreshold = 500;
-    
-    this.ensureStorageAvailable();
-  }
-
-  /**
-   * Ensure localStorage is available
-   */
-  ensureStorageAvailable() {
-    try {
-      const test = '__agentify_test__';
-      localStorage.setItem(test, test);
-      localStorage.removeItem(test);
-    } catch (error) {
-      throw this.errorManager.createStorageError(
-        'localStorage is not available',
-        StorageError.codes.NOT_AVAILABLE,
-        { originalError: error.message }
-      );
-    }
   }
 
   /**
@@ -41,7 +24,14 @@ export class TaskManager {
   /**
    * Add a new task
    */
-  addTask(task) {
+  async addTask(task) {
+    return this.enqueue(() => this.insertTask(task));
+  }
+
+  /**
+   * Insert a task (caller must hold the queue)
+   */
+  async insertTask(task) {
     try {
       const taskId = task.id || this.generateTaskId();
       
@@ -57,7 +47,7 @@ export class TaskManager {
         metadata: task.metadata || {}
       };
 
-      const tasks = this.getTasks();
+      const tasks = await this.loadTasks();
       tasks.push(taskData);
 
       // Trim if exceeds max
@@ -65,7 +55,7 @@ export class TaskManager {
         tasks.splice(0, tasks.length - this.maxTasks);
       }
 
-      this.saveTasks(tasks);
+      await this.saveTasks(tasks);
       
       return taskData;
     } catch (error) {
@@ -83,9 +73,16 @@ export class TaskManager {
   /**
    * Update task status and data
    */
-  updateTaskStatus(taskId, status, data = {}) {
+  async updateTaskStatus(taskId, status, data = {}) {
+    return this.enqueue(() => this.writeTaskStatus(taskId, status, data));
+  }
+
+  /**
+   * Write task status (caller must hold the queue)
+   */
+  async writeTaskStatus(taskId, status, data) {
     try {
-      const tasks = this.getTasks();
+      const tasks = await this.loadTasks();
       const taskIndex = tasks.findIndex(t => t.id === taskId);
 
       if (taskIndex === -1) {
@@ -103,7 +100,7 @@ export class TaskManager {
         updatedAt: new Date().toISOString()
       };
 
-      this.saveTasks(tasks);
+      await this.saveTasks(tasks);
       
       return tasks[taskIndex];
     } catch (error) {
@@ -121,40 +118,42 @@ export class TaskManager {
   /**
    * Get tasks with optional filtering
    */
-  getTasks(filter = {}) {
-    try {
-      const tasksJson = localStorage.getItem(this.storageKey);
-      
-      if (!tasksJson) {
-        return [];
-      }
+  async getTasks(filter = {}) {
+    let tasks = await this.enqueue(() => this.loadTasks());
 
-      let tasks = JSON.parse(tasksJson);
+    // Apply filters
+    if (filter.status) {
+      tasks = tasks.filter(t => t.status === filter.status);
+    }
 
-      // Apply filters
-      if (filter.status) {
-        tasks = tasks.filter(t => t.status === filter.status);
-      }
+    if (filter.type) {
+      tasks = tasks.filter(t => t.type === filter.type);
+    }
 
-      if (filter.type) {
-        tasks = tasks.filter(t => t.type === filter.type);
-      }
+    if (filter.since) {
+      const sinceDate = new Date(filter.since);
+      tasks = tasks.filter(t => new Date(t.timestamp) >= sinceDate);
+    }
 
-      if (filter.since) {
-        const sinceDate = new Date(filter.since);
-        tasks = tasks.filter(t => new Date(t.timestamp) >= sinceDate);
-      }
+    if (filter.limit) {
+      tasks = tasks.slice(-filter.limit);
+    }
 
-      if (filter.limit) {
-        tasks = tasks.slice(-filter.limit);
-      }
+    return tasks;
+  }
 
-      return tasks;
+  /**
+   * Load all tasks from storage
+   */
+  async loadTasks() {
+    try {
+      const tasks = await this.storage.get(this.storageKey);
+      return Array.isArray(tasks) ? tasks : [];
     } catch (error) {
       throw this.errorManager.createStorageError(
         'Failed to read tasks',
         StorageError.codes.READ_FAILED,
-        { filter, originalError: error.message }
+        { originalError: error.message }
       );
     }
   }
@@ -162,8 +161,8 @@ export class TaskManager {
   /**
    * Get single task by ID
    */
-  getTask(taskId) {
-    const tasks = this.getTasks();
+  async getTask(taskId) {
+    const tasks = await this.getTasks();
     const task = tasks.find(t => t.id === taskId);
 
     if (!task) {
@@ -178,27 +177,25 @@ export class TaskManager {
   }
 
   /**
-   * Save tasks to localStorage
+   * Save tasks to storage
    */
-  saveTasks(tasks) {
+  async saveTasks(tasks) {
     try {
-      const tasksJson = JSON.stringify(tasks);
-      localStorage.setItem(this.storageKey, tasksJson);
+      await this.storage.set(this.storageKey, tasks);
     } catch (error) {
       if (error.name === 'QuotaExceededError') {
         // Try to compress old tasks
         this.compressOldTasks(tasks);
         
         try {
-          const tasksJson = JSON.stringify(tasks);
-          localStorage.setItem(this.storageKey, tasksJson);
+          await this.storage.set(this.storageKey, tasks);
         } catch {
           throw this.errorManager.createStorageError(
             'Storage quota exceeded even after compression',
             StorageError.codes.QUOTA_EXCEEDED,
             {
               taskCount: tasks.length,
-              storageUsed: this.getStorageUsage()
+              storageUsed: await this.getStorageUsage()
             }
           );
         }
@@ -239,8 +236,8 @@ export class TaskManager {
   /**
    * Export tasks in specified format
    */
-  exportTasks(format = 'json') {
-    const tasks = this.getTasks();
+  async exportTasks(format = 'json') {
+    const tasks = await this.getTasks();
 
     switch (format.toLowerCase()) {
       case 'json':
@@ -299,39 +296,43 @@ ${'='.repeat(60)}
   /**
    * Clear all tasks
    */
-  clearTasks() {
-    try {
-      localStorage.removeItem(this.storageKey);
-      return true;
-    } catch (error) {
-      throw this.errorManager.createStorageError(
-        'Failed to clear tasks',
-        StorageError.codes.WRITE_FAILED,
-        { originalError: error.message }
-      );
-    }
+  async clearTasks() {
+    return this.enqueue(async () => {
+      try {
+        await this.storage.delete(this.storageKey);
+        return true;
+      } catch (error) {
+        throw this.errorManager.createStorageError(
+          'Failed to clear tasks',
+          StorageError.codes.WRITE_FAILED,
+          { originalError: error.message }
+        );
+      }
+    });
   }
 
   /**
    * Delete specific task
    */
-  deleteTask(taskId) {
-    const tasks = this.getTasks();
-    const filteredTasks = tasks.filter(t => t.id !== taskId);
-    
-    if (tasks.length === filteredTasks.length) {
-      return false; // Task not found
-    }
+  async deleteTask(taskId) {
+    return this.enqueue(async () => {
+      const tasks = await this.loadTasks();
+      const filteredTasks = tasks.filter(t => t.id !== taskId);
+      
+      if (tasks.length === filteredTasks.length) {
+        return false; // Task not found
+      }
 
-    this.saveTasks(filteredTasks);
-    return true;
+      await this.saveTasks(filteredTasks);
+      return true;
+    });
   }
 
   /**
    * Get storage statistics
    */
-  getStorageStats() {
-    const tasks = this.getTasks();
+  async getStorageStats() {
+    const tasks = await this.getTasks();
     const tasksJson = JSON.stringify(tasks);
     
     const statusCounts = tasks.reduce((acc, task) => {
@@ -358,8 +359,9 @@ ${'='.repeat(60)}
   /**
    * Get storage usage
    */
-  getStorageUsage() {
-    const tasksJson = localStorage.getItem(this.storageKey) || '';
+  async getStorageUsage() {
+    const tasks = await this.storage.get(this.storageKey);
+    const tasksJson = tasks ? JSON.stringify(tasks) : '';
     return {
       bytes: tasksJson.length,
       formatted: formatBytes(tasksJson.length)
@@ -369,8 +371,9 @@ ${'='.repeat(60)}
   /**
    * Get task count
    */
-  getTaskCount() {
-    return this.getTasks().length;
+  async getTaskCount() {
+    const tasks = await this.getTasks();
+    return tasks.length;
   }
 }
 
@@ -0,0 +1,160 @@
+import { StorageError } from '../errors/ErrorTypes.js';
+import { formatBytes } from '../utils/formatters.js';
+import { createDefaultStorage } from './adapters/index.js';
+import { QueuedStorage } from './QueuedStorage.js';
+
+/**
+ * Key-value state that tools keep per chat (exposed to tools as `context.store`)
+ */
+export class ToolStateManager extends QueuedStorage {
+  constructor(storageKey = 'agentify_tool_state', errorManager, storage = createDefaultStorage()) {
+    super(storageKey, errorManager, storage);
+  }
+
+  /**
+   * Get a value from a chat's state
+   */
+  async get(chatId, key, defaultValue = undefined) {
+    const states = await this.enqueue(() => this.loadStates());
+    const state = states[chatId] || {};
+    return key in state ? state[key] : defaultValue;
+  }
+
+  /**
+   * Set a value in a chat's state
+   */
+  async set(chatId, key, value) {
+    return this.enqueue(async () => {
+      const states = await this.loadStates();
+      states[chatId] = { ...states[chatId], [key]: value };
+      await this.saveStates(states);
+      return value;
+    });
+  }
+
+  /**
+   * Delete a value from a chat's state
+   */
+  async delete(chatId, key) {
+    return this.enqueue(async () => {
+      const states = await this.loadStates();
+
+      if (!states[chatId] || !(key in states[chatId])) {
+        return false;
+      }
+
+      delete states[chatId][key];
+      if (Object.keys(states[chatId]).length === 0) {
+        delete states[chatId];
+      }
+
+      await this.saveStates(states);
+      return true;
+    });
+  }
+
+  /**
+   * Get a copy of a chat's whole state
+   */
+  async getState(chatId) {
+    const states = await this.enqueue(() => this.loadStates());
+    return { ...states[chatId] };
+  }
+
+  /**
+   * Get an accessor bound to one chat
+   */
+  scope(chatId) {
+    return {
+      get: (key, defaultValue) => this.get(chatId, key, defaultValue),
+      set: (key, value) => this.set(chatId, key, value),
+      delete: (key) => this.delete(chatId, key),
+      keys: async () => Object.keys(await this.getState(chatId)),
+      getAll: () => this.getState(chatId)
+    };
+  }
+
+  /**
+   * Clear a chat's state
+   */
+  async clearChatState(chatId) {
+    return this.enqueue(async () => {
+      const states = await this.loadStates();
+      const existed = chatId in states;
+
+      if (existed) {
+        delete states[chatId];
+        await this.saveStates(states);
+      }
+
+      return existed;
+    });
+  }
+
+  /**
+   * Clear the state of all chats
+   */
+  async clearAllStates() {
+    return this.enqueue(async () => {
+      try {
+        await this.storage.delete(this.storageKey);
+        return true;
+      } catch (error) {
+        throw this.errorManager.createStorageError(
+          'Failed to clear tool state',
+          StorageError.codes.WRITE_FAILED,
+          { originalError: error.message }
+        );
+      }
+    });
+  }
+
+  /**
+   * Load the state of all chats from storage
+   */
+  async loadStates() {
+    try {
+      const states = await this.storage.get(this.storageKey);
+      return states && typeof states === 'object' ? states : {};
+    } catch (error) {
+      throw this.errorManager.createStorageError(
+        'Failed to read tool state',
+        StorageError.codes.READ_FAILED,
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Save the state of all chats to storage
+   */
+  async saveStates(states) {
+    try {
+      await this.storage.set(this.storageKey, states);
+    } catch (error) {
+      throw this.errorManager.createStorageError(
+        'Failed to save tool state',
+        error.name === 'QuotaExceededError'
+          ? StorageError.codes.QUOTA_EXCEEDED
+          : StorageError.codes.WRITE_FAILED,
+        { chatCount: Object.keys(states).length, originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Get storage statistics
+   */
+  async getStorageStats() {
+    const states = await this.enqueue(() => this.loadStates());
+    const statesJson = JSON.stringify(states);
+
+    return {
+      totalChats: Object.keys(states).length,
+      storageUsed: statesJson.length,
+      storageUsedFormatted: formatBytes(statesJson.length)
+    };
+  }
+}
+
+export default ToolStateManager;
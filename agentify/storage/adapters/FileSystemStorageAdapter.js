@@ -0,0 +1,114 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+// Distinguishes the temp files of concurrent writes within one process
+let tempCounter = 0;
+
+/**
+ * Node.js filesystem storage adapter
+ * Each key is stored as a JSON file inside the configured directory
+ */
+export class FileSystemStorageAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory || '.agentify';
+    this.fsPromise = null;
+  }
+
+  /**
+   * Load Node modules lazily so browser bundles never resolve them
+   */
+  loadModules() {
+    if (!this.fsPromise) {
+      this.fsPromise = Promise.all([
+        import('node:fs/promises'),
+        import('node:path')
+      ]).then(([fs, path]) => ({ fs, path }));
+    }
+    return this.fsPromise;
+  }
+
+  /**
+   * Resolve the file path for a key
+   */
+  async getFilePath(key) {
+    const { path } = await this.loadModules();
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * Read a value by key
+   */
+  async get(key) {
+    const { fs } = await this.loadModules();
+
+    try {
+      const json = await fs.readFile(await this.getFilePath(key), 'utf8');
+      return JSON.parse(json);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a value by key
+   * Writes go to a temp file first so a crash never leaves half-written JSON.
+   * Each write has its own temp file, so concurrent writers (other processes or
+   * adapters sharing the directory) never rename each other's data
+   */
+  async set(key, value) {
+    const { fs } = await this.loadModules();
+    const filePath = await this.getFilePath(key);
+    const tempPath = `${filePath}.${process.pid}.${++tempCounter}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(value), 'utf8');
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true }).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a value by key
+   */
+  async delete(key) {
+    const { fs } = await this.loadModules();
+    await fs.rm(await this.getFilePath(key), { force: true });
+  }
+
+  /**
+   * List stored keys
+   */
+  async list(prefix = '') {
+    const { fs } = await this.loadModules();
+
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => decodeURIComponent(file.slice(0, -'.json'.length)))
+      .filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Check that we are running under Node.js
+   */
+  async isAvailable() {
+    return typeof process !== 'undefined' && !!process.versions?.node;
+  }
+}
+
+export default FileSystemStorageAdapter;
@@ -0,0 +1,94 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * IndexedDB storage adapter
+ * Available in browsers and Web Workers, with far larger quotas than localStorage
+ */
+export class IndexedDBStorageAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super();
+    this.dbName = options.dbName || 'agentify';
+    this.storeName = options.storeName || 'keyvalue';
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create if needed) the database
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Allow a later call to retry if opening failed
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the object store
+   */
+  async runRequest(mode, createRequest) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = createRequest(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || request.error);
+    });
+  }
+
+  /**
+   * Read a value by key
+   */
+  async get(key) {
+    const value = await this.runRequest('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Write a value by key
+   */
+  async set(key, value) {
+    await this.runRequest('readwrite', store => store.put(value, key));
+  }
+
+  /**
+   * Delete a value by key
+   */
+  async delete(key) {
+    await this.runRequest('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * List stored keys
+   */
+  async list(prefix = '') {
+    const keys = await this.runRequest('readonly', store => store.getAllKeys());
+    return keys.map(String).filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Check that IndexedDB exists in this environment
+   */
+  async isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+}
+
+export default IndexedDBStorageAdapter;
@@ -0,0 +1,67 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * Browser localStorage adapter
+ * Keys are stored as-is so data written by earlier versions stays readable
+ */
+export class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * Read a value by key
+   */
+  async get(key) {
+    const json = localStorage.getItem(key);
+    return json === null ? null : JSON.parse(json);
+  }
+
+  /**
+   * Write a value by key
+   * QuotaExceededError is passed through so managers can clean up and retry
+   */
+  async set(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  /**
+   * Delete a value by key
+   */
+  async delete(key) {
+    localStorage.removeItem(key);
+  }
+
+  /**
+   * List stored keys
+   */
+  async list(prefix = '') {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key !== null && key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Check that localStorage exists and accepts writes
+   */
+  async isAvailable() {
+    return LocalStorageAdapter.isSupported();
+  }
+
+  /**
+   * Synchronous availability check (used when choosing a default backend)
+   */
+  static isSupported() {
+    try {
+      const test = '__agentify_test__';
+      localStorage.setItem(test, test);
+      localStorage.removeItem(test);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export default LocalStorageAdapter;
@@ -0,0 +1,44 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * In-memory storage adapter
+ * Works everywhere; data lives as long as the adapter instance
+ */
+export class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.store = new Map();
+  }
+
+  /**
+   * Read a value by key
+   */
+  async get(key) {
+    const json = this.store.get(key);
+    return json === undefined ? null : JSON.parse(json);
+  }
+
+  /**
+   * Write a value by key
+   * Values are stored serialized so callers never share references
+   */
+  async set(key, value) {
+    this.store.set(key, JSON.stringify(value));
+  }
+
+  /**
+   * Delete a value by key
+   */
+  async delete(key) {
+    this.store.delete(key);
+  }
+
+  /**
+   * List stored keys
+   */
+  async list(prefix = '') {
+    return Array.from(this.store.keys()).filter(key => key.startsWith(prefix));
+  }
+}
+
+export default MemoryStorageAdapter;
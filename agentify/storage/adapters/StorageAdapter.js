@@ -0,0 +1,48 @@
+/**
+ * Base storage adapter class
+ *
+ * Managers persist JSON-serializable values through this interface, so any
+ * backend (browser, server, worker) can be plugged in via the `storage` option.
+ */
+export class StorageAdapter {
+  /**
+   * Read a value by key
+   * Must be implemented by subclasses - resolves to null when the key is missing
+   */
+  async get(key) {
+    throw new Error('get must be implemented by subclass');
+  }
+
+  /**
+   * Write a value by key
+   * Must be implemented by subclasses
+   */
+  async set(key, value) {
+    throw new Error('set must be implemented by subclass');
+  }
+
+  /**
+   * Delete a value by key
+   * Must be implemented by subclasses
+   */
+  async delete(key) {
+    throw new Error('delete must be implemented by subclass');
+  }
+
+  /**
+   * List stored keys, optionally filtered by prefix
+   * Must be implemented by subclasses
+   */
+  async list(prefix = '') {
+    throw new Error('list must be implemented by subclass');
+  }
+
+  /**
+   * Check whether the backend can be used in the current environment
+   */
+  async isAvailable() {
+    return true;
+  }
+}
+
+export default StorageAdapter;
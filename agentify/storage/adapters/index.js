@@ -0,0 +1,18 @@
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+import { MemoryStorageAdapter } from './MemoryStorageAdapter.js';
+
+export { StorageAdapter } from './StorageAdapter.js';
+export { LocalStorageAdapter } from './LocalStorageAdapter.js';
+export { MemoryStorageAdapter } from './MemoryStorageAdapter.js';
+export { IndexedDBStorageAdapter } from './IndexedDBStorageAdapter.js';
+export { FileSystemStorageAdapter } from './FileSystemStorageAdapter.js';
+
+/**
+ * Pick a storage backend for the current environment
+ * Uses localStorage in browsers and falls back to memory elsewhere
+ */
+export function createDefaultStorage() {
+  return LocalStorageAdapter.isSupported()
+    ? new LocalStorageAdapter()
+    : new MemoryStorageAdapter();
+}
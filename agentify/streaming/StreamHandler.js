@@ -1,24 +1,48 @@
-import { StreamError } from '../errors/ErrorTypes.js';
+import { StreamError, ModelError, CancellationError } from '../errors/ErrorTypes.js';
 import { formatThinkingContent } from '../utils/formatters.js';
+import { providerRegistry } from '../providers/ProviderRegistry.js';
 
 /**
  * Handles streaming responses from AI providers
  */
 export class StreamHandler {
-  constructor(errorManager) {
+  /**
+   * Built-in stream formats by name
+   */
+  static formats = {
+    openai: (handler) => handler.processOpenAIBuffer(),
+    anthropic: (handler) => handler.processAnthropicBuffer(),
+    gemini: (handler) => handler.processGeminiBuffer(),
+    ollama: (handler) => handler.processOllamaBuffer(),
+    responses: (handler) => handler.processResponsesBuffer()
+  };
+
+  constructor(errorManager, config = null) {
     this.errorManager = errorManager;
+    // Agent config (ConfigManager) for adapters built when a provider name is given as the parser
+    this.config = config;
     this.buffer = '';
     this.isStreaming = false;
     this.toolCallsAccumulator = {};
+    this.thinkingAccumulator = {};
+    this.reader = null;
   }
 
   /**
    * Handle streaming response
+   * `parser(handler)` turns the buffered stream into items - usually the adapter's parseStream;
+   * a built-in format name ('openai', 'anthropic', 'gemini', 'ollama', 'responses') or a registered
+   * provider name ('deepseek', 'azure', ...) is accepted too.
+   * Aborting `options.signal` cancels the reader and rejects with a CancellationError
    */
-  async handleStream(response, callbacks = {}, provider = 'openai') {
+  async handleStream(response, callbacks = {}, parser = 'openai', options = {}) {
+    const { signal } = options;
+    const parse = this.resolveParser(parser);
+
     this.isStreaming = true;
     this.buffer = '';
     this.toolCallsAccumulator = {};
+    this.thinkingAccumulator = {};
 
     const {
       onToken = () => {},
@@ -28,18 +52,32 @@ export class StreamHandler {
       onError = () => {}
     } = callbacks;
 
+    let fullContent = '';
+    const cancelReader = () => {
+      this.reader?.cancel().catch(() => {});
+    };
+
     try {
+      this.throwIfAborted(signal, fullContent);
+
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
+      this.reader = reader;
+      signal?.addEventListener('abort', cancelReader, { once: true });
       
-      let fullContent = '';
       let toolCalls = [];
-      let toolResults = [];
+      const pendingToolResults = [];
       let thinkingContent = '';
+      const thinkingBlocks = [];
+      let thinkingSignature = null;
       let finishReason = 'stop';
+      let usage = null;
+      let responseId = null;
+      const alternatives = new Map();
 
       while (this.isStreaming) {
         const { done, value } = await reader.read();
+        this.throwIfAborted(signal, fullContent);
         
         if (done) {
           break;
@@ -48,27 +86,48 @@ export class StreamHandler {
         const chunk = decoder.decode(value, { stream: true });
         this.buffer += chunk;
 
-        // Process buffer based on provider format
-        const processed = await this.processBuffer(provider);
+        // Process buffer with the provider's parser
+        const processed = await this.processBuffer(parse);
 
         for (const item of processed) {
           if (item.type === 'token') {
             fullContent += item.content;
-            onToken(item.content);
+            await onToken(item.content);
           } else if (item.type === 'thinking') {
             thinkingContent += item.content;
-            onThinking(formatThinkingContent(item.content));
+            await onThinking(formatThinkingContent(item.content, false));
+          } else if (item.type === 'thinking_block') {
+            // Complete reasoning blocks (with signatures) are kept to be sent back on the next turn
+            thinkingBlocks.push(item.block);
+          } else if (item.type === 'thinking_signature') {
+            // Gemini signs the first part that follows its thoughts
+            thinkingSignature = thinkingSignature || item.signature;
           } else if (item.type === 'tool_call') {
             toolCalls.push(item.data);
-            const toolResult = onToolCall(item.data);
+            const toolCall = item.data;
+            const toolResult = onToolCall(toolCall);
             if (toolResult && typeof toolResult.then === 'function') {
-              const result = await toolResult;
-              toolResults.push({ toolCall: item.data, result });
+              // Keep reading while the tool runs - results are collected in call order below
+              const pending = Promise.resolve(toolResult).then(result => ({ toolCall, result }));
+              pending.catch(() => {});
+              pendingToolResults.push(pending);
             }
           } else if (item.type === 'finish') {
             finishReason = item.reason || 'stop';
+          } else if (item.type === 'usage') {
+            // Usage may arrive in several events - later values win
+            usage = { ...usage, ...item.usage };
+          } else if (item.type === 'response') {
+            responseId = item.id;
+          } else if (item.type === 'candidate') {
+            // Alternative candidates are collected, only the first one streams tokens
+            const alternative = alternatives.get(item.index) || { index: item.index, content: '', finishReason: null };
+            alternative.content += item.content;
+            alternative.finishReason = item.finishReason || alternative.finishReason;
+            alternatives.set(item.index, alternative);
           } else if (item.type === 'error') {
-            throw this.errorManager.createStreamError(
+            // Parsers may supply a typed error (e.g. a safety block as a ModelError)
+            throw item.error || this.errorManager.createStreamError(
               'Stream error received',
               StreamError.codes.PARSE_FAILED,
               { error: item.data }
@@ -77,21 +136,43 @@ export class StreamHandler {
         }
       }
 
+      const toolResults = await Promise.all(pendingToolResults);
+      this.throwIfAborted(signal, fullContent);
+
       const result = {
         content: fullContent,
         toolCalls,
         toolResults,
         thinkingContent,
-        finishReason
+        thinkingBlocks,
+        thinkingSignature,
+        finishReason,
+        usage,
+        responseId
       };
 
-      onComplete(result);
+      if (alternatives.size > 0) {
+        result.candidates = [
+          { index: 0, content: fullContent, finishReason },
+          ...[...alternatives.values()].sort((a, b) => a.index - b.index)
+        ];
+      }
+
+      await onComplete(result);
       return result;
 
     } catch (error) {
       this.isStreaming = false;
+
+      // Cancellation is not a stream failure - surface it as-is with what was received so far
+      if (error instanceof CancellationError) {
+        throw error;
+      }
+      if (signal?.aborted) {
+        this.throwIfAborted(signal, fullContent);
+      }
       
-      if (error instanceof StreamError) {
+      if (error instanceof StreamError || error instanceof ModelError) {
         onError(error);
         throw error;
       }
@@ -105,36 +186,51 @@ export class StreamHandler {
       onError(streamError);
       throw streamError;
     } finally {
+      signal?.removeEventListener('abort', cancelReader);
+      this.reader = null;
       this.isStreaming = false;
       this.buffer = '';
     }
   }
 
   /**
-   * Process buffer based on provider format
+   * Throw a cancellation error (carrying partial content) if the signal has been aborted
    */
-  async processBuffer(provider) {
-    const processed = [];
+  throwIfAborted(signal, partialContent = '') {
+    if (signal?.aborted) {
+      throw this.errorManager.createCancellationError(
+        'Stream was cancelled',
+        CancellationError.codes.ABORTED,
+        { reason: String(signal.reason ?? 'aborted'), partialContent }
+      );
+    }
+  }
 
-    switch (provider) {
-      case 'openai':
-      case 'deepseek':
-        processed.push(...this.processOpenAIBuffer());
-        break;
-      
-      case 'anthropic':
-        processed.push(...this.processAnthropicBuffer());
-        break;
-      
-      case 'gemini':
-        processed.push(...this.processGeminiBuffer());
-        break;
-      
-      default:
-        processed.push(...this.processOpenAIBuffer());
+  /**
+   * Process buffer with a parser function, built-in format name or provider name
+   */
+  async processBuffer(parser) {
+    return this.resolveParser(parser)(this);
+  }
+
+  /**
+   * Turn the parser argument of handleStream into a function
+   * Provider names (the pre-registry argument) map to the provider's stream parser
+   */
+  resolveParser(parser) {
+    if (typeof parser === 'function') {
+      return parser;
     }
 
-    return processed;
+    if (StreamHandler.formats[parser]) {
+      return StreamHandler.formats[parser];
+    }
+
+    if (providerRegistry.has(parser)) {
+      return providerRegistry.getStreamParser(parser, providerRegistry.createAdapter(parser, this.config, this.errorManager));
+    }
+
+    return StreamHandler.formats.openai;
   }
 
   /**
@@ -157,8 +253,25 @@ export class StreamHandler {
           const jsonStr = line.substring(6);
           const data = JSON.parse(jsonStr);
 
+          // Usage arrives in a final chunk (with an empty choices array)
+          if (data.usage) {
+            processed.push({
+              type: 'usage',
+              usage: data.usage
+            });
+          }
+
           if (data.choices && data.choices[0]) {
             const choice = data.choices[0];
+
+            // Reasoning delta (DeepSeek `reasoning_content`, `reasoning` on other compatible servers)
+            const reasoning = choice.delta?.reasoning_content ?? choice.delta?.reasoning;
+            if (typeof reasoning === 'string' && reasoning) {
+              processed.push({
+                type: 'thinking',
+                content: reasoning
+              });
+            }
             
             // Regular content delta
             if (choice.delta?.content) {
@@ -253,10 +366,59 @@ export class StreamHandler {
         if (dataMatch) {
           try {
             const data = JSON.parse(dataMatch[1]);
+            const index = data.index ?? 0;
+
+            // Input token usage arrives with the message start
+            if (data.type === 'message_start' && data.message?.usage) {
+              processed.push({
+                type: 'usage',
+                usage: data.message.usage
+              });
+            }
+
+            // Tool use - arguments arrive as input_json_delta chunks until the block stops
+            if (data.type === 'content_block_start' && data.content_block?.type === 'tool_use') {
+              const input = data.content_block.input;
+
+              this.toolCallsAccumulator[index] = {
+                id: data.content_block.id,
+                name: data.content_block.name,
+                arguments: input && Object.keys(input).length > 0 ? JSON.stringify(input) : ''
+              };
+            }
+
+            // Thinking blocks are collected whole - their signature has to be sent back with them
+            if (data.type === 'content_block_start' && data.content_block?.type === 'thinking') {
+              this.thinkingAccumulator[index] = { type: 'thinking', thinking: '', signature: '' };
+            }
+
+            // Redacted thinking arrives complete (encrypted) in its start event
+            if (data.type === 'content_block_start' && data.content_block?.type === 'redacted_thinking') {
+              processed.push({
+                type: 'thinking_block',
+                block: data.content_block
+              });
+            }
 
             // Content block delta
             if (data.type === 'content_block_delta') {
-              if (data.delta?.text) {
+              if (data.delta?.type === 'thinking_delta' && data.delta.thinking) {
+                if (this.thinkingAccumulator[index]) {
+                  this.thinkingAccumulator[index].thinking += data.delta.thinking;
+                }
+                processed.push({
+                  type: 'thinking',
+                  content: data.delta.thinking
+                });
+              } else if (data.delta?.type === 'signature_delta') {
+                if (this.thinkingAccumulator[index]) {
+                  this.thinkingAccumulator[index].signature += data.delta.signature || '';
+                }
+              } else if (data.delta?.type === 'input_json_delta') {
+                if (this.toolCallsAccumulator[index]) {
+                  this.toolCallsAccumulator[index].arguments += data.delta.partial_json || '';
+                }
+              } else if (data.delta?.text) {
                 processed.push({
                   type: 'token',
                   content: data.delta.text
@@ -264,28 +426,51 @@ export class StreamHandler {
               }
             }
 
-            // Thinking block
-            if (data.type === 'content_block_start' && data.content_block?.type === 'thinking') {
-              // Anthropic thinking mode
+            if (data.type === 'content_block_stop' && this.thinkingAccumulator[index]) {
+              processed.push({
+                type: 'thinking_block',
+                block: this.thinkingAccumulator[index]
+              });
+              delete this.thinkingAccumulator[index];
             }
 
-            // Tool use
-            if (data.type === 'content_block_start' && data.content_block?.type === 'tool_use') {
+            // Emit the tool call once its input is complete
+            if (data.type === 'content_block_stop' && this.toolCallsAccumulator[index]) {
+              const accumulated = this.toolCallsAccumulator[index];
+              delete this.toolCallsAccumulator[index];
+
               processed.push({
                 type: 'tool_call',
                 data: {
-                  id: data.content_block.id,
-                  name: data.content_block.name,
-                  input: data.content_block.input
+                  id: accumulated.id,
+                  name: accumulated.name,
+                  arguments: accumulated.arguments || '{}'
                 }
               });
             }
 
-            // Message stop
-            if (data.type === 'message_stop') {
+            // Real stop reason (end_turn, tool_use, max_tokens, ...) and output token usage
+            if (data.type === 'message_delta') {
+              if (data.usage) {
+                processed.push({
+                  type: 'usage',
+                  usage: data.usage
+                });
+              }
+
+              if (data.delta?.stop_reason) {
+                processed.push({
+                  type: 'finish',
+                  reason: data.delta.stop_reason
+                });
+              }
+            }
+
+            // Error event
+            if (data.type === 'error') {
               processed.push({
-                type: 'finish',
-                reason: 'stop'
+                type: 'error',
+                data: data.error
               });
             }
           } catch (error) {
@@ -300,55 +485,294 @@ export class StreamHandler {
 
   /**
    * Process Gemini-format stream
+   * Reads SSE (`alt=sse`) as well as the default incremental JSON array.
+   * Only the first candidate streams tokens and tool calls; other candidates
+   * (candidateCount > 1) arrive as `candidate` items.
    */
   processGeminiBuffer() {
     const processed = [];
-    
-    // Gemini typically sends complete JSON objects per line
+
+    for (const data of this.readGeminiChunks()) {
+      if (data.usageMetadata) {
+        processed.push({
+          type: 'usage',
+          usage: data.usageMetadata
+        });
+      }
+
+      // A blocked prompt has no candidates, only feedback
+      if (data.promptFeedback?.blockReason) {
+        processed.push({
+          type: 'finish',
+          reason: data.promptFeedback.blockReason,
+          promptFeedback: data.promptFeedback
+        });
+      }
+
+      for (const candidate of data.candidates || []) {
+        const index = candidate.index ?? 0;
+        const parts = candidate.content?.parts || [];
+
+        if (index !== 0) {
+          processed.push({
+            type: 'candidate',
+            index,
+            content: parts.map(part => (!part.thought && part.text) || '').join(''),
+            finishReason: candidate.finishReason || null
+          });
+          continue;
+        }
+
+        for (const part of parts) {
+          // Thought summaries (includeThoughts) are parts flagged `thought`
+          if (part.text) {
+            processed.push({
+              type: part.thought ? 'thinking' : 'token',
+              content: part.text
+            });
+          }
+
+          if (part.thoughtSignature) {
+            processed.push({
+              type: 'thinking_signature',
+              signature: part.thoughtSignature
+            });
+          }
+
+          if (part.functionCall) {
+            processed.push({
+              type: 'tool_call',
+              data: {
+                name: part.functionCall.name,
+                arguments: part.functionCall.args
+              }
+            });
+          }
+        }
+
+        if (candidate.finishReason) {
+          processed.push({
+            type: 'finish',
+            reason: candidate.finishReason,
+            safetyRatings: candidate.safetyRatings
+          });
+        }
+      }
+    }
+
+    return processed;
+  }
+
+  /**
+   * Take the complete response objects out of a Gemini stream buffer
+   * SSE events are read line by line; the JSON array is split into its top-level objects
+   */
+  readGeminiChunks() {
+    if (/^\s*(data|event):/.test(this.buffer)) {
+      const lines = this.buffer.split('\n');
+      this.buffer = lines.pop() || '';
+
+      return lines
+        .filter(line => line.startsWith('data: '))
+        .map(line => {
+          try {
+            return JSON.parse(line.substring(6));
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    }
+
+    const objects = [];
+    let depth = 0;
+    let start = -1;
+    let inString = false;
+    let escaped = false;
+    let consumed = 0;
+
+    for (let i = 0; i < this.buffer.length; i++) {
+      const char = this.buffer[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        if (depth === 0) start = i;
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          try {
+            objects.push(JSON.parse(this.buffer.slice(start, i + 1)));
+          } catch (error) {
+            // Skip malformed JSON
+          }
+          consumed = i + 1;
+        }
+      } else if (depth === 0) {
+        // Array brackets, commas and whitespace between objects
+        consumed = i + 1;
+      }
+    }
+
+    this.buffer = this.buffer.slice(consumed);
+    return objects;
+  }
+
+  /**
+   * Process Ollama-format stream (NDJSON - one response object per line)
+   */
+  processOllamaBuffer() {
+    const processed = [];
+
+    // Only complete lines are parsed, the rest waits for the next chunk
+    const end = this.buffer.lastIndexOf('\n');
+    if (end === -1) {
+      return processed;
+    }
+
+    const objects = this.parseNDJSON(this.buffer.slice(0, end));
+    this.buffer = this.buffer.slice(end + 1);
+
+    for (const data of objects) {
+      if (data.error) {
+        processed.push({
+          type: 'error',
+          data: data.error
+        });
+        continue;
+      }
+
+      const message = data.message || {};
+
+      if (message.thinking) {
+        processed.push({
+          type: 'thinking',
+          content: message.thinking
+        });
+      }
+
+      if (message.content) {
+        processed.push({
+          type: 'token',
+          content: message.content
+        });
+      }
+
+      // Tool calls arrive complete, never split across lines
+      for (const call of message.tool_calls || []) {
+        processed.push({
+          type: 'tool_call',
+          data: {
+            id: call.id,
+            name: call.function.name,
+            arguments: call.function.arguments
+          }
+        });
+      }
+
+      if (data.done) {
+        processed.push({
+          type: 'usage',
+          usage: {
+            prompt_eval_count: data.prompt_eval_count || 0,
+            eval_count: data.eval_count || 0
+          }
+        });
+        processed.push({
+          type: 'finish',
+          reason: data.done_reason || 'stop'
+        });
+      }
+    }
+
+    return processed;
+  }
+
+  /**
+   * Process OpenAI Responses API stream (SSE events named by their `type`)
+   */
+  processResponsesBuffer() {
+    const processed = [];
     const lines = this.buffer.split('\n');
+
     this.buffer = lines.pop() || '';
 
     for (const line of lines) {
-      if (!line.trim()) {
+      if (!line.startsWith('data: ')) {
         continue;
       }
 
       try {
-        const data = JSON.parse(line);
+        const data = JSON.parse(line.substring(6));
 
-        if (data.candidates && data.candidates[0]) {
-          const candidate = data.candidates[0];
+        switch (data.type) {
+          case 'response.created':
+            processed.push({ type: 'response', id: data.response.id });
+            break;
 
-          if (candidate.content?.parts) {
-            for (const part of candidate.content.parts) {
-              if (part.text) {
-                processed.push({
-                  type: 'token',
-                  content: part.text
-                });
-              }
+          case 'response.output_text.delta':
+            processed.push({ type: 'token', content: data.delta });
+            break;
 
-              if (part.functionCall) {
-                processed.push({
-                  type: 'tool_call',
-                  data: {
-                    name: part.functionCall.name,
-                    arguments: part.functionCall.args
-                  }
-                });
-              }
+          case 'response.reasoning_summary_text.delta':
+            processed.push({ type: 'thinking', content: data.delta });
+            break;
+
+          // Function calls are emitted once their arguments are complete
+          case 'response.output_item.done':
+            if (data.item?.type === 'function_call') {
+              processed.push({
+                type: 'tool_call',
+                data: {
+                  id: data.item.call_id,
+                  name: data.item.name,
+                  arguments: data.item.arguments
+                }
+              });
             }
-          }
+            break;
+
+          case 'response.completed':
+          case 'response.incomplete': {
+            const response = data.response;
+            const hasToolCalls = (response.output || []).some(item => item.type === 'function_call');
+            const reason = response.incomplete_details?.reason;
 
-          if (candidate.finishReason) {
+            processed.push({ type: 'response', id: response.id });
+            if (response.usage) {
+              processed.push({ type: 'usage', usage: response.usage });
+            }
             processed.push({
               type: 'finish',
-              reason: candidate.finishReason
+              reason: data.type === 'response.incomplete'
+                ? (reason === 'max_output_tokens' ? 'length' : reason || 'incomplete')
+                : (hasToolCalls ? 'tool_calls' : 'stop')
             });
+            break;
           }
+
+          case 'response.failed':
+            processed.push({ type: 'error', data: data.response?.error || data });
+            break;
+
+          case 'error':
+            processed.push({ type: 'error', data });
+            break;
         }
       } catch (error) {
-        continue;
+        // Skip malformed JSON
       }
     }
 
@@ -404,9 +828,14 @@ export class StreamHandler {
 
   /**
    * Stop streaming
+   * Cancels the reader so the stream ends now with the content received so far
    */
   stopStream() {
     this.isStreaming = false;
+
+    if (this.reader) {
+      this.reader.cancel().catch(() => {});
+    }
   }
 
   /**
@@ -1,14 +1,21 @@
 import { validateTool } from '../utils/validators.js';
 import { formatToolParameters } from '../utils/formatters.js';
-import { ToolError, SystemError } from '../errors/ErrorTypes.js';
+import { validateSchema } from '../utils/schema.js';
+import { readFile } from '../utils/content.js';
+import { providerRegistry } from '../providers/ProviderRegistry.js';
+import { ToolError, SystemError, CancellationError } from '../errors/ErrorTypes.js';
 
 /**
  * Manages tool registration and execution
  */
 export class ToolManager {
-  constructor(errorManager) {
+  constructor(errorManager, config = null) {
     this.tools = new Map();
     this.errorManager = errorManager;
+    // Agent config (ConfigManager) for adapters built by the deprecated getToolDefinitions(provider)
+    this.config = config;
+    this.defaultTimeout = 30000;
+    this.defaultRetryDelay = 500;
   }
 
   /**
@@ -30,7 +37,14 @@ export class ToolManager {
         description: tool.description,
         instruction: instruction,
         parameters: tool.parameters || {},
-        execute: tool.execute || null
+        execute: tool.execute || null,
+        parallelSafe: tool.parallelSafe !== false,
+        requiresApproval: tool.requiresApproval ?? false,
+        timeout: tool.timeout === undefined ? this.defaultTimeout : tool.timeout,
+        retries: tool.retries || 0,
+        retryDelay: tool.retryDelay ?? this.defaultRetryDelay,
+        retryOn: tool.retryOn || null,
+        idempotent: tool.idempotent === true
       };
 
       this.tools.set(tool.name, toolDefinition);
@@ -77,26 +91,16 @@ export class ToolManager {
    * Load instruction from file
    */
   async loadInstructionFromFile(file) {
-    return new Promise((resolve, reject) => {
-      if (file instanceof File) {
-        const reader = new FileReader();
-        
-        reader.onload = (e) => {
-          resolve(e.target.result);
-        };
-        
-        reader.onerror = () => {
-          reject(new Error('Failed to read instruction file'));
-        };
-        
-        reader.readAsText(file);
-      } else if (typeof file === 'string') {
-        // Assume it's text content
-        resolve(file);
-      } else {
-        reject(new Error('Invalid instruction file format'));
-      }
-    });
+    if (typeof file === 'string') {
+      // Assume it's text content
+      return file;
+    }
+
+    if (file instanceof Blob) {
+      return readFile(file);
+    }
+
+    throw new Error('Invalid instruction file format');
   }
 
   /**
@@ -116,6 +120,24 @@ export class ToolManager {
     return tool;
   }
 
+  /**
+   * Check whether a call needs user approval before it runs
+   * A failing `requiresApproval` predicate counts as "needs approval"
+   */
+  async requiresApproval(name, parameters) {
+    const { requiresApproval } = this.getTool(name);
+
+    if (typeof requiresApproval !== 'function') {
+      return requiresApproval === true;
+    }
+
+    try {
+      return Boolean(await requiresApproval(parameters));
+    } catch {
+      return true;
+    }
+  }
+
   /**
    * Get all registered tools
    */
@@ -124,50 +146,34 @@ export class ToolManager {
   }
 
   /**
-   * Get tool definitions formatted for API calls
+   * Get provider-neutral tool definitions ({ name, description, parameters }) for API calls
+   * Only the `allowedTools` names are included, if given; adapters convert them in formatTools
    */
-  getToolDefinitions(provider = 'openai') {
-    const tools = Array.from(this.tools.values());
-    
-    switch (provider) {
-      case 'openai':
-      case 'deepseek':
-        return tools.map(tool => ({
-          type: 'function',
-          function: {
-            name: tool.name || '',
-            description: (tool.description || '') + (tool.instruction ? `\n\n${tool.instruction}` : ''),
-            parameters: formatToolParameters(tool.parameters)
-          }
-        }));
-      
-      case 'anthropic':
-        return tools.map(tool => ({
-          name: tool.name || '',
-          description: (tool.description || '') + (tool.instruction ? `\n\n${tool.instruction}` : ''),
-          input_schema: formatToolParameters(tool.parameters)
-        }));
-      
-      case 'gemini':
-        return tools.map(tool => ({
-          name: tool.name || '',
-          description: (tool.description || '') + (tool.instruction ? `\n\n${tool.instruction}` : ''),
-          parameters: formatToolParameters(tool.parameters)
-        }));
-      
-      default:
-        return tools.map(tool => ({
-          name: tool.name || '',
-          description: (tool.description || '') + (tool.instruction ? `\n\n${tool.instruction}` : ''),
-          parameters: formatToolParameters(tool.parameters)
-        }));
+  getToolDefinitions(allowedTools = null, legacyAllowedTools = null) {
+    // Deprecated signature: getToolDefinitions(provider, allowedTools) returns the provider's format
+    if (typeof allowedTools === 'string') {
+      const definitions = this.getToolDefinitions(legacyAllowedTools);
+      return providerRegistry.createAdapter(allowedTools, this.config, this.errorManager).formatTools(definitions);
     }
+
+    return Array.from(this.tools.values())
+      .filter(tool => !Array.isArray(allowedTools) || allowedTools.includes(tool.name))
+      .map(tool => ({
+        name: tool.name || '',
+        description: (tool.description || '') + (tool.instruction ? `\n\n${tool.instruction}` : ''),
+        parameters: formatToolParameters(tool.parameters)
+      }));
   }
 
   /**
    * Execute a tool
+   * Honors the tool's timeout and retry policy; `options.signal` cancels the call and any retries.
+   * `options.context` is passed to `execute(params, context)` along with the attempt's signal.
+   * `options.onRetry(error, nextAttempt, delay)` is called before each retry.
+   * `options.onChunk(chunk, index, attempt)` receives partial output of tools that return an async iterable.
    */
-  async executeTool(name, parameters) {
+  async executeTool(name, parameters, options = {}) {
+    const { signal, onRetry, onChunk, context = {} } = options;
     const tool = this.getTool(name);
 
     if (!tool.execute) {
@@ -178,96 +184,234 @@ export class ToolManager {
       );
     }
 
+    // Validate parameters against tool schema - errors go back to the model as-is
+    this.validateToolParameters(tool, parameters);
+
+    const maxAttempts = tool.retries + 1;
+    const startTime = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      this.throwIfAborted(name, signal);
+
+      let error;
+      try {
+        const result = await this.runAttempt(tool, parameters, attempt, signal, context, onChunk);
+
+        return {
+          success: true,
+          result,
+          duration: Date.now() - startTime,
+          attempts: attempt,
+          toolName: name
+        };
+      } catch (attemptError) {
+        if (attemptError instanceof CancellationError) {
+          throw attemptError;
+        }
+        error = attemptError;
+      }
+
+      if (attempt >= maxAttempts || !this.shouldRetry(tool, error, attempt)) {
+        throw this.createExecutionError(tool, parameters, error, attempt);
+      }
+
+      const delay = tool.retryDelay * Math.pow(2, attempt - 1);
+      if (onRetry) {
+        onRetry(error, attempt + 1, delay);
+      }
+      await this.wait(delay, name, signal);
+    }
+  }
+
+  /**
+   * Run a single attempt of a tool with its own AbortSignal and timeout
+   */
+  async runAttempt(tool, parameters, attempt, signal, baseContext = {}, onChunk = null) {
+    const controller = new AbortController();
+    let timeoutId = null;
+    let onAbort = null;
+
     try {
-      // Validate parameters against tool schema
-      this.validateToolParameters(tool, parameters);
-
-      const startTime = Date.now();
-      const result = await Promise.race([
-        tool.execute(parameters),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Tool execution timeout')), 30000)
-        )
-      ]);
-      const duration = Date.now() - startTime;
-
-      return {
-        success: true,
-        result,
-        duration,
-        toolName: name
+      const stopped = new Promise((_, reject) => {
+        if (tool.timeout) {
+          timeoutId = setTimeout(() => {
+            const error = this.errorManager.createToolError(
+              `Tool execution timed out after ${tool.timeout}ms: ${tool.name}`,
+              ToolError.codes.TIMEOUT,
+              { toolName: tool.name, timeout: tool.timeout, attempt }
+            );
+            controller.abort(error);
+            reject(error);
+          }, tool.timeout);
+        }
+
+        if (signal) {
+          onAbort = () => {
+            const error = this.createCancelledError(tool.name, signal);
+            controller.abort(error);
+            reject(error);
+          };
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      });
+
+      const context = { ...baseContext, signal: controller.signal, attempt, toolName: tool.name };
+
+      const run = async () => {
+        const output = await tool.execute(parameters, context);
+        return this.isAsyncIterable(output)
+          ? this.collectChunks(output, controller.signal, (chunk, index) => onChunk?.(chunk, index, attempt))
+          : output;
       };
-    } catch (error) {
-      throw this.errorManager.createToolError(
-        `Tool execution failed: ${name}`,
-        ToolError.codes.EXEC_FAILED,
-        {
-          toolName: name,
-          parameters,
-          originalError: error.message,
-          stack: error.stack
+
+      return await Promise.race([run(), stopped]);
+    } finally {
+      clearTimeout(timeoutId);
+      if (onAbort) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * Check whether a tool returned a stream of partial results
+   */
+  isAsyncIterable(value) {
+    return value !== null && typeof value === 'object' && typeof value[Symbol.asyncIterator] === 'function';
+  }
+
+  /**
+   * Consume a streamed tool result, forwarding each chunk
+   * The final value is the generator's return value if it has one, otherwise the
+   * concatenated chunks when all are strings, otherwise the array of chunks
+   */
+  async collectChunks(iterable, signal, onChunk) {
+    const iterator = iterable[Symbol.asyncIterator]();
+    const chunks = [];
+
+    while (true) {
+      const { value, done } = await iterator.next();
+
+      // The attempt timed out or was cancelled - stop the generator
+      if (signal.aborted) {
+        await iterator.return?.();
+        return undefined;
+      }
+
+      if (done) {
+        if (value !== undefined) {
+          return value;
         }
-      );
+        return chunks.every(chunk => typeof chunk === 'string') ? chunks.join('') : chunks;
+      }
+
+      chunks.push(value);
+      await onChunk(value, chunks.length - 1);
     }
   }
 
   /**
-   * Validate tool parameters
+   * Decide whether a failed attempt is retried (only called while `retries` allows another attempt)
+   * Without `retryOn` every failure is retried, except that a timed-out attempt may still take
+   * effect, so timeouts are never retried for non-idempotent tools
    */
-  validateToolParameters(tool, parameters) {
-    const schema = tool.parameters;
-    
-    if (!schema || Object.keys(schema).length === 0) {
-      return true;
+  shouldRetry(tool, error, attempt) {
+    if (error?.code === ToolError.codes.TIMEOUT && !tool.idempotent) {
+      return false;
     }
 
-    for (const [key, definition] of Object.entries(schema)) {
-      const value = parameters[key];
-      const isRequired = definition.required === true;
-
-      if (isRequired && (value === undefined || value === null)) {
-        throw this.errorManager.createToolError(
-          `Missing required parameter: ${key}`,
-          ToolError.codes.INVALID_PARAMS,
-          {
-            toolName: tool.name,
-            parameter: key,
-            provided: parameters
-          }
-        );
+    if (tool.retryOn) {
+      try {
+        return Boolean(tool.retryOn(error, attempt));
+      } catch {
+        return false;
       }
+    }
 
-      if (value !== undefined && definition.type) {
-        const expectedType = definition.type;
-        const actualType = typeof value;
-
-        if (expectedType === 'array' && !Array.isArray(value)) {
-          throw this.errorManager.createToolError(
-            `Parameter ${key} must be an array`,
-            ToolError.codes.INVALID_PARAMS,
-            {
-              toolName: tool.name,
-              parameter: key,
-              expectedType,
-              actualType
-            }
-          );
-        }
-        if (expectedType === 'string' && actualType === 'number') {
-          parameters[key] = String(value);
-        } else if (expectedType !== 'array' && actualType !== expectedType) {
-          throw this.errorManager.createToolError(
-            `Parameter ${key} has wrong type`,
-            ToolError.codes.INVALID_PARAMS,
-            {
-              toolName: tool.name,
-              parameter: key,
-              expectedType,
-              actualType
-            }
-          );
-        }
+    return true;
+  }
+
+  /**
+   * Build the error thrown after the last failed attempt
+   */
+  createExecutionError(tool, parameters, error, attempts) {
+    if (error?.code === ToolError.codes.TIMEOUT) {
+      error.details = { ...error.details, attempts };
+      return error;
+    }
+
+    return this.errorManager.createToolError(
+      `Tool execution failed: ${tool.name}`,
+      ToolError.codes.EXEC_FAILED,
+      {
+        toolName: tool.name,
+        parameters,
+        attempts,
+        originalError: error?.message ?? String(error),
+        stack: error?.stack
       }
+    );
+  }
+
+  /**
+   * Build the cancellation error for an aborted tool call
+   */
+  createCancelledError(name, signal) {
+    return this.errorManager.createCancellationError(
+      `Tool execution cancelled: ${name}`,
+      CancellationError.codes.ABORTED,
+      { toolName: name, reason: String(signal.reason ?? 'aborted') }
+    );
+  }
+
+  /**
+   * Throw a cancellation error if the signal has been aborted
+   */
+  throwIfAborted(name, signal) {
+    if (signal?.aborted) {
+      throw this.createCancelledError(name, signal);
+    }
+  }
+
+  /**
+   * Wait between attempts (cut short if the signal aborts)
+   */
+  wait(ms, name, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(this.createCancelledError(name, signal));
+      };
+
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Validate tool parameters against the tool's full JSON Schema
+   * Throws INVALID_PARAMS with every violation in `details.errors` ({ path, keyword, message })
+   */
+  validateToolParameters(tool, parameters) {
+    const schema = formatToolParameters(tool.parameters);
+    const errors = validateSchema(parameters ?? {}, schema);
+
+    if (errors.length > 0) {
+      const summary = errors.map(e => `${e.path || '/'}: ${e.message}`).join('; ');
+
+      throw this.errorManager.createToolError(
+        `Invalid arguments for tool ${tool.name}: ${summary}`,
+        ToolError.codes.INVALID_PARAMS,
+        {
+          toolName: tool.name,
+          errors,
+          provided: parameters
+        }
+      );
     }
 
     return true;
@@ -0,0 +1,98 @@
+/**
+ * Schedules tool calls so independent calls run in parallel.
+ *
+ * Calls start in the order they were scheduled, at most `toolConcurrency` at a time
+ * (from the config). A tool registered with `parallelSafe: false` waits for every
+ * running call to finish and runs alone; later calls wait until it is done.
+ */
+export class ToolScheduler {
+  constructor(config, toolManager) {
+    this.config = config;
+    this.toolManager = toolManager;
+    this.queue = [];
+    this.running = 0;
+    this.exclusiveRunning = false;
+  }
+
+  /**
+   * Schedule a tool call - resolves or rejects with the outcome of `task`
+   */
+  schedule(toolCall, task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        task,
+        exclusive: !this.isParallelSafe(toolCall.name),
+        resolve,
+        reject
+      });
+      this.drain();
+    });
+  }
+
+  /**
+   * Check whether a tool may run alongside other calls
+   */
+  isParallelSafe(name) {
+    if (!this.toolManager.hasTool(name)) {
+      return true;
+    }
+    return this.toolManager.getTool(name).parallelSafe !== false;
+  }
+
+  /**
+   * Get the global concurrency limit
+   */
+  getConcurrency() {
+    const limit = this.config.get('toolConcurrency');
+    return limit > 0 ? limit : Infinity;
+  }
+
+  /**
+   * Start queued calls while limits allow (first in, first out)
+   */
+  drain() {
+    while (this.queue.length > 0 && !this.exclusiveRunning) {
+      const next = this.queue[0];
+
+      if (next.exclusive ? this.running > 0 : this.running >= this.getConcurrency()) {
+        return;
+      }
+
+      this.queue.shift();
+      this.start(next);
+    }
+  }
+
+  /**
+   * Run a queued call and free its slot when it settles
+   */
+  start(entry) {
+    this.running++;
+    this.exclusiveRunning = entry.exclusive;
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.running--;
+        if (entry.exclusive) {
+          this.exclusiveRunning = false;
+        }
+        this.drain();
+      });
+  }
+
+  /**
+   * Get scheduler status
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      queued: this.queue.length,
+      exclusiveRunning: this.exclusiveRunning,
+      concurrency: this.getConcurrency()
+    };
+  }
+}
+
+export default ToolScheduler;
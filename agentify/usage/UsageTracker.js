@@ -0,0 +1,311 @@
+import { StorageError } from '../errors/ErrorTypes.js';
+import { formatBytes } from '../utils/formatters.js';
+import { createDefaultStorage } from '../storage/adapters/index.js';
+import { QueuedStorage } from '../storage/QueuedStorage.js';
+
+/**
+ * Records token usage per request and aggregates it per chat, task and model.
+ *
+ * Prices are given per million tokens and looked up by `provider:model`,
+ * then `model`, then `provider`, then `*`:
+ *
+ *   { 'openai:gpt-4o': { prompt: 2.5, completion: 10, cached: 1.25 } }
+ */
+export class UsageTracker extends QueuedStorage {
+  constructor(storageKey = 'agentify_usage', errorManager, storage = createDefaultStorage(), pricing = {}) {
+    super(storageKey, errorManager, storage);
+
+    this.pricing = { ...pricing };
+    this.maxRecords = 5000;
+  }
+
+  /**
+   * Generate unique usage record ID
+   */
+  generateRecordId() {
+    return `usage_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Merge prices into the price table
+   */
+  setPricing(pricing = {}) {
+    this.pricing = { ...this.pricing, ...pricing };
+    return this;
+  }
+
+  /**
+   * Get the price table
+   */
+  getPricing() {
+    return { ...this.pricing };
+  }
+
+  /**
+   * Find the price entry for a provider/model pair
+   */
+  getPrice(provider, model) {
+    const keys = [`${provider}:${model}`, model, provider, '*'];
+
+    for (const key of keys) {
+      if (key && this.pricing[key]) {
+        return this.pricing[key];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize provider usage (OpenAI, OpenAI Responses, Anthropic, Gemini or Ollama shape) to one format
+   */
+  normalizeUsage(usage) {
+    if (!usage || typeof usage !== 'object') {
+      return null;
+    }
+
+    let promptTokens;
+    let completionTokens;
+    let cachedTokens;
+
+    if ('input_tokens_details' in usage || 'output_tokens_details' in usage) {
+      // OpenAI Responses API - input_tokens includes cached tokens
+      promptTokens = usage.input_tokens || 0;
+      completionTokens = usage.output_tokens || 0;
+      cachedTokens = usage.input_tokens_details?.cached_tokens || 0;
+    } else if ('input_tokens' in usage || 'output_tokens' in usage) {
+      // Anthropic - input_tokens excludes cache reads and writes
+      cachedTokens = usage.cache_read_input_tokens || 0;
+      promptTokens = (usage.input_tokens || 0) + cachedTokens + (usage.cache_creation_input_tokens || 0);
+      completionTokens = usage.output_tokens || 0;
+    } else if ('prompt_eval_count' in usage || 'eval_count' in usage) {
+      // Ollama
+      promptTokens = usage.prompt_eval_count || 0;
+      completionTokens = usage.eval_count || 0;
+      cachedTokens = 0;
+    } else if ('promptTokenCount' in usage || 'candidatesTokenCount' in usage) {
+      // Gemini
+      promptTokens = usage.promptTokenCount || 0;
+      completionTokens = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
+      cachedTokens = usage.cachedContentTokenCount || 0;
+    } else {
+      // OpenAI-compatible
+      promptTokens = usage.prompt_tokens || 0;
+      completionTokens = usage.completion_tokens || 0;
+      cachedTokens = usage.prompt_tokens_details?.cached_tokens || usage.prompt_cache_hit_tokens || 0;
+    }
+
+    return {
+      promptTokens,
+      completionTokens,
+      cachedTokens,
+      totalTokens: promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * Calculate the cost of normalized usage, or null when no price is configured
+   */
+  calculateCost(usage, provider, model) {
+    const price = this.getPrice(provider, model);
+
+    if (!price || !usage) {
+      return null;
+    }
+
+    // Cached prompt tokens are billed at the cached rate when one is configured
+    const cachedRate = price.cached ?? price.prompt ?? 0;
+    const uncachedPrompt = usage.promptTokens - usage.cachedTokens;
+
+    const cost = (
+      uncachedPrompt * (price.prompt || 0) +
+      usage.cachedTokens * cachedRate +
+      usage.completionTokens * (price.completion || 0)
+    ) / 1e6;
+
+    return Math.round(cost * 1e8) / 1e8;
+  }
+
+  /**
+   * Record usage of a single request
+   * Returns the stored record, or null when the response carried no usage
+   */
+  async recordUsage(usage, context = {}) {
+    const normalized = this.normalizeUsage(usage);
+
+    if (!normalized) {
+      return null;
+    }
+
+    const record = {
+      id: this.generateRecordId(),
+      timestamp: new Date().toISOString(),
+      chatId: context.chatId || null,
+      taskId: context.taskId || null,
+      provider: context.provider || null,
+      model: context.model || null,
+      ...normalized,
+      cost: this.calculateCost(normalized, context.provider, context.model)
+    };
+
+    return this.enqueue(async () => {
+      const records = await this.loadRecords();
+      records.push(record);
+
+      // Trim if exceeds max
+      if (records.length > this.maxRecords) {
+        records.splice(0, records.length - this.maxRecords);
+      }
+
+      await this.saveRecords(records);
+      return record;
+    });
+  }
+
+  /**
+   * Get usage records with optional filtering
+   */
+  async getRecords(filter = {}) {
+    let records = await this.enqueue(() => this.loadRecords());
+
+    if (filter.chatId) {
+      records = records.filter(r => r.chatId === filter.chatId);
+    }
+
+    if (filter.taskId) {
+      records = records.filter(r => r.taskId === filter.taskId);
+    }
+
+    if (filter.provider) {
+      records = records.filter(r => r.provider === filter.provider);
+    }
+
+    if (filter.model) {
+      records = records.filter(r => r.model === filter.model);
+    }
+
+    if (filter.since) {
+      const sinceDate = new Date(filter.since);
+      records = records.filter(r => new Date(r.timestamp) >= sinceDate);
+    }
+
+    if (filter.until) {
+      const untilDate = new Date(filter.until);
+      records = records.filter(r => new Date(r.timestamp) <= untilDate);
+    }
+
+    return records;
+  }
+
+  /**
+   * Get aggregated usage totals, broken down by model
+   */
+  async getUsage(filter = {}) {
+    const records = await this.getRecords(filter);
+    const totals = this.sumRecords(records);
+    const byModel = {};
+
+    for (const record of records) {
+      const key = record.provider ? `${record.provider}:${record.model}` : String(record.model);
+      (byModel[key] = byModel[key] || []).push(record);
+    }
+
+    for (const key of Object.keys(byModel)) {
+      byModel[key] = this.sumRecords(byModel[key]);
+    }
+
+    return { ...totals, byModel };
+  }
+
+  /**
+   * Sum token counts and cost of records
+   */
+  sumRecords(records) {
+    const totals = {
+      requests: records.length,
+      promptTokens: 0,
+      completionTokens: 0,
+      cachedTokens: 0,
+      totalTokens: 0,
+      cost: 0
+    };
+
+    for (const record of records) {
+      totals.promptTokens += record.promptTokens;
+      totals.completionTokens += record.completionTokens;
+      totals.cachedTokens += record.cachedTokens;
+      totals.totalTokens += record.totalTokens;
+      totals.cost += record.cost || 0;
+    }
+
+    totals.cost = Math.round(totals.cost * 1e8) / 1e8;
+    return totals;
+  }
+
+  /**
+   * Load all usage records from storage
+   */
+  async loadRecords() {
+    try {
+      const records = await this.storage.get(this.storageKey);
+      return Array.isArray(records) ? records : [];
+    } catch (error) {
+      throw this.errorManager.createStorageError(
+        'Failed to read usage records',
+        StorageError.codes.READ_FAILED,
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Save usage records to storage
+   */
+  async saveRecords(records) {
+    try {
+      await this.storage.set(this.storageKey, records);
+    } catch (error) {
+      throw this.errorManager.createStorageError(
+        'Failed to save usage records',
+        error.name === 'QuotaExceededError'
+          ? StorageError.codes.QUOTA_EXCEEDED
+          : StorageError.codes.WRITE_FAILED,
+        { recordCount: records.length, originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Clear all usage records
+   */
+  async clearUsage() {
+    return this.enqueue(async () => {
+      try {
+        await this.storage.delete(this.storageKey);
+        return true;
+      } catch (error) {
+        throw this.errorManager.createStorageError(
+          'Failed to clear usage records',
+          StorageError.codes.WRITE_FAILED,
+          { originalError: error.message }
+        );
+      }
+    });
+  }
+
+  /**
+   * Get storage statistics
+   */
+  async getStorageStats() {
+    const records = await this.getRecords();
+    const recordsJson = JSON.stringify(records);
+
+    return {
+      totalRecords: records.length,
+      storageUsed: recordsJson.length,
+      storageUsedFormatted: formatBytes(recordsJson.length)
+    };
+  }
+}
+
+export default UsageTracker;
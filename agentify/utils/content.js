@@ -0,0 +1,222 @@
+/**
+ * Canonical message content: a string, or an array of parts
+ *
+ *   { type: 'text', text }
+ *   { type: 'image' | 'file' | 'audio', url, mimeType? }            - remote resource
+ *   { type: 'image' | 'file' | 'audio', data, mimeType, name? }     - base64 data
+ *   { type: 'image' | 'file' | 'audio', ref, mimeType, name?, size } - data kept in attachment storage
+ *
+ * Input parts may instead carry `file` (a File or Blob) or a data URL in `url`;
+ * normalizeContent turns those into base64 data. Adapters convert parts to their native format.
+ */
+
+export const MEDIA_PART_TYPES = ['image', 'file', 'audio'];
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac'
+};
+
+/**
+ * Normalize message content - strings stay as-is, parts are read into base64 where needed
+ */
+export async function normalizeContent(content) {
+  if (content === null || content === undefined || typeof content === 'string') {
+    return content;
+  }
+
+  const parts = Array.isArray(content) ? content : [content];
+  return Promise.all(parts.map(part => normalizeContentPart(part)));
+}
+
+/**
+ * Normalize a single content part
+ */
+export async function normalizeContentPart(part) {
+  if (typeof part === 'string') {
+    return { type: 'text', text: part };
+  }
+
+  if (part.type === 'text') {
+    return { type: 'text', text: String(part.text ?? '') };
+  }
+
+  const { file, url, ...rest } = part;
+
+  if (file) {
+    const { data, mimeType } = parseDataUrl(await readFileAsDataUrl(file));
+    return compactPart({
+      ...rest,
+      data,
+      mimeType: part.mimeType || file.type || mimeType,
+      name: part.name || file.name,
+      size: file.size
+    });
+  }
+
+  if (typeof url === 'string' && url.startsWith('data:')) {
+    const parsed = parseDataUrl(url);
+    if (parsed) {
+      return compactPart({ ...rest, data: parsed.data, mimeType: part.mimeType || parsed.mimeType });
+    }
+  }
+
+  return { ...part };
+}
+
+/**
+ * Read a File or Blob as text, or as a data URL with `format = 'dataUrl'`
+ */
+export function readFile(file, format = 'text') {
+  // Server runtimes have Blob but no FileReader
+  if (typeof FileReader === 'undefined') {
+    return format === 'dataUrl'
+      ? file.arrayBuffer().then(buffer =>
+        `data:${file.type || 'application/octet-stream'};base64,${arrayBufferToBase64(buffer)}`
+      )
+      : file.text();
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      resolve(e.target.result);
+    };
+
+    reader.onerror = () => {
+      reject(new Error(`Failed to read file${file.name ? `: ${file.name}` : ''}`));
+    };
+
+    if (format === 'dataUrl') {
+      reader.readAsDataURL(file);
+    } else {
+      reader.readAsText(file);
+    }
+  });
+}
+
+/**
+ * Read a File or Blob as a data URL
+ */
+export function readFileAsDataUrl(file) {
+  return readFile(file, 'dataUrl');
+}
+
+/**
+ * Split a base64 data URL into { mimeType, data }, or null if it is not one
+ */
+export function parseDataUrl(url) {
+  const match = /^data:([^;,]*)(?:;[^;,]+)*;base64,(.*)$/s.exec(url);
+
+  if (!match) {
+    return null;
+  }
+
+  return { mimeType: match[1] || 'application/octet-stream', data: match[2] };
+}
+
+/**
+ * Build a data URL from a part with base64 data
+ */
+export function toDataUrl(part) {
+  return `data:${part.mimeType || 'application/octet-stream'};base64,${part.data}`;
+}
+
+/**
+ * Guess a MIME type from a URL or file name
+ */
+export function guessMimeType(nameOrUrl, fallback = 'application/octet-stream') {
+  const extension = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(nameOrUrl || '')?.[1]?.toLowerCase();
+  return MIME_TYPES[extension] || fallback;
+}
+
+/**
+ * Get the audio format name providers expect ('wav', 'mp3', ...) from a MIME type
+ */
+export function getAudioFormat(mimeType = '') {
+  const subtype = mimeType.split('/')[1] || '';
+
+  if (subtype === 'mpeg' || subtype === 'mp3') return 'mp3';
+  if (subtype === 'x-wav' || subtype === 'wave') return 'wav';
+  return subtype || 'wav';
+}
+
+/**
+ * Decode base64 data as UTF-8 text
+ */
+export function decodeBase64Text(data) {
+  const binary = atob(data);
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Short placeholder for a media part, e.g. "[image: photo.png]"
+ */
+export function describePart(part) {
+  const label = part.name || (part.url && !part.url.startsWith('data:') ? part.url : null);
+  return `[${part.type}${label ? `: ${label}` : ''}]`;
+}
+
+/**
+ * Get the text of message content - media parts become placeholders
+ */
+export function getTextContent(content) {
+  if (content === null || content === undefined) {
+    return '';
+  }
+
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (!Array.isArray(content)) {
+    return JSON.stringify(content);
+  }
+
+  return content
+    .map(part => part.type === 'text' ? part.text : describePart(part))
+    .join('\n');
+}
+
+/**
+ * Check whether content contains media parts
+ */
+export function hasMediaParts(content) {
+  return Array.isArray(content) && content.some(part => MEDIA_PART_TYPES.includes(part.type));
+}
+
+/**
+ * Encode an ArrayBuffer as base64
+ */
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+
+  // Chunked to stay below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+
+  return btoa(binary);
+}
+
+/**
+ * Drop undefined fields from a part
+ */
+function compactPart(part) {
+  return Object.fromEntries(Object.entries(part).filter(([, value]) => value !== undefined));
+}
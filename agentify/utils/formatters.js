@@ -6,6 +6,11 @@ export function formatToolParameters(parameters) {
     return { type: 'object', properties: {} };
   }
 
+  // Already a complete JSON Schema
+  if (parameters.type === 'object' && typeof parameters.properties === 'object') {
+    return parameters;
+  }
+
   const formatted = {
     type: 'object',
     properties: {},
@@ -17,9 +22,10 @@ export function formatToolParameters(parameters) {
       // Check if it has 'required' field and extract it
       const isRequired = value.required === true;
       
-      // Create a clean copy without the 'required' field
+      // Create a clean copy without the boolean 'required' flag
+      // (an array 'required' belongs to a nested object schema and is kept)
       const { required, ...cleanValue } = value;
-      formatted.properties[key] = cleanValue;
+      formatted.properties[key] = Array.isArray(required) ? value : cleanValue;
       
       if (isRequired) {
         formatted.required.push(key);
@@ -37,6 +43,90 @@ export function formatToolParameters(parameters) {
   return formatted;
 }
 
+/**
+ * Name of the tool used to force structured output on providers without a JSON mode (Anthropic)
+ */
+export const STRUCTURED_OUTPUT_TOOL = 'structured_output';
+
+/**
+ * Normalize the `responseSchema` chat option to { name, schema, strict, description }
+ * Accepts a plain JSON Schema or { name, schema, strict, description }
+ */
+export function formatResponseSchema(responseSchema) {
+  if (!responseSchema) {
+    return null;
+  }
+
+  const isWrapped = responseSchema.type === undefined &&
+    typeof responseSchema.schema === 'object' && responseSchema.schema !== null;
+  const wrapper = isWrapped ? responseSchema : { schema: responseSchema };
+
+  return {
+    name: String(wrapper.name || 'response').replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64),
+    schema: wrapper.schema,
+    strict: wrapper.strict === true,
+    description: wrapper.description || null
+  };
+}
+
+/**
+ * Thinking budget (tokens) used for each reasoning effort when no budget is given
+ */
+export const REASONING_BUDGETS = { low: 1024, medium: 4096, high: 16384 };
+
+/**
+ * Normalize the `reasoning` option to { effort, budgetTokens }, or null when reasoning is off
+ * Accepts true or { enabled, budgetTokens, effort }; a missing effort or budget is derived from the other
+ */
+export function formatReasoning(reasoning) {
+  if (!reasoning || reasoning.enabled === false) {
+    return null;
+  }
+
+  const { effort, budgetTokens } = reasoning === true ? {} : reasoning;
+
+  if (budgetTokens) {
+    return {
+      effort: effort || (budgetTokens < REASONING_BUDGETS.medium ? 'low'
+        : budgetTokens < REASONING_BUDGETS.high ? 'medium' : 'high'),
+      budgetTokens
+    };
+  }
+
+  return {
+    effort: effort || 'medium',
+    budgetTokens: REASONING_BUDGETS[effort || 'medium']
+  };
+}
+
+/**
+ * Build the prompt instruction used when a provider has no native structured output
+ */
+export function formatSchemaInstruction(responseSchema) {
+  return 'Respond only with a JSON value that matches this JSON Schema - no prose and no code fences:\n' +
+    JSON.stringify(responseSchema.schema);
+}
+
+/**
+ * Normalize a tool choice to 'auto', 'none', 'required' or { name }
+ * 'any' is an alias of 'required'; any other string names the tool to call
+ */
+export function formatToolChoice(toolChoice) {
+  if (toolChoice === null || toolChoice === undefined) {
+    return null;
+  }
+
+  if (typeof toolChoice === 'object') {
+    return { name: toolChoice.name ?? toolChoice.function?.name };
+  }
+
+  if (toolChoice === 'any') {
+    return 'required';
+  }
+
+  return ['auto', 'none', 'required'].includes(toolChoice) ? toolChoice : { name: toolChoice };
+}
+
 /**
  * Format messages for different providers
  */
@@ -66,17 +156,17 @@ export function formatMessages(messages, systemInstruction = null) {
 
 /**
  * Format thinking content for display
+ * Streamed chunks pass `trim = false` so the spacing between them survives
  */
-export function formatThinkingContent(content) {
+export function formatThinkingContent(content, trim = true) {
   if (!content) return '';
   
   // Remove XML-like tags if present
   const cleaned = content
     .replace(/<thinking>/gi, '')
-    .replace(/<\/thinking>/gi, '')
-    .trim();
+    .replace(/<\/thinking>/gi, '');
 
-  return cleaned;
+  return trim ? cleaned.trim() : cleaned;
 }
 
 /**
@@ -0,0 +1,328 @@
+/**
+ * JSON Schema validation (draft 2020-12 subset) used for tool arguments.
+ *
+ * Supported keywords: type, enum, const, properties, required, additionalProperties,
+ * patternProperties, minProperties, maxProperties, items, prefixItems, minItems, maxItems,
+ * uniqueItems, contains, minLength, maxLength, pattern, format (date-time, date, email, uri, uuid),
+ * minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf, allOf, anyOf, oneOf, not,
+ * and local $ref into $defs/definitions.
+ */
+
+const FORMATS = {
+  'date-time': value => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => /^[a-z][a-z0-9+.-]*:/i.test(value),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+/**
+ * Validate a value against a schema
+ * Returns every violation as { path, keyword, message } with JSON-pointer paths ('' is the root)
+ */
+export function validateSchema(value, schema, root = schema, path = '') {
+  const errors = [];
+
+  if (schema === true || schema === undefined || schema === null) {
+    return errors;
+  }
+
+  if (schema === false) {
+    errors.push(schemaError(path, 'false', 'No value is allowed here'));
+    return errors;
+  }
+
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, root);
+    if (resolved === undefined) {
+      errors.push(schemaError(path, '$ref', `Cannot resolve reference ${schema.$ref}`));
+    } else {
+      errors.push(...validateSchema(value, resolved, root, path));
+    }
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(schemaError(path, 'type', `Expected ${types.join(' or ')}, got ${describeType(value)}`));
+      // Further keywords would only repeat the type mismatch
+      return errors;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some(option => isEqual(option, value))) {
+    errors.push(schemaError(path, 'enum', `Must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`));
+  }
+
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    errors.push(schemaError(path, 'const', `Must be ${JSON.stringify(schema.const)}`));
+  }
+
+  if (typeof value === 'string') {
+    errors.push(...validateString(value, schema, path));
+  } else if (typeof value === 'number') {
+    errors.push(...validateNumber(value, schema, path));
+  } else if (Array.isArray(value)) {
+    errors.push(...validateArray(value, schema, root, path));
+  } else if (value !== null && typeof value === 'object') {
+    errors.push(...validateObject(value, schema, root, path));
+  }
+
+  errors.push(...validateCombinators(value, schema, root, path));
+
+  return errors;
+}
+
+/**
+ * Validate string keywords
+ */
+function validateString(value, schema, path) {
+  const errors = [];
+  const length = [...value].length;
+
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    errors.push(schemaError(path, 'minLength', `Must be at least ${schema.minLength} characters`));
+  }
+
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    errors.push(schemaError(path, 'maxLength', `Must be at most ${schema.maxLength} characters`));
+  }
+
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+    errors.push(schemaError(path, 'pattern', `Must match pattern ${schema.pattern}`));
+  }
+
+  if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+    errors.push(schemaError(path, 'format', `Must be a valid ${schema.format}`));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate numeric keywords
+ */
+function validateNumber(value, schema, path) {
+  const errors = [];
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(schemaError(path, 'minimum', `Must be >= ${schema.minimum}`));
+  }
+
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(schemaError(path, 'maximum', `Must be <= ${schema.maximum}`));
+  }
+
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    errors.push(schemaError(path, 'exclusiveMinimum', `Must be > ${schema.exclusiveMinimum}`));
+  }
+
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    errors.push(schemaError(path, 'exclusiveMaximum', `Must be < ${schema.exclusiveMaximum}`));
+  }
+
+  if (schema.multipleOf !== undefined) {
+    const quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      errors.push(schemaError(path, 'multipleOf', `Must be a multiple of ${schema.multipleOf}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate array keywords
+ */
+function validateArray(value, schema, root, path) {
+  const errors = [];
+  const prefixItems = schema.prefixItems || [];
+
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push(schemaError(path, 'minItems', `Must contain at least ${schema.minItems} items`));
+  }
+
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push(schemaError(path, 'maxItems', `Must contain at most ${schema.maxItems} items`));
+  }
+
+  if (schema.uniqueItems) {
+    const duplicate = value.findIndex((item, i) => value.findIndex(other => isEqual(other, item)) !== i);
+    if (duplicate !== -1) {
+      errors.push(schemaError(`${path}/${duplicate}`, 'uniqueItems', 'Items must be unique'));
+    }
+  }
+
+  value.forEach((item, i) => {
+    const itemSchema = i < prefixItems.length ? prefixItems[i] : schema.items;
+    errors.push(...validateSchema(item, itemSchema, root, `${path}/${i}`));
+  });
+
+  if (schema.contains !== undefined &&
+      !value.some(item => validateSchema(item, schema.contains, root).length === 0)) {
+    errors.push(schemaError(path, 'contains', 'Must contain at least one matching item'));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate object keywords
+ */
+function validateObject(value, schema, root, path) {
+  const errors = [];
+  const properties = schema.properties || {};
+  const patternProperties = schema.patternProperties || {};
+  const keys = Object.keys(value);
+
+  // Only own keys count - inherited names such as 'constructor' are ordinary properties.
+  // A boolean `required` (the legacy per-parameter flag) is not a list of names and is skipped
+  for (const key of Array.isArray(schema.required) ? schema.required : []) {
+    if (!Object.hasOwn(value, key) || value[key] === undefined) {
+      errors.push(schemaError(`${path}/${escapePointer(key)}`, 'required', `Missing required property '${key}'`));
+    }
+  }
+
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    errors.push(schemaError(path, 'minProperties', `Must have at least ${schema.minProperties} properties`));
+  }
+
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    errors.push(schemaError(path, 'maxProperties', `Must have at most ${schema.maxProperties} properties`));
+  }
+
+  for (const key of keys) {
+    const childPath = `${path}/${escapePointer(key)}`;
+    let matched = false;
+
+    if (Object.hasOwn(properties, key)) {
+      matched = true;
+      errors.push(...validateSchema(value[key], properties[key], root, childPath));
+    }
+
+    for (const [pattern, propertySchema] of Object.entries(patternProperties)) {
+      if (new RegExp(pattern, 'u').test(key)) {
+        matched = true;
+        errors.push(...validateSchema(value[key], propertySchema, root, childPath));
+      }
+    }
+
+    if (!matched && schema.additionalProperties !== undefined) {
+      if (schema.additionalProperties === false) {
+        errors.push(schemaError(childPath, 'additionalProperties', `Unknown property '${key}'`));
+      } else {
+        errors.push(...validateSchema(value[key], schema.additionalProperties, root, childPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate allOf / anyOf / oneOf / not
+ */
+function validateCombinators(value, schema, root, path) {
+  const errors = [];
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...validateSchema(value, subschema, root, path));
+  }
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(subschema => validateSchema(value, subschema, root, path));
+    if (!results.some(result => result.length === 0)) {
+      errors.push(schemaError(path, 'anyOf', 'Must match at least one allowed schema', { causes: results.flat() }));
+    }
+  }
+
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(subschema => validateSchema(value, subschema, root, path));
+    const matches = results.filter(result => result.length === 0).length;
+    if (matches !== 1) {
+      errors.push(schemaError(
+        path,
+        'oneOf',
+        matches === 0 ? 'Must match exactly one allowed schema' : `Matches ${matches} schemas, expected exactly one`,
+        matches === 0 ? { causes: results.flat() } : {}
+      ));
+    }
+  }
+
+  if (schema.not !== undefined && validateSchema(value, schema.not, root, path).length === 0) {
+    errors.push(schemaError(path, 'not', 'Must not match the excluded schema'));
+  }
+
+  return errors;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Describe the JSON type of a value for error messages
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Structural equality for enum/const/uniqueItems
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * Resolve a local reference such as #/$defs/address
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) {
+    return undefined;
+  }
+
+  return ref.slice(1).split('/').filter(Boolean).reduce((node, segment) => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    return node !== undefined && node !== null && Object.hasOwn(node, key) ? node[key] : undefined;
+  }, root);
+}
+
+/**
+ * Escape a property name for use in a JSON pointer
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Build a validation error entry
+ */
+function schemaError(path, keyword, message, extra = {}) {
+  return { path, keyword, message, ...extra };
+}
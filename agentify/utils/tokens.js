@@ -0,0 +1,79 @@
+/**
+ * Context window sizes (in tokens) by model name prefix - the longest matching prefix wins
+ */
+export const MODEL_CONTEXT_LIMITS = {
+  'gpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-4-turbo': 128000,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385,
+  'o1': 200000,
+  'o3': 200000,
+  'o4': 200000,
+  'claude': 200000,
+  'gemini-1.5-pro': 2097152,
+  'gemini': 1048576,
+  'deepseek': 65536
+};
+
+/**
+ * Get the context window size of a model, or null if unknown
+ */
+export function getModelContextLimit(model) {
+  if (!model) return null;
+
+  const name = model.toLowerCase();
+  let match = null;
+
+  for (const prefix of Object.keys(MODEL_CONTEXT_LIMITS)) {
+    if (name.startsWith(prefix) && (!match || prefix.length > match.length)) {
+      match = prefix;
+    }
+  }
+
+  return match ? MODEL_CONTEXT_LIMITS[match] : null;
+}
+
+/**
+ * Estimate the token count of a text (~4 characters per token)
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Count tokens of any value (objects are measured as JSON)
+ */
+export function countTokens(value, tokenizer = estimateTokens) {
+  if (value === null || value === undefined) return 0;
+  return tokenizer(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+/**
+ * Rough token cost of one image, file or audio part - providers price media very differently
+ */
+export const MEDIA_PART_TOKENS = 1000;
+
+/**
+ * Count tokens of message content - media parts count a flat MEDIA_PART_TOKENS instead of their data
+ */
+export function countContentTokens(content, tokenizer = estimateTokens) {
+  if (!Array.isArray(content)) {
+    return countTokens(content, tokenizer);
+  }
+
+  return content.reduce((total, part) =>
+    total + (part.type === 'text' ? countTokens(part.text, tokenizer) : MEDIA_PART_TOKENS), 0);
+}
+
+/**
+ * Count tokens of a chat message including tool calls and per-message overhead
+ */
+export function countMessageTokens(message, tokenizer = estimateTokens) {
+  const MESSAGE_OVERHEAD = 4;
+
+  return MESSAGE_OVERHEAD +
+    countContentTokens(message.content, tokenizer) +
+    countTokens(message.tool_calls, tokenizer);
+}
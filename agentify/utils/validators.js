@@ -63,6 +63,214 @@ export function validateConfig(config) {
     }
   }
 
+  if (config.retryAttempts !== undefined) {
+    if (!Number.isInteger(config.retryAttempts) || config.retryAttempts < 0) {
+      throw new SystemError(
+        'Retry attempts must be a non-negative integer',
+        SystemError.codes.INVALID_PARAMETER,
+        { parameter: 'retryAttempts', value: config.retryAttempts }
+      );
+    }
+  }
+
+  for (const key of ['retryDelay', 'maxRetryDelay']) {
+    if (config[key] !== undefined && config[key] !== null) {
+      if (typeof config[key] !== 'number' || config[key] < 0) {
+        throw new SystemError(
+          `${key} must be a non-negative number`,
+          SystemError.codes.INVALID_PARAMETER,
+          { parameter: key, value: config[key] }
+        );
+      }
+    }
+  }
+
+  if (config.toolConcurrency !== undefined && config.toolConcurrency !== null) {
+    if (!Number.isInteger(config.toolConcurrency) || config.toolConcurrency < 1) {
+      throw new SystemError(
+        'Tool concurrency must be a positive integer',
+        SystemError.codes.INVALID_PARAMETER,
+        { parameter: 'toolConcurrency', value: config.toolConcurrency }
+      );
+    }
+  }
+
+  if (config.contextTokenLimit !== undefined && config.contextTokenLimit !== null) {
+    const limit = config.contextTokenLimit;
+    if (limit !== 'auto' && (typeof limit !== 'number' || limit <= 0)) {
+      throw new SystemError(
+        "Context token limit must be a positive number or 'auto'",
+        SystemError.codes.INVALID_PARAMETER,
+        { parameter: 'contextTokenLimit', value: limit }
+      );
+    }
+  }
+
+  if (config.toolChoice !== undefined && config.toolChoice !== null) {
+    validateToolChoice(config.toolChoice);
+  }
+
+  for (const key of ['apiVersion', 'deployment']) {
+    if (config[key] !== undefined && config[key] !== null && typeof config[key] !== 'string') {
+      throw new SystemError(
+        `${key} must be a string`,
+        SystemError.codes.INVALID_PARAMETER,
+        { parameter: key, providedType: typeof config[key] }
+      );
+    }
+  }
+
+  if (config.candidateCount !== undefined && config.candidateCount !== null) {
+    validateCandidateCount(config.candidateCount);
+  }
+
+  if (config.reasoning !== undefined && config.reasoning !== null) {
+    validateReasoning(config.reasoning);
+  }
+
+  if (config.responseThreading !== undefined && typeof config.responseThreading !== 'boolean') {
+    throw new SystemError(
+      'responseThreading must be a boolean',
+      SystemError.codes.INVALID_PARAMETER,
+      { parameter: 'responseThreading', providedType: typeof config.responseThreading }
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Validate a tool choice ('auto', 'none', 'required', 'any', a tool name or { name })
+ */
+export function validateToolChoice(toolChoice) {
+  const name = typeof toolChoice === 'object' && toolChoice !== null
+    ? toolChoice.name ?? toolChoice.function?.name
+    : toolChoice;
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new SystemError(
+      "Tool choice must be 'auto', 'none', 'required', 'any' or a tool name",
+      SystemError.codes.INVALID_PARAMETER,
+      { parameter: 'toolChoice', value: toolChoice }
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Validate the number of candidates to generate
+ */
+export function validateCandidateCount(candidateCount) {
+  if (!Number.isInteger(candidateCount) || candidateCount < 1 || candidateCount > 8) {
+    throw new SystemError(
+      'Candidate count must be an integer between 1 and 8',
+      SystemError.codes.INVALID_PARAMETER,
+      { parameter: 'candidateCount', value: candidateCount }
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Validate a reasoning option (true, false or { enabled, budgetTokens, effort })
+ */
+export function validateReasoning(reasoning) {
+  if (typeof reasoning === 'boolean') {
+    return true;
+  }
+
+  if (typeof reasoning !== 'object' || reasoning === null || Array.isArray(reasoning)) {
+    throw new SystemError(
+      'reasoning must be a boolean or { enabled, budgetTokens, effort }',
+      SystemError.codes.INVALID_PARAMETER,
+      { parameter: 'reasoning', providedType: typeof reasoning }
+    );
+  }
+
+  if (reasoning.enabled !== undefined && typeof reasoning.enabled !== 'boolean') {
+    throw new SystemError(
+      'reasoning.enabled must be a boolean',
+      SystemError.codes.INVALID_PARAMETER,
+      { parameter: 'reasoning.enabled', value: reasoning.enabled }
+    );
+  }
+
+  if (reasoning.budgetTokens !== undefined && reasoning.budgetTokens !== null &&
+      (!Number.isInteger(reasoning.budgetTokens) || reasoning.budgetTokens < 1)) {
+    throw new SystemError(
+      'reasoning.budgetTokens must be a positive integer',
+      SystemError.codes.INVALID_PARAMETER,
+      { parameter: 'reasoning.budgetTokens', value: reasoning.budgetTokens }
+    );
+  }
+
+  if (reasoning.effort !== undefined && reasoning.effort !== null &&
+      !['low', 'medium', 'high'].includes(reasoning.effort)) {
+    throw new SystemError(
+      "reasoning.effort must be 'low', 'medium' or 'high'",
+      SystemError.codes.INVALID_PARAMETER,
+      { parameter: 'reasoning.effort', value: reasoning.effort }
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Validate a list of allowed tool names
+ */
+export function validateAllowedTools(allowedTools) {
+  if (!Array.isArray(allowedTools) || !allowedTools.every(name => typeof name === 'string')) {
+    throw new SystemError(
+      'allowedTools must be an array of tool names',
+      SystemError.codes.INVALID_PARAMETER,
+      { parameter: 'allowedTools', value: allowedTools }
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Validate a provider definition for the provider registry
+ */
+export function validateProviderDefinition(name, definition) {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new SystemError(
+      'Provider name must be a non-empty string',
+      SystemError.codes.INVALID_PARAMETER,
+      { name }
+    );
+  }
+
+  if (!definition || typeof definition.adapter !== 'function') {
+    throw new SystemError(
+      `Provider "${name}" needs an adapter class`,
+      SystemError.codes.INVALID_PARAMETER,
+      { name, providedType: typeof definition?.adapter }
+    );
+  }
+
+  for (const key of ['streamParser', 'detect']) {
+    if (definition[key] !== undefined && definition[key] !== null && typeof definition[key] !== 'function') {
+      throw new SystemError(
+        `Provider "${name}" ${key} must be a function`,
+        SystemError.codes.INVALID_PARAMETER,
+        { name, parameter: key, providedType: typeof definition[key] }
+      );
+    }
+  }
+
+  if (definition.requiresApiKey !== undefined && typeof definition.requiresApiKey !== 'boolean') {
+    throw new SystemError(
+      `Provider "${name}" requiresApiKey must be a boolean`,
+      SystemError.codes.INVALID_PARAMETER,
+      { name, parameter: 'requiresApiKey', providedType: typeof definition.requiresApiKey }
+    );
+  }
+
   return true;
 }
 
@@ -110,6 +318,42 @@ export function validateTool(tool) {
     );
   }
 
+  if (tool.timeout !== undefined && tool.timeout !== null &&
+      (typeof tool.timeout !== 'number' || tool.timeout < 0)) {
+    throw new SystemError(
+      'Tool timeout must be a non-negative number of milliseconds',
+      SystemError.codes.VALIDATION_FAILED,
+      { toolName: tool.name, value: tool.timeout }
+    );
+  }
+
+  for (const key of ['retries', 'retryDelay']) {
+    if (tool[key] !== undefined && (!Number.isInteger(tool[key]) || tool[key] < 0)) {
+      throw new SystemError(
+        `Tool ${key} must be a non-negative integer`,
+        SystemError.codes.VALIDATION_FAILED,
+        { toolName: tool.name, parameter: key, value: tool[key] }
+      );
+    }
+  }
+
+  if (tool.retryOn !== undefined && typeof tool.retryOn !== 'function') {
+    throw new SystemError(
+      'Tool retryOn must be a function',
+      SystemError.codes.VALIDATION_FAILED,
+      { toolName: tool.name, providedType: typeof tool.retryOn }
+    );
+  }
+
+  if (tool.requiresApproval !== undefined &&
+      typeof tool.requiresApproval !== 'boolean' && typeof tool.requiresApproval !== 'function') {
+    throw new SystemError(
+      'Tool requiresApproval must be a boolean or a function',
+      SystemError.codes.VALIDATION_FAILED,
+      { toolName: tool.name, providedType: typeof tool.requiresApproval }
+    );
+  }
+
   return true;
 }
 
@@ -133,6 +377,68 @@ export function validateMessage(message) {
     );
   }
 
+  const parts = Array.isArray(message) ? message : message?.content;
+
+  if (Array.isArray(parts)) {
+    if (parts.length === 0) {
+      throw new SystemError(
+        'Message content cannot be empty',
+        SystemError.codes.VALIDATION_FAILED,
+        { message }
+      );
+    }
+
+    parts.forEach((part, index) => validateContentPart(part, index));
+  }
+
+  return true;
+}
+
+/**
+ * Validate a message content part (text, image, file or audio)
+ */
+export function validateContentPart(part, index = 0) {
+  if (typeof part === 'string') {
+    return true;
+  }
+
+  const types = ['text', 'image', 'file', 'audio'];
+
+  if (!part || typeof part !== 'object' || !types.includes(part.type)) {
+    throw new SystemError(
+      `Content part ${index} must have a type of: ${types.join(', ')}`,
+      SystemError.codes.INVALID_PARAMETER,
+      { index, part }
+    );
+  }
+
+  if (part.type === 'text') {
+    if (typeof part.text !== 'string') {
+      throw new SystemError(
+        `Text content part ${index} must have a string text`,
+        SystemError.codes.INVALID_PARAMETER,
+        { index }
+      );
+    }
+    return true;
+  }
+
+  if (!part.url && !part.data && !part.file && !part.ref) {
+    throw new SystemError(
+      `${part.type} content part ${index} needs a url, data, file or ref`,
+      SystemError.codes.INVALID_PARAMETER,
+      { index, type: part.type }
+    );
+  }
+
+  if (part.data && !part.mimeType) {
+    throw new SystemError(
+      `${part.type} content part ${index} with base64 data needs a mimeType`,
+      SystemError.codes.INVALID_PARAMETER,
+      { index, type: part.type }
+    );
+  }
+
   return true;
 }
 
@@ -174,3 +480,29 @@ export function validateApiKey(apiKey) {
 
   return true;
 }
+
+/**
+ * Validate storage adapter (must implement async get/set/delete/list)
+ */
+export function validateStorageAdapter(storage) {
+  if (typeof storage !== 'object' || storage === null) {
+    throw new SystemError(
+      'Storage adapter must be an object',
+      SystemError.codes.INVALID_PARAMETER,
+      { parameter: 'storage', providedType: typeof storage }
+    );
+  }
+
+  const missing = ['get', 'set', 'delete', 'list']
+    .filter(method => typeof storage[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new SystemError(
+      'Storage adapter is missing required methods',
+      SystemError.codes.VALIDATION_FAILED,
+      { parameter: 'storage', missingMethods: missing }
+    );
+  }
+
+  return true;
+}
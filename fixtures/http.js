@@ -0,0 +1,135 @@
+/**
+ * Test helpers: a recording fetch stub, canned provider responses and an agent factory
+ */
+import { Agentify, MemoryStorageAdapter } from '../agentify/index.js';
+
+const originalFetch = globalThis.fetch;
+
+/**
+ * Replace fetch with a stub; `respond(request, index)` returns a Response, a plain object
+ * (sent as JSON) or throws. Every call is recorded as { url, headers, body, signal }
+ */
+export function mockFetch(respond) {
+  const requests = [];
+
+  globalThis.fetch = async (url, init = {}) => {
+    const request = {
+      url: String(url),
+      headers: init.headers || {},
+      body: init.body ? JSON.parse(init.body) : null,
+      signal: init.signal
+    };
+    requests.push(request);
+
+    const response = await respond(request, requests.length - 1);
+    return response instanceof Response ? response : jsonResponse(response);
+  };
+
+  return requests;
+}
+
+/**
+ * Put the real fetch back
+ */
+export function restoreFetch() {
+  globalThis.fetch = originalFetch;
+}
+
+/**
+ * JSON response with a status code
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * Server-sent events response; objects become `data: <json>` events, strings are sent as-is
+ */
+export function sseResponse(events) {
+  const text = events
+    .map(event => typeof event === 'string' ? event : `data: ${JSON.stringify(event)}\n\n`)
+    .join('');
+  return streamResponse([text], 'text/event-stream');
+}
+
+/**
+ * Newline-delimited JSON response
+ */
+export function ndjsonResponse(lines) {
+  return streamResponse([lines.map(line => JSON.stringify(line)).join('\n') + '\n'], 'application/x-ndjson');
+}
+
+/**
+ * Response whose body is sent in the given chunks
+ */
+export function streamResponse(chunks, contentType = 'text/event-stream') {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) {
+        controller.enqueue(encoder.encode(chunk));
+      }
+      controller.close();
+    }
+  });
+  return new Response(body, { status: 200, headers: { 'Content-Type': contentType } });
+}
+
+/**
+ * Response whose body never ends (until the request is aborted)
+ */
+export function hangingResponse(signal, firstChunk = '') {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      if (firstChunk) {
+        controller.enqueue(encoder.encode(firstChunk));
+      }
+      signal?.addEventListener('abort', () => controller.error(new DOMException('Aborted', 'AbortError')), { once: true });
+    }
+  });
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+/**
+ * OpenAI chat completion body
+ */
+export function openAIReply(content, { toolCalls, usage, finishReason } = {}) {
+  return {
+    id: 'chatcmpl-test',
+    choices: [{
+      index: 0,
+      message: {
+        role: 'assistant',
+        content,
+        ...(toolCalls ? {
+          tool_calls: toolCalls.map((call, index) => ({
+            id: call.id || `call_${index + 1}`,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+          }))
+        } : {})
+      },
+      finish_reason: finishReason || (toolCalls ? 'tool_calls' : 'stop')
+    }],
+    usage: usage || { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+  };
+}
+
+/**
+ * Agent with in-memory storage, no request retries and non-streaming requests
+ */
+export function createAgent(config = {}) {
+  return new Agentify({
+    apiUrl: 'https://api.openai.com/v1/chat/completions',
+    apiKey: 'sk-test-1234567890',
+    model: 'gpt-4o',
+    stream: false,
+    retryAttempts: 0,
+    storage: new MemoryStorageAdapter(),
+    ...config
+  });
+}
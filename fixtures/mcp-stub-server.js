@@ -0,0 +1,90 @@
+/**
+ * Minimal MCP server over stdio, used by the MCP tests
+ *
+ * Tools: `echo` returns its text; `add_tool` registers a `reverse` tool and
+ * sends `notifications/tools/list_changed`. Exits when stdin closes.
+ */
+import readline from 'node:readline';
+
+const tools = [
+  {
+    name: 'echo',
+    description: 'Echo the given text',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+    annotations: { readOnlyHint: true }
+  },
+  {
+    name: 'add_tool',
+    description: 'Register the reverse tool',
+    inputSchema: { type: 'object', properties: {} }
+  }
+];
+
+const reverseTool = {
+  name: 'reverse',
+  description: 'Reverse the given text',
+  inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+};
+
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+function text(value) {
+  return { content: [{ type: 'text', text: value }] };
+}
+
+function callTool(name, args = {}) {
+  switch (name) {
+    case 'echo':
+      return text(args.text);
+    case 'reverse':
+      return text([...args.text].reverse().join(''));
+    case 'add_tool':
+      if (!tools.includes(reverseTool)) {
+        tools.push(reverseTool);
+      }
+      // Sent once the call's result is out
+      setImmediate(() => send({ method: 'notifications/tools/list_changed' }));
+      return text('added');
+    default:
+      return null;
+  }
+}
+
+function handle(message) {
+  // Notifications (initialized, cancelled) need no answer
+  if (message.id === undefined) {
+    return;
+  }
+
+  const reply = (result) => send({ id: message.id, result });
+  const fail = (code, errorMessage) => send({ id: message.id, error: { code, message: errorMessage } });
+
+  switch (message.method) {
+    case 'initialize':
+      return reply({
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: { listChanged: true } },
+        serverInfo: { name: 'stub', version: '1.0.0' }
+      });
+    case 'ping':
+      return reply({});
+    case 'tools/list':
+      return reply({ tools });
+    case 'tools/call': {
+      const result = callTool(message.params.name, message.params.arguments);
+      return result ? reply(result) : fail(-32602, `Unknown tool: ${message.params.name}`);
+    }
+    default:
+      return fail(-32601, `Method not found: ${message.method}`);
+  }
+}
+
+const lines = readline.createInterface({ input: process.stdin });
+lines.on('line', (line) => {
+  if (line.trim()) {
+    handle(JSON.parse(line));
+  }
+});
+lines.on('close', () => process.exit(0));
@@ -0,0 +1,86 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamHandler, ErrorManager } from '../agentify/index.js';
+import { mockFetch, restoreFetch, sseResponse, streamResponse, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+/**
+ * Anthropic event stream for one tool call, preceded by a signed thinking block
+ */
+const toolUseEvents = [
+  { type: 'message_start', message: { id: 'msg_1', usage: { input_tokens: 25, output_tokens: 1 } } },
+  { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+  { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Need the ' } },
+  { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'weather.' } },
+  { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig-abc' } },
+  { type: 'content_block_stop', index: 0 },
+  { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } },
+  { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":' } },
+  { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: ' "Rome"}' } },
+  { type: 'content_block_stop', index: 1 },
+  { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 40 } },
+  { type: 'message_stop' }
+];
+
+test('tool arguments are assembled from input_json_delta and emitted when the block stops', async () => {
+  const handler = new StreamHandler(new ErrorManager());
+  const thoughts = [];
+  const calls = [];
+
+  const result = await handler.handleStream(sseResponse(toolUseEvents), {
+    onThinking: (thought) => thoughts.push(thought),
+    onToolCall: (call) => calls.push(call)
+  }, 'anthropic');
+
+  assert.deepEqual(calls, [{ id: 'toolu_1', name: 'get_weather', arguments: '{"city": "Rome"}' }]);
+  assert.deepEqual(thoughts, ['Need the ', 'weather.']);
+  assert.equal(result.thinkingContent, 'Need the weather.');
+  assert.deepEqual(result.thinkingBlocks, [{ type: 'thinking', thinking: 'Need the weather.', signature: 'sig-abc' }]);
+  assert.equal(result.finishReason, 'tool_use');
+  assert.deepEqual(result.usage, { input_tokens: 25, output_tokens: 40 });
+});
+
+test('events split across network chunks are parsed once complete', async () => {
+  const text = [
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ' there' } },
+    { type: 'message_delta', delta: { stop_reason: 'max_tokens' }, usage: { output_tokens: 2 } }
+  ].map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join('');
+  const handler = new StreamHandler(new ErrorManager());
+
+  const result = await handler.handleStream(streamResponse([text.slice(0, 50), text.slice(50, 130), text.slice(130)]), {}, 'anthropic');
+
+  assert.equal(result.content, 'Hello there');
+  assert.equal(result.finishReason, 'max_tokens');
+});
+
+test('a streamed Claude tool call runs and its input goes back as a tool_use block', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? sseResponse(toolUseEvents)
+    : sseResponse([
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Sunny in Rome.' } },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } }
+    ]));
+  const agent = createAgent({ apiUrl: 'https://api.anthropic.com/v1/messages', model: 'claude-sonnet-4-5', stream: true });
+  const received = [];
+  await agent.addTool({
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    parameters: { city: { type: 'string', required: true } },
+    execute: (args) => {
+      received.push(args);
+      return { sky: 'sunny' };
+    }
+  });
+  const usage = [];
+
+  const result = await agent.chat('Weather in Rome?', { onUsage: (record) => usage.push(record) });
+
+  assert.equal(result.content, 'Sunny in Rome.');
+  assert.deepEqual(received, [{ city: 'Rome' }]);
+  assert.equal(requests[0].body.stream, true);
+  const assistant = requests[1].body.messages[1];
+  assert.deepEqual(assistant.content.at(-1), { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Rome' } });
+  assert.deepEqual(usage.map(record => [record.promptTokens, record.completionTokens]), [[25, 40], [0, 4]]);
+});
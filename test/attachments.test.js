@@ -0,0 +1,110 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, restoreFetch, openAIReply, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+const PNG = 'iVBORw0KGgo=';
+const base64 = (text) => Buffer.from(text).toString('base64');
+
+const anthropic = { apiUrl: 'https://api.anthropic.com/v1/messages', model: 'claude-sonnet-4-5' };
+const anthropicReply = { content: [{ type: 'text', text: 'Seen.' }], stop_reason: 'end_turn' };
+
+test('OpenAI requests get image_url, input_audio and file parts', async () => {
+  const requests = mockFetch(() => openAIReply('Seen.'));
+  const agent = createAgent();
+
+  await agent.chat([
+    { type: 'text', text: 'Describe these' },
+    { type: 'image', url: 'https://example.com/cat.png' },
+    { type: 'image', url: `data:image/png;base64,${PNG}` },
+    { type: 'audio', data: 'UklGRg==', mimeType: 'audio/wav' },
+    { type: 'file', data: base64('%PDF-1.4'), mimeType: 'application/pdf', name: 'report.pdf' }
+  ]);
+
+  assert.deepEqual(requests[0].body.messages.at(-1).content, [
+    { type: 'text', text: 'Describe these' },
+    { type: 'image_url', image_url: { url: 'https://example.com/cat.png' } },
+    { type: 'image_url', image_url: { url: `data:image/png;base64,${PNG}` } },
+    { type: 'input_audio', input_audio: { data: 'UklGRg==', format: 'wav' } },
+    { type: 'file', file: { filename: 'report.pdf', file_data: `data:application/pdf;base64,${base64('%PDF-1.4')}` } }
+  ]);
+});
+
+test('Anthropic requests get image and document blocks', async () => {
+  const requests = mockFetch(() => anthropicReply);
+  const agent = createAgent(anthropic);
+
+  await agent.chat([
+    { type: 'image', data: PNG, mimeType: 'image/png' },
+    { type: 'file', url: 'https://example.com/report.pdf' },
+    { type: 'file', data: base64('a,b\n1,2'), mimeType: 'text/csv', name: 'data.csv' },
+    { type: 'audio', url: 'https://example.com/note.mp3' }
+  ]);
+
+  const [image, pdf, csv, audio] = requests[0].body.messages.at(-1).content;
+  assert.deepEqual(image, { type: 'image', source: { type: 'base64', media_type: 'image/png', data: PNG } });
+  assert.deepEqual(pdf, { type: 'document', source: { type: 'url', url: 'https://example.com/report.pdf' } });
+  assert.deepEqual(csv, { type: 'document', source: { type: 'text', media_type: 'text/plain', data: 'a,b\n1,2' }, title: 'data.csv' });
+  // Audio is not supported by Anthropic and is described instead
+  assert.equal(audio.type, 'text');
+});
+
+test('Gemini requests get inlineData and fileData parts', async () => {
+  const requests = mockFetch(() => ({ candidates: [{ content: { parts: [{ text: 'Seen.' }] }, finishReason: 'STOP' }] }));
+  const agent = createAgent({
+    apiUrl: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+    apiKey: 'gemini-test-key',
+    model: 'gemini-2.5-flash'
+  });
+
+  await agent.chat({ role: 'user', content: ['What is this?', { type: 'image', data: PNG, mimeType: 'image/png' }, { type: 'file', url: 'gs://bucket/doc.pdf' }] });
+
+  assert.deepEqual(requests[0].body.contents.at(-1).parts, [
+    { text: 'What is this?' },
+    { inlineData: { mimeType: 'image/png', data: PNG } },
+    { fileData: { mimeType: 'application/pdf', fileUri: 'gs://bucket/doc.pdf' } }
+  ]);
+});
+
+test('a Blob is read into base64 data', async () => {
+  const requests = mockFetch(() => openAIReply('Seen.'));
+  const agent = createAgent();
+
+  await agent.chat([{ type: 'image', file: new Blob([Buffer.from(PNG, 'base64')], { type: 'image/png' }) }]);
+
+  assert.equal(requests[0].body.messages.at(-1).content[0].image_url.url, `data:image/png;base64,${PNG}`);
+});
+
+test('large attachments are stored by reference and deleted with their messages', async () => {
+  const requests = mockFetch(() => openAIReply('Seen.'));
+  const agent = createAgent();
+  const bigImage = 'A'.repeat(32 * 1024);
+
+  await agent.chat([{ type: 'text', text: 'Look' }, { type: 'image', data: bigImage, mimeType: 'image/png' }], { chatId: 'chat_1' });
+
+  // The model gets the data, the history only a reference
+  assert.equal(requests[0].body.messages.at(-1).content[1].image_url.url, `data:image/png;base64,${bigImage}`);
+  const { messages } = await agent.getChatHistory('chat_1');
+  const stored = messages[0].content[1];
+  assert.equal(stored.data, undefined);
+  assert.match(stored.ref, /^att_/);
+  assert.equal(stored.size, 24 * 1024);
+  assert.deepEqual(await agent.attachmentManager.listAttachmentIds(), [stored.ref]);
+
+  // Trimming the history removes the attachment too
+  agent.chatHistoryManager.maxMessagesPerChat = 2;
+  await agent.chat('And now?', { chatId: 'chat_1' });
+  assert.deepEqual(await agent.attachmentManager.listAttachmentIds(), []);
+});
+
+test('small attachments stay inline', async () => {
+  mockFetch(() => openAIReply('Seen.'));
+  const agent = createAgent();
+
+  await agent.chat([{ type: 'image', data: PNG, mimeType: 'image/png' }], { chatId: 'chat_1' });
+
+  const { messages } = await agent.getChatHistory('chat_1');
+  assert.equal(messages[0].content[0].data, PNG);
+  assert.deepEqual(await agent.attachmentManager.listAttachmentIds(), []);
+});
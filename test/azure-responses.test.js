@@ -0,0 +1,147 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AZURE_API_VERSION } from '../agentify/index.js';
+import { mockFetch, restoreFetch, sseResponse, openAIReply, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+const RESPONSES_URL = 'https://api.openai.com/v1/responses';
+
+/**
+ * Responses API body with the given output items
+ */
+const responsesReply = (id, output, extra = {}) => ({
+  id,
+  status: 'completed',
+  output,
+  usage: { input_tokens: 20, output_tokens: 5, total_tokens: 25 },
+  ...extra
+});
+
+const message = (text) => ({ type: 'message', role: 'assistant', content: [{ type: 'output_text', text }] });
+
+test('an Azure resource URL is completed to the deployment chat completions URL', async () => {
+  const requests = mockFetch(() => openAIReply('Hi from Azure'));
+  const agent = createAgent({ apiUrl: 'https://contoso.openai.azure.com', apiKey: 'azure-key', deployment: 'prod-gpt4o' });
+
+  const result = await agent.chat('Hi');
+
+  assert.equal(agent.configManager.get('provider'), 'azure');
+  assert.equal(result.content, 'Hi from Azure');
+  assert.equal(requests[0].url, `https://contoso.openai.azure.com/openai/deployments/prod-gpt4o/chat/completions?api-version=${AZURE_API_VERSION}`);
+  assert.equal(requests[0].headers['api-key'], 'azure-key');
+  assert.equal(requests[0].headers.Authorization, undefined);
+  assert.equal(requests[0].body.messages.at(-1).content, 'Hi');
+});
+
+test('a full Azure deployment URL keeps its api-version', async () => {
+  const url = 'https://contoso.cognitiveservices.azure.com/openai/deployments/mini/chat/completions?api-version=2025-01-01-preview';
+  const requests = mockFetch(() => openAIReply('ok'));
+
+  await createAgent({ apiUrl: url, apiVersion: '2024-06-01' }).chat('Hi');
+  await createAgent({ apiUrl: 'https://contoso.openai.azure.com/openai', model: 'gpt-4o-mini', apiVersion: '2024-06-01' }).chat('Hi');
+
+  assert.equal(requests[0].url, url);
+  assert.equal(requests[1].url, 'https://contoso.openai.azure.com/openai/deployments/gpt-4o-mini/chat/completions?api-version=2024-06-01');
+});
+
+test('Responses API requests send instructions and input items', async () => {
+  const requests = mockFetch(() => responsesReply('resp_1', [
+    { type: 'reasoning', summary: [{ type: 'summary_text', text: 'Short answer.' }] },
+    message('Paris.')
+  ]));
+  const agent = createAgent({ apiUrl: RESPONSES_URL, maxTokens: 100 });
+  agent.setInstruction('Be brief.');
+
+  const result = await agent.chat('Capital of France?');
+
+  assert.equal(agent.configManager.get('provider'), 'openai-responses');
+  assert.equal(result.content, 'Paris.');
+  assert.equal(result.finishReason, 'stop');
+  assert.equal(requests[0].headers.Authorization, 'Bearer sk-test-1234567890');
+  assert.match(requests[0].body.instructions, /Be brief\./);
+  assert.equal(requests[0].body.max_output_tokens, 100);
+  assert.deepEqual(requests[0].body.input, [{ role: 'user', content: 'Capital of France?' }]);
+  const [record] = await agent.usageTracker.getRecords();
+  assert.deepEqual([record.promptTokens, record.completionTokens], [20, 5]);
+});
+
+test('Responses API tool rounds send function_call and function_call_output items', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? responsesReply('resp_1', [{ type: 'function_call', call_id: 'call_a', name: 'lookup', arguments: '{"id":7}' }])
+    : responsesReply('resp_2', [message('Order 7 shipped.')]));
+  const agent = createAgent({ apiUrl: RESPONSES_URL });
+  await agent.addTool({ name: 'lookup', description: 'Find an order', parameters: { id: { type: 'number' } }, execute: ({ id }) => ({ id, status: 'shipped' }) });
+
+  const result = await agent.chat('Where is order 7?');
+
+  assert.equal(result.content, 'Order 7 shipped.');
+  assert.deepEqual(requests[0].body.tools, [{
+    type: 'function',
+    name: 'lookup',
+    description: 'Find an order',
+    parameters: { type: 'object', properties: { id: { type: 'number' } } },
+    strict: false
+  }]);
+  assert.deepEqual(requests[1].body.input.slice(1), [
+    { type: 'function_call', call_id: 'call_a', name: 'lookup', arguments: '{"id":7}' },
+    { type: 'function_call_output', call_id: 'call_a', output: '{"id":7,"status":"shipped"}' }
+  ]);
+});
+
+test('responseThreading sends only the new items with previous_response_id', async () => {
+  const requests = mockFetch((request, index) => responsesReply(`resp_${index + 1}`, [message(`Answer ${index + 1}`)]));
+  const agent = createAgent({ apiUrl: RESPONSES_URL, responseThreading: true });
+
+  await agent.chat('First', { chatId: 'chat_1' });
+  await agent.chat('Second', { chatId: 'chat_1' });
+
+  assert.equal(requests[0].body.previous_response_id, undefined);
+  assert.equal(requests[1].body.previous_response_id, 'resp_1');
+  assert.deepEqual(requests[1].body.input, [{ role: 'user', content: 'Second' }]);
+});
+
+test('Responses API streams are parsed from typed events', async () => {
+  mockFetch(() => sseResponse([
+    { type: 'response.created', response: { id: 'resp_9' } },
+    { type: 'response.reasoning_summary_text.delta', delta: 'Greeting.' },
+    { type: 'response.output_text.delta', delta: 'Hel' },
+    { type: 'response.output_text.delta', delta: 'lo' },
+    {
+      type: 'response.completed',
+      response: { id: 'resp_9', output: [message('Hello')], usage: { input_tokens: 3, output_tokens: 2, total_tokens: 5 } }
+    }
+  ]));
+  const agent = createAgent({ apiUrl: RESPONSES_URL, stream: true });
+  const tokens = [];
+  const thoughts = [];
+
+  const result = await agent.chat('Hi', { chatId: 'chat_1', onToken: (token) => tokens.push(token), onThinking: (thought) => thoughts.push(thought) });
+
+  assert.equal(result.content, 'Hello');
+  assert.equal(result.finishReason, 'stop');
+  assert.deepEqual(tokens, ['Hel', 'lo']);
+  assert.deepEqual(thoughts, ['Greeting.']);
+  const { messages } = await agent.getChatHistory('chat_1');
+  assert.equal(messages.at(-1).response_id, 'resp_9');
+});
+
+test('an incomplete response reports the length finish reason', async () => {
+  mockFetch(() => responsesReply('resp_1', [message('Trunc')], { status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' } }));
+
+  const result = await createAgent({ apiUrl: RESPONSES_URL }).chat('Write an essay');
+
+  assert.equal(result.content, 'Trunc');
+  assert.equal(result.finishReason, 'length');
+});
+
+test('an Azure Responses endpoint takes the api-key header and api-version', async () => {
+  const requests = mockFetch(() => responsesReply('resp_1', [message('ok')]));
+  const agent = createAgent({ apiUrl: 'https://contoso.openai.azure.com/openai/v1/responses', apiKey: 'azure-key', apiVersion: 'preview' });
+
+  await agent.chat('Hi');
+
+  assert.equal(agent.configManager.get('provider'), 'openai-responses');
+  assert.equal(requests[0].url, 'https://contoso.openai.azure.com/openai/v1/responses?api-version=preview');
+  assert.equal(requests[0].headers['api-key'], 'azure-key');
+});
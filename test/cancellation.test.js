@@ -0,0 +1,100 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CancellationError, NetworkError } from '../agentify/index.js';
+import { mockFetch, restoreFetch, hangingResponse, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+const firstToken = `data: ${JSON.stringify({ choices: [{ delta: { content: 'Once upon' } }] })}\n\n`;
+
+/**
+ * fetch stub that never answers until the request is aborted
+ */
+function waitForAbort(request) {
+  return new Promise((resolve, reject) => {
+    request.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')), { once: true });
+  });
+}
+
+test('aborting the signal mid-stream resolves with the partial content', async () => {
+  const requests = mockFetch((request) => hangingResponse(request.signal, firstToken));
+  const agent = createAgent({ stream: true });
+  const controller = new AbortController();
+
+  const result = await agent.chat('Tell me a story', {
+    signal: controller.signal,
+    onToken: () => controller.abort('stop button')
+  });
+
+  assert.equal(result.finishReason, 'cancelled');
+  assert.equal(result.content, 'Once upon');
+  assert.ok(result.error instanceof CancellationError);
+  assert.equal(requests[0].signal.aborted, true);
+
+  const [task] = await agent.getTasks({ status: 'cancelled' });
+  assert.ok(task);
+  const [event] = await agent.getEventsByType('request_cancelled');
+  assert.equal(event.data.reason, 'stop button');
+});
+
+test('agent.abort() cancels every in-flight request', async () => {
+  mockFetch((request) => waitForAbort(request));
+  const agent = createAgent();
+
+  const pending = [agent.chat('one', { chatId: 'a' }), agent.chat('two', { chatId: 'b' })];
+  await new Promise(resolve => setTimeout(resolve, 10));
+  agent.abort();
+
+  const results = await Promise.all(pending);
+  assert.deepEqual(results.map(result => result.finishReason), ['cancelled', 'cancelled']);
+});
+
+test('an already aborted signal sends no request', async () => {
+  const requests = mockFetch(() => assert.fail('no request expected'));
+  const agent = createAgent();
+
+  const result = await agent.chat('Hi', { signal: AbortSignal.abort() });
+
+  assert.equal(result.finishReason, 'cancelled');
+  assert.equal(requests.length, 0);
+});
+
+test('cancellations are not added to the error log', async () => {
+  mockFetch((request) => waitForAbort(request));
+  const agent = createAgent();
+  const controller = new AbortController();
+
+  const pending = agent.chat('Hi', { signal: controller.signal });
+  setTimeout(() => controller.abort(), 10);
+  await pending;
+
+  assert.deepEqual(agent.getErrorLog(), []);
+});
+
+test('the timeout setting fails a request that takes too long with NET_TIMEOUT', async () => {
+  const requests = mockFetch((request) => waitForAbort(request));
+  const agent = createAgent({ timeout: 20, retryAttempts: 1, retryDelay: 1 });
+
+  const result = await agent.chat('Hi');
+
+  assert.equal(result.finishReason, 'error');
+  assert.equal(result.error.code, NetworkError.codes.TIMEOUT);
+  assert.equal(requests.length, 2);
+});
+
+test('leaving a stream() loop early cancels the request', async () => {
+  const requests = mockFetch((request) => hangingResponse(request.signal, firstToken));
+  const agent = createAgent();
+  const events = [];
+
+  for await (const event of agent.stream('Tell me a story')) {
+    events.push(event.type);
+    if (event.type === 'token') {
+      break;
+    }
+  }
+
+  assert.deepEqual(events, ['token']);
+  assert.equal(requests[0].signal.aborted, true);
+  assert.deepEqual(agent.getErrorLog(), []);
+});
@@ -0,0 +1,93 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, restoreFetch, openAIReply, createAgent } from '../fixtures/http.js';
+import { getModelContextLimit } from '../agentify/utils/tokens.js';
+
+afterEach(restoreFetch);
+
+/**
+ * user, assistant with two tool calls, both results, final answer
+ */
+const toolExchange = [
+  { role: 'user', content: 'Weather in Rome and Oslo?' },
+  {
+    role: 'assistant',
+    content: '',
+    tool_calls: [
+      { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Rome"}' } },
+      { id: 'call_2', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }
+    ]
+  },
+  { role: 'tool', tool_call_id: 'call_1', content: '{"temperature":21}' },
+  { role: 'tool', tool_call_id: 'call_2', content: '{"temperature":3}' },
+  { role: 'assistant', content: 'Rome is warmer.' }
+];
+
+test('a message limit never splits tool calls from their results', async () => {
+  const agent = createAgent();
+  await agent.chatHistoryManager.addMessages('chat_1', toolExchange);
+
+  const window = await agent.chatHistoryManager.buildContextWindow('chat_1', { maxMessages: 3 });
+
+  // The tool exchange would not fit in 3 messages, so it is dropped as a whole
+  assert.deepEqual(window.messages.map(msg => msg.role), ['assistant']);
+  assert.equal(window.droppedCount, 4);
+
+  const wider = await agent.chatHistoryManager.buildContextWindow('chat_1', { maxMessages: 4 });
+  assert.deepEqual(wider.messages.map(msg => msg.role), ['assistant', 'tool', 'tool', 'assistant']);
+  assert.deepEqual(wider.dropped.map(msg => msg.role), ['user']);
+});
+
+test('a token budget keeps the newest messages that fit, using the given tokenizer', async () => {
+  const agent = createAgent();
+  await agent.chatHistoryManager.addMessages('chat_1', [
+    { role: 'user', content: 'one two three' },
+    { role: 'assistant', content: 'four five' },
+    { role: 'user', content: 'six' }
+  ]);
+  const words = (text) => text.split(/\s+/).filter(Boolean).length;
+
+  // Each message costs its words plus 4 tokens of overhead
+  const window = await agent.chatHistoryManager.buildContextWindow('chat_1', { maxTokens: 11, tokenizer: words });
+
+  assert.deepEqual(window.messages.map(msg => msg.content), ['four five', 'six']);
+  assert.equal(window.tokenCount, 11);
+  assert.equal(window.droppedTokens, 7);
+});
+
+test('the newest message is kept even when it alone exceeds the budget', async () => {
+  const agent = createAgent();
+  await agent.chatHistoryManager.addMessages('chat_1', [
+    { role: 'user', content: 'short' },
+    { role: 'user', content: 'x'.repeat(400) }
+  ]);
+
+  const window = await agent.chatHistoryManager.buildContextWindow('chat_1', { maxTokens: 10 });
+
+  assert.equal(window.messages.length, 1);
+  assert.equal(window.messages[0].content.length, 400);
+});
+
+test('contextTokenLimit trims history sent to the model and logs what was dropped', async () => {
+  const requests = mockFetch(() => openAIReply('ok'));
+  const agent = createAgent({ contextTokenLimit: 4096 + 200, maxTokens: 4096 });
+  await agent.chatHistoryManager.addMessages('chat_1', [
+    { role: 'user', content: 'old '.repeat(300) },
+    { role: 'assistant', content: 'reply' }
+  ]);
+
+  await agent.chat('New question', { chatId: 'chat_1' });
+
+  const sent = requests[0].body.messages.filter(msg => msg.role !== 'system');
+  assert.deepEqual(sent.map(msg => msg.content), ['reply', 'New question']);
+  const [event] = await agent.getEventsByType('context_trimmed');
+  assert.equal(event.data.droppedCount, 1);
+  assert.equal(event.data.keptCount, 2);
+});
+
+test('model context limits match the longest name prefix', () => {
+  assert.equal(getModelContextLimit('gpt-4o-mini'), 128000);
+  assert.equal(getModelContextLimit('gpt-4-0613'), 8192);
+  assert.equal(getModelContextLimit('gemini-1.5-pro-latest'), 2097152);
+  assert.equal(getModelContextLimit('my-local-model'), null);
+});
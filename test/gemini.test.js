@@ -0,0 +1,104 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelError } from '../agentify/index.js';
+import { mockFetch, restoreFetch, sseResponse, streamResponse, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+const GEMINI_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
+
+const geminiAgent = (config = {}) => createAgent({ apiUrl: GEMINI_URL, apiKey: 'gemini-test-key', model: 'gemini-2.5-flash', ...config });
+
+const candidate = (text, extra = {}) => ({ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP', ...extra });
+
+test('streaming requests use streamGenerateContent with alt=sse', async () => {
+  const requests = mockFetch(() => sseResponse([
+    { candidates: [candidate('Hel', { finishReason: undefined })] },
+    { candidates: [candidate('lo')], usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2, totalTokenCount: 6 } }
+  ]));
+  const agent = geminiAgent({ stream: true });
+  const tokens = [];
+
+  const result = await agent.chat('Hi', { onToken: (token) => tokens.push(token) });
+
+  const url = new URL(requests[0].url);
+  assert.equal(url.pathname, '/v1beta/models/gemini-2.5-flash:streamGenerateContent');
+  assert.equal(url.searchParams.get('alt'), 'sse');
+  assert.equal(url.searchParams.get('key'), 'gemini-test-key');
+  assert.deepEqual(tokens, ['Hel', 'lo']);
+  assert.equal(result.content, 'Hello');
+  const [record] = await agent.usageTracker.getRecords();
+  assert.deepEqual([record.promptTokens, record.completionTokens], [4, 2]);
+});
+
+test('a JSON array stream is parsed as well', async () => {
+  const body = JSON.stringify([{ candidates: [candidate('Hel', { finishReason: undefined })] }, { candidates: [candidate('lo')] }]);
+  mockFetch(() => streamResponse([body.slice(0, 30), body.slice(30)], 'application/json'));
+  const agent = geminiAgent({ stream: true, apiUrl: GEMINI_URL.replace('generateContent', 'streamGenerateContent') });
+
+  const result = await agent.chat('Hi');
+
+  assert.equal(result.content, 'Hello');
+});
+
+test('candidateCount asks for alternatives and returns them in result.candidates', async () => {
+  const requests = mockFetch(() => ({
+    candidates: [candidate('Nimbus', { index: 1 }), candidate('Aurora', { index: 0 }), candidate('Zephyr', { index: 2 })]
+  }));
+  const agent = geminiAgent();
+
+  const result = await agent.chat('Suggest a product name', { candidateCount: 3, chatId: 'chat_1' });
+
+  assert.equal(requests[0].body.generationConfig.candidateCount, 3);
+  assert.equal(result.content, 'Aurora');
+  assert.deepEqual(result.candidates.map(({ index, content }) => [index, content]), [[0, 'Aurora'], [1, 'Nimbus'], [2, 'Zephyr']]);
+  const { messages } = await agent.getChatHistory('chat_1');
+  assert.equal(messages.at(-1).content, 'Aurora');
+});
+
+test('streamed alternatives are collected next to the first candidate', async () => {
+  mockFetch(() => sseResponse([
+    { candidates: [candidate('Aur', { index: 0, finishReason: undefined }), candidate('Nim', { index: 1, finishReason: undefined })] },
+    { candidates: [candidate('ora', { index: 0 }), candidate('bus', { index: 1 })] }
+  ]));
+  const agent = geminiAgent({ stream: true });
+
+  const result = await agent.chat('Suggest a product name', { candidateCount: 2 });
+
+  assert.equal(result.content, 'Aurora');
+  assert.deepEqual(result.candidates.map(({ index, content }) => [index, content]), [[0, 'Aurora'], [1, 'Nimbus']]);
+});
+
+test('a safety block raises a content-filtered ModelError', async () => {
+  const safetyRatings = [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH', blocked: true }];
+  mockFetch(() => ({ candidates: [candidate('Here is how', { finishReason: 'SAFETY', safetyRatings })] }));
+
+  const result = await geminiAgent().chat('Something dangerous');
+
+  assert.ok(result.error instanceof ModelError);
+  assert.equal(result.error.code, ModelError.codes.CONTENT_FILTERED);
+  assert.deepEqual(result.error.details.safetyRatings, safetyRatings);
+  assert.equal(result.error.details.partialContent, 'Here is how');
+});
+
+test('a blocked prompt raises a content-filtered ModelError, streamed or not', async () => {
+  const promptFeedback = { blockReason: 'PROHIBITED_CONTENT' };
+  mockFetch(() => ({ promptFeedback }));
+  const plain = await geminiAgent().chat('Something prohibited');
+
+  mockFetch(() => sseResponse([{ promptFeedback }]));
+  const streamed = await geminiAgent({ stream: true }).chat('Something prohibited');
+
+  for (const { error } of [plain, streamed]) {
+    assert.equal(error.code, ModelError.codes.CONTENT_FILTERED);
+    assert.match(error.message, /blocked the prompt \(PROHIBITED_CONTENT\)/);
+  }
+});
+
+test('a malformed function call raises its own ModelError', async () => {
+  mockFetch(() => ({ candidates: [{ content: { parts: [] }, finishReason: 'MALFORMED_FUNCTION_CALL' }] }));
+
+  const result = await geminiAgent().chat('Call a tool');
+
+  assert.equal(result.error.code, ModelError.codes.INVALID_FUNCTION_CALL);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { Agentify, MemoryStorageAdapter } from '../agentify/index.js';
+
+// Kept outside test/ so the test runner does not pick the server up as a test file
+const stubServer = fileURLToPath(new URL('../fixtures/mcp-stub-server.js', import.meta.url));
+
+function createAgent() {
+  return new Agentify({
+    apiUrl: 'https://api.openai.com/v1/chat/completions',
+    apiKey: 'sk-test-1234567890',
+    model: 'gpt-4o',
+    storage: new MemoryStorageAdapter()
+  });
+}
+
+test('stdio MCP server: initialize, tools/list, tools/call and list_changed re-sync', { timeout: 10000 }, async () => {
+  const agent = createAgent();
+  const changes = [];
+  let notifyChange;
+
+  const source = await agent.addMCPServer({
+    name: 'stub',
+    command: process.execPath,
+    args: [stubServer],
+    onToolsChanged: (names) => {
+      changes.push(names);
+      notifyChange?.(names);
+    }
+  });
+
+  try {
+    // initialize
+    assert.equal(source.client.connected, true);
+    assert.deepEqual(source.client.serverInfo, { name: 'stub', version: '1.0.0' });
+
+    // tools/list
+    assert.deepEqual(source.getToolNames(), ['echo', 'add_tool']);
+    assert.equal(agent.toolManager.getTool('echo').idempotent, true);
+    assert.equal(changes.length, 1);
+
+    // tools/call
+    const echo = await agent.toolManager.executeTool('echo', { text: 'hello' });
+    assert.equal(echo.success, true);
+    assert.equal(echo.result, 'hello');
+
+    // notifications/tools/list_changed
+    const resynced = new Promise(resolve => { notifyChange = resolve; });
+    await agent.toolManager.executeTool('add_tool', {});
+    assert.deepEqual(await resynced, ['echo', 'add_tool', 'reverse']);
+
+    const reversed = await agent.toolManager.executeTool('reverse', { text: 'abc' });
+    assert.equal(reversed.result, 'cba');
+  } finally {
+    await agent.removeMCPServer('stub');
+  }
+
+  assert.equal(source.client.transport.process, null);
+});
+
+test('stdio MCP server: removing the server unregisters its tools and stops the process', { timeout: 10000 }, async () => {
+  const agent = createAgent();
+
+  const source = await agent.addMCPServer({ name: 'stub', command: process.execPath, args: [stubServer] });
+  assert.equal(agent.toolManager.hasTool('echo'), true);
+
+  assert.equal(await agent.removeMCPServer('stub'), true);
+  assert.equal(agent.toolManager.hasTool('echo'), false);
+  assert.deepEqual(agent.getMCPServers(), []);
+  assert.equal(source.client.transport.process, null);
+});
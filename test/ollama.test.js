@@ -0,0 +1,139 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Agentify, MemoryStorageAdapter, StreamError } from '../agentify/index.js';
+import { mockFetch, restoreFetch, ndjsonResponse, streamResponse, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+/**
+ * Agent for a local Ollama server - no API key
+ */
+function createOllamaAgent(config = {}) {
+  return new Agentify({
+    apiUrl: 'http://localhost:11434',
+    model: 'llama3.2',
+    stream: false,
+    retryAttempts: 0,
+    storage: new MemoryStorageAdapter(),
+    ...config
+  });
+}
+
+const ollamaReply = (message, extra = {}) => ({
+  model: 'llama3.2',
+  message: { role: 'assistant', content: '', ...message },
+  done: true,
+  done_reason: 'stop',
+  prompt_eval_count: 12,
+  eval_count: 7,
+  ...extra
+});
+
+test('localhost:11434 is detected as Ollama, its /v1 endpoint is left to the custom adapter', () => {
+  assert.equal(createOllamaAgent().configManager.get('provider'), 'ollama');
+  assert.equal(createOllamaAgent({ apiUrl: 'http://127.0.0.1:11434/api/chat' }).configManager.get('provider'), 'ollama');
+  assert.equal(createAgent({ apiUrl: 'http://localhost:11434/v1/chat/completions' }).configManager.get('provider'), 'custom');
+});
+
+test('a tool round uses /api/chat with object arguments and tool_name results', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? ollamaReply({ tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Rome' } } }] })
+    : ollamaReply({ content: 'It is 21°C in Rome.' }));
+  const agent = createOllamaAgent({ maxTokens: 256 });
+  await agent.addTool({
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    parameters: { city: { type: 'string', required: true } },
+    execute: ({ city }) => ({ city, temperature: 21 })
+  });
+  const usage = [];
+
+  const result = await agent.chat('Weather in Rome?', { onUsage: (record) => usage.push(record) });
+
+  assert.equal(result.content, 'It is 21°C in Rome.');
+  assert.equal(requests[0].url, 'http://localhost:11434/api/chat');
+  assert.equal(requests[0].headers.Authorization, undefined);
+  assert.equal(requests[0].body.stream, false);
+  assert.equal(requests[0].body.options.num_predict, 256);
+  assert.equal(requests[0].body.tools[0].function.name, 'get_weather');
+
+  const [, assistant, tool] = requests[1].body.messages.filter(msg => msg.role !== 'system');
+  assert.deepEqual(assistant.tool_calls, [{ function: { name: 'get_weather', arguments: { city: 'Rome' } } }]);
+  assert.deepEqual(tool, { role: 'tool', content: '{"city":"Rome","temperature":21}', tool_name: 'get_weather' });
+  assert.deepEqual(usage.map(record => [record.promptTokens, record.completionTokens]), [[12, 7], [12, 7]]);
+});
+
+test('NDJSON streams are parsed line by line across chunks', async () => {
+  const lines = [
+    { message: { role: 'assistant', content: '', thinking: 'Simple greeting.' }, done: false },
+    { message: { role: 'assistant', content: 'Hel' }, done: false },
+    { message: { role: 'assistant', content: 'lo!' }, done: false },
+    { message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 5, eval_count: 3 }
+  ].map(line => JSON.stringify(line) + '\n').join('');
+  const requests = mockFetch(() => streamResponse([lines.slice(0, 40), lines.slice(40, 100), lines.slice(100)], 'application/x-ndjson'));
+  const agent = createOllamaAgent({ stream: true });
+  const tokens = [];
+  const thoughts = [];
+
+  const result = await agent.chat('Hi', { onToken: (token) => tokens.push(token), onThinking: (thought) => thoughts.push(thought) });
+
+  assert.equal(requests[0].body.stream, true);
+  assert.deepEqual(tokens, ['Hel', 'lo!']);
+  assert.deepEqual(thoughts, ['Simple greeting.']);
+  assert.equal(result.content, 'Hello!');
+  const [record] = await agent.usageTracker.getRecords();
+  assert.equal(record.totalTokens, 8);
+});
+
+test('a streamed tool call runs and the answer follows', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? ndjsonResponse([
+      { message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'now', arguments: {} } }] }, done: false },
+      { message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop' }
+    ])
+    : ndjsonResponse([
+      { message: { role: 'assistant', content: 'It is noon.' }, done: true, done_reason: 'stop' }
+    ]));
+  const agent = createOllamaAgent({ stream: true });
+  await agent.addTool({ name: 'now', description: 'Current time', parameters: {}, execute: () => '12:00' });
+
+  const result = await agent.chat('What time is it?');
+
+  assert.equal(result.content, 'It is noon.');
+  assert.equal(requests[1].body.messages.at(-1).tool_name, 'now');
+});
+
+test('an error line in the stream fails the request', async () => {
+  mockFetch(() => ndjsonResponse([{ error: 'model "llama9" not found' }]));
+  const agent = createOllamaAgent({ stream: true, model: 'llama9' });
+
+  const result = await agent.chat('Hi');
+
+  assert.equal(result.finishReason, 'error');
+  assert.ok(result.error instanceof StreamError);
+});
+
+test('toolChoice none sends no tools and a forced tool is the only one offered', async () => {
+  const requests = mockFetch(() => ollamaReply({ content: 'ok' }));
+  const agent = createOllamaAgent();
+  await agent.addTool({ name: 'a', description: 'A', parameters: {}, execute: () => null });
+  await agent.addTool({ name: 'b', description: 'B', parameters: {}, execute: () => null });
+
+  await agent.chat('Hi', { toolChoice: 'none' });
+  await agent.chat('Hi', { toolChoice: 'b' });
+
+  assert.equal(requests[0].body.tools, undefined);
+  assert.deepEqual(requests[1].body.tools.map(tool => tool.function.name), ['b']);
+});
+
+test('listModels reads /api/tags', async () => {
+  const requests = mockFetch(() => ({
+    models: [{ name: 'llama3.2:latest', size: 2019393189, modified_at: '2024-10-01T10:00:00Z', details: { family: 'llama' } }]
+  }));
+  const agent = createOllamaAgent({ apiUrl: 'http://localhost:11434/api/chat' });
+
+  const models = await agent.listModels();
+
+  assert.equal(requests[0].url, 'http://localhost:11434/api/tags');
+  assert.deepEqual(models, [{ id: 'llama3.2:latest', size: 2019393189, modifiedAt: '2024-10-01T10:00:00Z', details: { family: 'llama' } }]);
+});
@@ -0,0 +1,101 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, restoreFetch, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+async function addWeatherTool(agent) {
+  await agent.addTool({
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    parameters: { city: { type: 'string', required: true } },
+    execute: ({ city }) => ({ city, temperature: 21 })
+  });
+}
+
+test('Anthropic follow-ups send tool_use and tool_result blocks', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? {
+      content: [
+        { type: 'text', text: 'Checking.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Rome' } },
+        { type: 'tool_use', id: 'toolu_2', name: 'get_weather', input: { city: 'Oslo' } }
+      ],
+      stop_reason: 'tool_use',
+      usage: { input_tokens: 10, output_tokens: 5 }
+    }
+    : { content: [{ type: 'text', text: 'Rome and Oslo are both 21°C.' }], stop_reason: 'end_turn', usage: { input_tokens: 20, output_tokens: 8 } });
+  const agent = createAgent({ apiUrl: 'https://api.anthropic.com/v1/messages', model: 'claude-sonnet-4-5' });
+  await addWeatherTool(agent);
+
+  const result = await agent.chat('Weather in Rome and Oslo?');
+
+  assert.equal(result.content, 'Rome and Oslo are both 21°C.');
+  assert.deepEqual(requests[0].body.tools[0].input_schema.required, ['city']);
+
+  const [user, assistant, toolResults] = requests[1].body.messages;
+  assert.equal(user.role, 'user');
+  assert.deepEqual(assistant, {
+    role: 'assistant',
+    content: [
+      { type: 'text', text: 'Checking.' },
+      { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Rome' } },
+      { type: 'tool_use', id: 'toolu_2', name: 'get_weather', input: { city: 'Oslo' } }
+    ]
+  });
+  // Both results go back in a single user turn
+  assert.equal(toolResults.role, 'user');
+  assert.deepEqual(toolResults.content.map(block => [block.type, block.tool_use_id]), [
+    ['tool_result', 'toolu_1'],
+    ['tool_result', 'toolu_2']
+  ]);
+  assert.deepEqual(JSON.parse(toolResults.content[0].content), { city: 'Rome', temperature: 21 });
+  assert.equal(requests[1].body.messages.length, 3);
+});
+
+test('Gemini follow-ups send functionCall and functionResponse parts', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? {
+      candidates: [{
+        content: { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Rome' } }, thoughtSignature: 'sig-1' }] },
+        finishReason: 'STOP'
+      }]
+    }
+    : { candidates: [{ content: { role: 'model', parts: [{ text: 'It is 21°C in Rome.' }] }, finishReason: 'STOP' }] });
+  const agent = createAgent({
+    apiUrl: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+    apiKey: 'gemini-test-key',
+    model: 'gemini-2.5-flash'
+  });
+  await addWeatherTool(agent);
+
+  const result = await agent.chat('Weather in Rome?');
+
+  assert.equal(result.content, 'It is 21°C in Rome.');
+  assert.equal(requests[0].body.tools[0].functionDeclarations[0].name, 'get_weather');
+
+  const { contents } = requests[1].body;
+  assert.deepEqual(contents.map(content => content.role), ['user', 'model', 'user']);
+  assert.deepEqual(contents[1].parts, [
+    { functionCall: { name: 'get_weather', args: { city: 'Rome' } }, thoughtSignature: 'sig-1' }
+  ]);
+  assert.deepEqual(contents[2].parts, [
+    { functionResponse: { name: 'get_weather', response: { city: 'Rome', temperature: 21 } } }
+  ]);
+});
+
+test('a Gemini tool result that is not an object is wrapped in { result }', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? { candidates: [{ content: { parts: [{ functionCall: { name: 'count', args: {} } }] }, finishReason: 'STOP' }] }
+    : { candidates: [{ content: { parts: [{ text: 'Three.' }] }, finishReason: 'STOP' }] });
+  const agent = createAgent({
+    apiUrl: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+    apiKey: 'gemini-test-key',
+    model: 'gemini-2.5-flash'
+  });
+  await agent.addTool({ name: 'count', description: 'Count', parameters: {}, execute: () => 3 });
+
+  await agent.chat('How many?');
+
+  assert.deepEqual(requests[1].body.contents.at(-1).parts[0].functionResponse, { name: 'count', response: { result: 3 } });
+});
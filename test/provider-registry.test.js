@@ -0,0 +1,158 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  Agentify,
+  BaseAdapter,
+  ProviderRegistry,
+  providerRegistry,
+  ConfigManager,
+  ErrorManager,
+  SystemError
+} from '../agentify/index.js';
+import { mockFetch, restoreFetch, streamResponse, createAgent } from '../fixtures/http.js';
+
+afterEach(() => {
+  restoreFetch();
+  providerRegistry.unregister('echo-api');
+});
+
+/**
+ * Newline-delimited { delta } stream items
+ */
+function parseLines(handler) {
+  const lines = handler.buffer.split('\n');
+  handler.buffer = lines.pop();
+  return lines.filter(Boolean).map(line => ({ type: 'token', content: JSON.parse(line).delta }));
+}
+
+/**
+ * Minimal provider: { prompt } in, { output } out, newline-delimited { delta } when streaming
+ */
+class EchoAdapter extends BaseAdapter {
+  formatRequest(messages, tools, config) {
+    return {
+      prompt: messages.filter(m => m.role !== 'system').map(m => m.content).join('\n'),
+      model: config.model,
+      tools: tools ? this.formatTools(tools) : undefined
+    };
+  }
+
+  formatTools(tools) {
+    return tools.map(tool => ({ name: tool.name, schema: tool.parameters }));
+  }
+
+  parseResponse(data) {
+    return { content: data.output, toolCalls: [], finishReason: 'stop' };
+  }
+
+  getHeaders() {
+    return { 'Content-Type': 'application/json', 'X-Echo-Key': this.config.get('apiKey') };
+  }
+
+  parseStream(handler) {
+    return parseLines(handler);
+  }
+}
+
+const echoAgent = (config = {}) => createAgent({ apiUrl: 'https://echo.example.com/v1/chat', apiKey: 'echo-key', ...config });
+
+test('a registered provider is detected from the URL and formats its own requests', async () => {
+  Agentify.registerProvider('echo-api', { adapter: EchoAdapter, detect: (url) => url.includes('echo.example.com') });
+  const requests = mockFetch(() => ({ output: 'Hello back' }));
+  const agent = echoAgent();
+  await agent.addTool({ name: 'search', description: 'Search', parameters: { q: { type: 'string' } }, execute: () => null });
+
+  const result = await agent.chat('Hello');
+
+  assert.ok(Agentify.getProviders().includes('echo-api'));
+  assert.equal(agent.configManager.get('provider'), 'echo-api');
+  assert.ok(agent.adapter instanceof EchoAdapter);
+  assert.equal(result.content, 'Hello back');
+  assert.equal(requests[0].body.prompt, 'Hello');
+  assert.deepEqual(requests[0].body.tools, [{ name: 'search', schema: { type: 'object', properties: { q: { type: 'string' } } } }]);
+  assert.equal(requests[0].headers['X-Echo-Key'], 'echo-key');
+});
+
+test('streaming uses the adapter parseStream, or the provider streamParser when given', async () => {
+  const body = () => streamResponse(['{"delta":"Hel', 'lo"}\n{"delta":" there"}\n'], 'application/x-ndjson');
+
+  Agentify.registerProvider('echo-api', { adapter: EchoAdapter, detect: (url) => url.includes('echo.example.com') });
+  mockFetch(body);
+  assert.equal((await echoAgent({ stream: true }).chat('Hi')).content, 'Hello there');
+
+  Agentify.registerProvider('echo-api', {
+    adapter: EchoAdapter,
+    detect: (url) => url.includes('echo.example.com'),
+    streamParser: (handler) => parseLines(handler).map(item => ({ ...item, content: item.content.toUpperCase() }))
+  });
+  mockFetch(body);
+  assert.equal((await echoAgent({ stream: true }).chat('Hi')).content, 'HELLO THERE');
+});
+
+test('later registrations are asked first when detecting a provider', () => {
+  const registry = new ProviderRegistry()
+    .register('openai', { adapter: EchoAdapter, detect: (url) => url.includes('openai.com') })
+    .register('openai-proxy', { adapter: EchoAdapter, detect: (url) => url.includes('proxy.openai.com') });
+
+  assert.equal(registry.detect('https://proxy.openai.com/v1/chat/completions'), 'openai-proxy');
+  assert.equal(registry.detect('https://api.openai.com/v1/chat/completions'), 'openai');
+  assert.equal(registry.detect('https://example.com'), null);
+});
+
+test('unknown providers fall back to the custom adapter', async () => {
+  const agent = createAgent({ apiUrl: 'https://llm.example.com/v1/chat/completions', provider: 'not-registered' });
+
+  assert.equal(agent.adapter.constructor.name, 'CustomAdapter');
+});
+
+test('invalid provider definitions are rejected', () => {
+  const registry = new ProviderRegistry();
+
+  assert.throws(() => registry.register('', { adapter: EchoAdapter }), (error) => error.code === SystemError.codes.INVALID_PARAMETER);
+  assert.throws(() => registry.register('x', {}), /needs an adapter class/);
+  assert.throws(() => registry.register('x', { adapter: EchoAdapter, detect: 'openai.com' }), /detect must be a function/);
+});
+
+test('deprecated provider-name calls build the adapter with the agent config and error manager', () => {
+  const created = [];
+  class RecordingAdapter extends EchoAdapter {
+    constructor(config, errorManager, eventManager) {
+      super(config, errorManager, eventManager);
+      created.push({ config, errorManager });
+    }
+  }
+  Agentify.registerProvider('echo-api', { adapter: RecordingAdapter });
+  const agent = echoAgent({ provider: 'echo-api' });
+  created.length = 0;
+
+  assert.deepEqual(agent.configManager.getHeaders(), { 'Content-Type': 'application/json', 'X-Echo-Key': 'echo-key' });
+  agent.toolManager.getToolDefinitions('echo-api');
+  agent.streamHandler.resolveParser('echo-api');
+
+  assert.equal(created.length, 3);
+  for (const { config, errorManager } of created) {
+    assert.equal(config, agent.configManager);
+    assert.equal(errorManager, agent.errorManager);
+  }
+});
+
+test('getToolDefinitions(provider) still returns the provider format', async () => {
+  const agent = createAgent();
+  await agent.addTool({ name: 'search', description: 'Search', parameters: { q: { type: 'string', required: true } }, execute: () => null });
+  const parameters = { type: 'object', properties: { q: { type: 'string' } }, required: ['q'] };
+
+  assert.deepEqual(agent.toolManager.getToolDefinitions(), [{ name: 'search', description: 'Search', parameters }]);
+  assert.deepEqual(agent.toolManager.getToolDefinitions('openai'), [
+    { type: 'function', function: { name: 'search', description: 'Search', parameters } }
+  ]);
+  assert.deepEqual(agent.toolManager.getToolDefinitions('anthropic', ['search']), [
+    { name: 'search', description: 'Search', input_schema: parameters }
+  ]);
+});
+
+test('a standalone ConfigManager asks the registry for headers', () => {
+  const config = new ConfigManager({ apiUrl: 'https://api.anthropic.com/v1/messages', apiKey: 'sk-ant-test', model: 'claude-sonnet-4-5' }, new ErrorManager());
+
+  assert.equal(config.get('provider'), 'anthropic');
+  assert.equal(config.getHeaders()['x-api-key'], 'sk-ant-test');
+});
@@ -0,0 +1,80 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, restoreFetch, openAIReply, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+const anthropic = { apiUrl: 'https://api.anthropic.com/v1/messages', model: 'claude-sonnet-4-5', maxTokens: 1000 };
+
+const toolUse = (...blocks) => ({
+  content: [...blocks, { type: 'tool_use', id: 'toolu_1', name: 'classify', input: { label: 'billing' } }],
+  stop_reason: 'tool_use'
+});
+const answer = { content: [{ type: 'text', text: 'Routing you to billing.' }], stop_reason: 'end_turn' };
+
+async function addClassify(agent) {
+  await agent.addTool({ name: 'classify', description: 'Classify the request', parameters: { label: { type: 'string' } }, execute: ({ label }) => ({ label }) });
+}
+
+test('Anthropic tool rounds send the signed thinking blocks back', async () => {
+  const thinking = { type: 'thinking', thinking: 'Looks like billing.', signature: 'sig_1' };
+  const requests = mockFetch((request, index) => index === 0 ? toolUse(thinking) : answer);
+  const agent = createAgent({ ...anthropic, reasoning: { budgetTokens: 2000 } });
+  await addClassify(agent);
+
+  const result = await agent.chat('My invoice is wrong');
+
+  assert.equal(result.content, 'Routing you to billing.');
+  for (const request of requests) {
+    assert.deepEqual(request.body.thinking, { type: 'enabled', budget_tokens: 2000 });
+    assert.equal(request.body.max_tokens, 3000);
+  }
+  assert.deepEqual(requests[1].body.messages[1].content.map(block => block.type), ['thinking', 'tool_use']);
+  assert.deepEqual(requests[1].body.messages[1].content[0], thinking);
+});
+
+test('a tool round started with a forced tool continues without thinking', async () => {
+  const requests = mockFetch((request, index) => index === 0 ? toolUse() : answer);
+  const agent = createAgent({ ...anthropic, reasoning: true, toolChoice: 'classify' });
+  await addClassify(agent);
+
+  const result = await agent.chat('My invoice is wrong');
+
+  assert.equal(result.content, 'Routing you to billing.');
+  assert.deepEqual(requests[0].body.tool_choice, { type: 'tool', name: 'classify' });
+  assert.equal(requests[0].body.thinking, undefined);
+  // The tool_use turn has no thinking block to lead with, so thinking stays off
+  assert.equal(requests[1].body.tool_choice, undefined);
+  assert.equal(requests[1].body.thinking, undefined);
+  assert.deepEqual(requests[1].body.messages[1].content.map(block => block.type), ['tool_use']);
+});
+
+test('thinking is back on for the next user message', async () => {
+  const requests = mockFetch((request, index) => index === 0 ? toolUse() : answer);
+  const agent = createAgent({ ...anthropic, reasoning: true });
+  await addClassify(agent);
+
+  await agent.chat('My invoice is wrong', { toolChoice: 'classify' });
+  await agent.chat('Thanks');
+
+  assert.equal(requests[1].body.thinking, undefined);
+  assert.equal(requests[2].body.thinking.type, 'enabled');
+});
+
+test('OpenAI reasoning parameters are sent to reasoning models only', async () => {
+  const requests = mockFetch(() => openAIReply('ok'));
+  const reasoning = { effort: 'high' };
+
+  await createAgent({ model: 'o3-mini', maxTokens: 500, temperature: 0.2 }).chat('Hi', { reasoning });
+  await createAgent({ model: 'gpt-5-mini', maxTokens: 500 }).chat('Hi', { reasoning });
+  await createAgent({ model: 'gpt-4o', maxTokens: 500, temperature: 0.2 }).chat('Hi', { reasoning });
+
+  const [o3, gpt5, gpt4o] = requests.map(request => request.body);
+  assert.equal(o3.reasoning_effort, 'high');
+  assert.equal(o3.max_completion_tokens, 500 + 16384);
+  assert.equal(o3.temperature, undefined);
+  assert.equal(gpt5.reasoning_effort, 'high');
+  assert.equal('reasoning_effort' in gpt4o, false);
+  assert.equal(gpt4o.max_tokens, 500);
+  assert.equal(gpt4o.temperature, 0.2);
+});
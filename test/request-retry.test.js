@@ -0,0 +1,63 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { NetworkError } from '../agentify/index.js';
+import { mockFetch, restoreFetch, jsonResponse, openAIReply, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+test('server errors are retried with backoff until a request succeeds', async () => {
+  const requests = mockFetch((request, index) =>
+    index < 2 ? jsonResponse({ error: { message: 'overloaded' } }, 503) : openAIReply('Hello!')
+  );
+  const agent = createAgent({ retryAttempts: 3, retryDelay: 1 });
+
+  const result = await agent.chat('Hi');
+
+  assert.equal(result.content, 'Hello!');
+  assert.equal(requests.length, 3);
+  assert.deepEqual(requests[2].body, requests[0].body);
+
+  const retries = await agent.getEventsByType('api_request_retry');
+  assert.deepEqual(retries.map(event => event.data.attempt), [2, 3]);
+  // Exponential backoff: base * 2^(attempt-1) plus up to one base of jitter
+  assert.ok(retries[0].data.delay >= 1 && retries[0].data.delay <= 2);
+  assert.ok(retries[1].data.delay >= 2 && retries[1].data.delay <= 3);
+});
+
+test('Retry-After of a rate limit response sets the delay', async () => {
+  const requests = mockFetch((request, index) =>
+    index === 0 ? jsonResponse({ error: { message: 'slow down' } }, 429, { 'Retry-After': '0' }) : openAIReply('ok')
+  );
+  const agent = createAgent({ retryAttempts: 1, retryDelay: 5000 });
+
+  const result = await agent.chat('Hi');
+
+  assert.equal(result.content, 'ok');
+  assert.equal(requests.length, 2);
+  const [retry] = await agent.getEventsByType('api_request_retry');
+  assert.equal(retry.data.delay, 0);
+  assert.equal(retry.data.errorCode, NetworkError.codes.RATE_LIMIT);
+});
+
+test('client errors are not retried', async () => {
+  const requests = mockFetch(() => jsonResponse({ error: { message: 'bad key' } }, 401));
+  const agent = createAgent({ retryAttempts: 3, retryDelay: 1 });
+
+  const result = await agent.chat('Hi');
+
+  assert.equal(requests.length, 1);
+  assert.equal(result.finishReason, 'error');
+  assert.equal(result.error.code, NetworkError.codes.UNAUTHORIZED);
+});
+
+test('network failures are retried and give up after retryAttempts', async () => {
+  const requests = mockFetch(() => { throw new TypeError('fetch failed'); });
+  const agent = createAgent({ retryAttempts: 2, retryDelay: 1 });
+
+  const result = await agent.chat('Hi');
+
+  assert.equal(requests.length, 3);
+  assert.equal(result.error.code, NetworkError.codes.CONNECTION_FAILED);
+  const failures = await agent.getEventsByType('api_request_failed');
+  assert.deepEqual(failures.map(event => event.data.metadata.willRetry), [true, true, false]);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema } from '../agentify/utils/schema.js';
+import { ToolManager, ErrorManager, ToolError } from '../agentify/index.js';
+
+const keywords = (errors) => errors.map(error => `${error.path}:${error.keyword}`);
+
+test('validateSchema reports type, required and additionalProperties with JSON pointer paths', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 2 },
+      tags: { type: 'array', items: { type: 'string' }, uniqueItems: true }
+    },
+    required: ['name', 'count'],
+    additionalProperties: false
+  };
+
+  assert.deepEqual(validateSchema({ name: 'ok', tags: ['a'] }, schema).map(e => e.keyword), ['required']);
+  assert.deepEqual(
+    keywords(validateSchema({ name: 'x', tags: ['a', 'a', 1], extra: true }, schema)),
+    ['/count:required', '/name:minLength', '/tags/1:uniqueItems', '/tags/2:type', '/extra:additionalProperties']
+  );
+});
+
+test('validateSchema handles numbers, enums, formats and combinators', () => {
+  assert.deepEqual(keywords(validateSchema(7, { type: 'integer', minimum: 1, multipleOf: 2 })), [':multipleOf']);
+  assert.deepEqual(keywords(validateSchema('c', { enum: ['a', 'b'] })), [':enum']);
+  assert.deepEqual(keywords(validateSchema('not a date', { type: 'string', format: 'date' })), [':format']);
+  assert.deepEqual(validateSchema('2024-01-31', { type: 'string', format: 'date' }), []);
+  assert.deepEqual(validateSchema(3, { anyOf: [{ type: 'string' }, { type: 'number' }] }), []);
+  assert.deepEqual(keywords(validateSchema(3, { oneOf: [{ type: 'number' }, { minimum: 0 }] })), [':oneOf']);
+  assert.deepEqual(keywords(validateSchema('x', { not: { type: 'string' } })), [':not']);
+});
+
+test('validateSchema resolves local $ref into $defs', () => {
+  const schema = {
+    type: 'object',
+    properties: { point: { $ref: '#/$defs/point' } },
+    $defs: { point: { type: 'object', required: ['x'], properties: { x: { type: 'number' } } } }
+  };
+
+  assert.deepEqual(validateSchema({ point: { x: 1 } }, schema), []);
+  assert.deepEqual(keywords(validateSchema({ point: { x: 'a' } }, schema)), ['/point/x:type']);
+  assert.deepEqual(keywords(validateSchema({ point: {} }, { $ref: '#/$defs/missing' })), [':$ref']);
+});
+
+test('validateSchema only matches own keys', () => {
+  const schema = { type: 'object', properties: { name: { type: 'string' } }, required: ['toString'], additionalProperties: false };
+
+  assert.deepEqual(keywords(validateSchema({ constructor: 1 }, schema)), ['/toString:required', '/constructor:additionalProperties']);
+});
+
+test('validateSchema skips a boolean required in nested schemas', () => {
+  const schema = {
+    type: 'object',
+    properties: { filter: { type: 'object', required: true, properties: { field: { type: 'string', required: true } } } }
+  };
+
+  assert.deepEqual(validateSchema({ filter: { field: 'a' } }, schema), []);
+  assert.deepEqual(keywords(validateSchema({ filter: { field: 1 } }, schema)), ['/filter/field:type']);
+});
+
+test('ToolManager rejects invalid arguments with TOOL_INVALID_PARAMS before running the tool', async () => {
+  const toolManager = new ToolManager(new ErrorManager());
+  let runs = 0;
+
+  await toolManager.registerTool({
+    name: 'search',
+    description: 'Search',
+    parameters: {
+      query: { type: 'string', required: true },
+      options: { type: 'object', properties: { limit: { type: 'integer', required: true } } }
+    },
+    execute: () => ++runs
+  });
+
+  await assert.rejects(
+    toolManager.executeTool('search', { options: { limit: 1.5 } }),
+    (error) => {
+      assert.ok(error instanceof ToolError);
+      assert.equal(error.code, ToolError.codes.INVALID_PARAMS);
+      assert.deepEqual(keywords(error.details.errors), ['/query:required', '/options/limit:type']);
+      return true;
+    }
+  );
+  assert.equal(runs, 0);
+
+  const result = await toolManager.executeTool('search', { query: 'agents', options: { limit: 2 } });
+  assert.equal(result.success, true);
+  assert.equal(runs, 1);
+});
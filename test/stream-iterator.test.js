@@ -0,0 +1,92 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { NetworkError } from '../agentify/index.js';
+import { mockFetch, restoreFetch, sseResponse, jsonResponse, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+/**
+ * OpenAI stream: some text, then a call to get_weather with its arguments split over two chunks
+ */
+const toolCallStream = () => sseResponse([
+  { choices: [{ index: 0, delta: { content: 'Let me check.' } }] },
+  { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":' } }] } }] },
+  { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '"Rome"}' } }] } }] },
+  { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] },
+  { choices: [], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } },
+  'data: [DONE]\n\n'
+]);
+
+const answerStream = () => sseResponse([
+  { choices: [{ index: 0, delta: { content: 'Sunny.' } }] },
+  { choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] },
+  'data: [DONE]\n\n'
+]);
+
+async function addWeatherTool(agent, execute = () => ({ sky: 'sunny' })) {
+  await agent.addTool({
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    parameters: { city: { type: 'string', required: true } },
+    execute
+  });
+}
+
+test('stream() yields typed events for every round of a tool loop', async () => {
+  const requests = mockFetch((request, index) => index === 0 ? toolCallStream() : answerStream());
+  const agent = createAgent();
+  await addWeatherTool(agent);
+  const events = [];
+
+  for await (const event of agent.stream('Weather in Rome?')) {
+    events.push(event);
+  }
+
+  assert.deepEqual(events.map(event => event.type), [
+    'token', 'tool_call_started', 'tool_call_result', 'usage', 'round_complete',
+    'token', 'round_complete', 'done'
+  ]);
+  assert.equal(requests[0].body.stream, true);
+
+  const started = events.find(event => event.type === 'tool_call_started');
+  assert.equal(started.toolCall.name, 'get_weather');
+  assert.deepEqual(JSON.parse(started.toolCall.arguments), { city: 'Rome' });
+  assert.deepEqual(events.find(event => event.type === 'tool_call_result').result.result, { sky: 'sunny' });
+  assert.equal(events.find(event => event.type === 'usage').usage.totalTokens, 15);
+  assert.deepEqual(events.filter(event => event.type === 'round_complete').map(event => event.round), [0, 1]);
+  assert.equal(events.at(-1).result.content, 'Sunny.');
+});
+
+test('the agent waits for the consumer before producing more events', async () => {
+  mockFetch((request, index) => index === 0 ? toolCallStream() : answerStream());
+  const agent = createAgent();
+  const log = [];
+  await addWeatherTool(agent, () => {
+    log.push('tool ran');
+    return { sky: 'sunny' };
+  });
+
+  for await (const event of agent.stream('Weather in Rome?')) {
+    if (event.type === 'token' && log.length === 0) {
+      log.push('got first token');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      log.push('consumer ready');
+    }
+  }
+
+  assert.deepEqual(log, ['got first token', 'consumer ready', 'tool ran']);
+});
+
+test('a failed request yields an error event before done', async () => {
+  mockFetch(() => jsonResponse({ error: { message: 'bad key' } }, 401));
+  const agent = createAgent();
+  const events = [];
+
+  for await (const event of agent.stream('Hi')) {
+    events.push(event);
+  }
+
+  assert.deepEqual(events.map(event => event.type), ['error', 'done']);
+  assert.equal(events[0].error.code, NetworkError.codes.UNAUTHORIZED);
+  assert.equal(events[1].result.finishReason, 'error');
+});
@@ -0,0 +1,137 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelError, SystemError } from '../agentify/index.js';
+import { mockFetch, restoreFetch, openAIReply, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+const contactSchema = {
+  type: 'object',
+  properties: { name: { type: 'string' }, age: { type: 'integer', minimum: 0 } },
+  required: ['name', 'age'],
+  additionalProperties: false
+};
+
+const customEndpoint = { apiUrl: 'https://llm.example.com/v1/chat/completions', model: 'local-model' };
+
+test('OpenAI requests use json_schema response_format and return the parsed object', async () => {
+  const requests = mockFetch(() => openAIReply('{"name":"Ada","age":36}'));
+  const agent = createAgent();
+
+  const result = await agent.chat('Extract the contact', {
+    responseSchema: { name: 'contact', schema: contactSchema, strict: true }
+  });
+
+  assert.deepEqual(result.data, { name: 'Ada', age: 36 });
+  assert.deepEqual(requests[0].body.response_format, {
+    type: 'json_schema',
+    json_schema: { name: 'contact', schema: contactSchema, strict: true }
+  });
+});
+
+test('JSON in a markdown fence is accepted', async () => {
+  mockFetch(() => openAIReply('```json\n{"name":"Ada","age":36}\n```'));
+  const agent = createAgent(customEndpoint);
+
+  const result = await agent.chat('Extract the contact', { responseSchema: contactSchema });
+
+  assert.deepEqual(result.data, { name: 'Ada', age: 36 });
+});
+
+test('the custom provider describes the schema in the prompt and repairs invalid output', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? openAIReply('{"name":"Ada","age":"thirty-six"}')
+    : openAIReply('{"name":"Ada","age":36}'));
+  const agent = createAgent(customEndpoint);
+
+  const result = await agent.chat('Extract the contact', { responseSchema: contactSchema, chatId: 'chat_1' });
+
+  assert.deepEqual(result.data, { name: 'Ada', age: 36 });
+  assert.equal(requests[0].body.response_format, undefined);
+  assert.match(requests[0].body.messages[0].content, /"required":\["name","age"\]/);
+
+  const repairPrompt = requests[1].body.messages.at(-1);
+  assert.equal(repairPrompt.role, 'user');
+  assert.match(repairPrompt.content, /\/age: /);
+
+  // The invalid reply and the repair prompt are removed from the history
+  const { messages } = await agent.getChatHistory('chat_1');
+  assert.deepEqual(messages.map(msg => [msg.role, msg.content]), [
+    ['user', 'Extract the contact'],
+    ['assistant', '{"name":"Ada","age":36}']
+  ]);
+});
+
+test('output that stays invalid fails with MDL_SCHEMA_VALIDATION_FAILED', async () => {
+  const requests = mockFetch(() => openAIReply('Ada is 36 years old.'));
+  const agent = createAgent(customEndpoint);
+
+  await assert.rejects(
+    agent.chat('Extract the contact', { responseSchema: contactSchema, maxRepairAttempts: 1 }),
+    (error) => {
+      assert.ok(error instanceof ModelError);
+      assert.equal(error.code, ModelError.codes.SCHEMA_VALIDATION_FAILED);
+      assert.equal(error.details.attempts, 2);
+      assert.equal(error.details.errors[0].keyword, 'json');
+      return true;
+    }
+  );
+  assert.equal(requests.length, 2);
+});
+
+test('Anthropic gets the object through a forced structured_output tool call', async () => {
+  const requests = mockFetch(() => ({
+    content: [{ type: 'tool_use', id: 'toolu_1', name: 'structured_output', input: { name: 'Ada', age: 36 } }],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 10, output_tokens: 5 }
+  }));
+  const agent = createAgent({ apiUrl: 'https://api.anthropic.com/v1/messages', model: 'claude-sonnet-4-5' });
+
+  const result = await agent.chat('Extract the contact', { responseSchema: contactSchema });
+
+  assert.deepEqual(result.data, { name: 'Ada', age: 36 });
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0].body.tool_choice, { type: 'tool', name: 'structured_output' });
+  assert.deepEqual(requests[0].body.tools[0].input_schema, contactSchema);
+});
+
+test('Anthropic wraps schemas that are not objects in { value }', async () => {
+  const requests = mockFetch(() => ({
+    content: [{ type: 'tool_use', id: 'toolu_1', name: 'structured_output', input: { value: ['a', 'b'] } }],
+    stop_reason: 'tool_use'
+  }));
+  const agent = createAgent({ apiUrl: 'https://api.anthropic.com/v1/messages', model: 'claude-sonnet-4-5' });
+
+  const result = await agent.chat('List the tags', { responseSchema: { type: 'array', items: { type: 'string' } } });
+
+  assert.deepEqual(result.data, ['a', 'b']);
+  assert.deepEqual(requests[0].body.tools[0].input_schema.required, ['value']);
+});
+
+test('Gemini gets responseMimeType and a reduced responseSchema', async () => {
+  const requests = mockFetch(() => ({
+    candidates: [{ content: { parts: [{ text: '{"name":"Ada","age":36}' }] }, finishReason: 'STOP' }]
+  }));
+  const agent = createAgent({
+    apiUrl: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+    apiKey: 'gemini-test-key',
+    model: 'gemini-2.5-flash'
+  });
+
+  const result = await agent.chat('Extract the contact', { responseSchema: contactSchema });
+
+  assert.deepEqual(result.data, { name: 'Ada', age: 36 });
+  const { generationConfig } = requests[0].body;
+  assert.equal(generationConfig.responseMimeType, 'application/json');
+  // additionalProperties is not part of Gemini's schema subset
+  assert.equal(generationConfig.responseSchema.additionalProperties, undefined);
+  assert.deepEqual(generationConfig.responseSchema.required, ['name', 'age']);
+});
+
+test('a responseSchema that is not an object is rejected before any request', async () => {
+  const requests = mockFetch(() => openAIReply('{}'));
+  const agent = createAgent();
+
+  await assert.rejects(agent.chat('Hi', { responseSchema: 'contact' }), (error) => error.code === SystemError.codes.INVALID_PARAMETER);
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,76 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Agentify, MemoryStorageAdapter } from '../agentify/index.js';
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+/**
+ * Replace fetch with a stub that records request bodies and answers with `reply(body)`
+ */
+function mockFetch(reply) {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    requests.push(body);
+    return new Response(JSON.stringify(reply(body, requests.length)), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+  return requests;
+}
+
+function createAgent(config) {
+  const agent = new Agentify({
+    apiKey: 'sk-test-1234567890',
+    stream: false,
+    reasoning: true,
+    storage: new MemoryStorageAdapter(),
+    ...config
+  });
+  agent.setSummarization({ enabled: false, keepRecentMessages: 0 });
+  return agent;
+}
+
+test('summarization with reasoning enabled sends a plain Anthropic request', async () => {
+  const requests = mockFetch((body, count) => ({
+    content: [{ type: 'text', text: `reply ${count}` }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 10, output_tokens: 5 }
+  }));
+  const agent = createAgent({ apiUrl: 'https://api.anthropic.com/v1/messages', model: 'claude-sonnet-4' });
+
+  await agent.chat('Hello');
+  assert.equal(requests[0].thinking.type, 'enabled');
+
+  const summary = await agent.summarizeChat(agent.getCurrentChatId(), { force: true });
+  const request = requests.at(-1);
+
+  assert.equal(summary.content, 'reply 2');
+  assert.equal(request.thinking, undefined);
+  assert.equal(request.max_tokens, 1024);
+  assert.equal(request.tool_choice, undefined);
+});
+
+test('summarization with reasoning enabled sends a plain OpenAI request', async () => {
+  const requests = mockFetch((body, count) => ({
+    choices: [{ message: { content: `reply ${count}` }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 10, completion_tokens: 5 }
+  }));
+  const agent = createAgent({ apiUrl: 'https://api.openai.com/v1/chat/completions', model: 'o3-mini' });
+
+  await agent.chat('Hello');
+  assert.equal(requests[0].reasoning_effort, 'medium');
+
+  const summary = await agent.summarizeChat(agent.getCurrentChatId(), { force: true });
+  const request = requests.at(-1);
+
+  assert.equal(summary.content, 'reply 2');
+  assert.equal('reasoning_effort' in request, false);
+  assert.ok(Object.values(request).every(value => !Number.isNaN(value)));
+  assert.equal(request.max_completion_tokens ?? request.max_tokens, 1024);
+});
@@ -0,0 +1,136 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, restoreFetch, openAIReply, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+/**
+ * Register send_email; every call that actually runs is recorded in `sent`
+ */
+async function addEmailTool(agent, sent, requiresApproval = true) {
+  await agent.addTool({
+    name: 'send_email',
+    description: 'Send an email',
+    parameters: { to: { type: 'string', required: true }, body: { type: 'string', required: true } },
+    requiresApproval,
+    execute: (args) => {
+      sent.push(args);
+      return { sent: true };
+    }
+  });
+}
+
+/**
+ * First reply asks for send_email, the second one is the final answer
+ */
+function mockEmailRound(to = 'bob@example.com') {
+  return mockFetch((request, index) => index === 0
+    ? openAIReply(null, { toolCalls: [{ id: 'call_1', name: 'send_email', arguments: { to, body: 'Hi Bob' } }] })
+    : openAIReply('Done.'));
+}
+
+const toolResult = (request) => JSON.parse(request.body.messages.at(-1).content);
+
+test('an approved call runs and the decision is logged', async () => {
+  mockEmailRound();
+  const agent = createAgent();
+  const sent = [];
+  const asked = [];
+  await addEmailTool(agent, sent);
+
+  await agent.chat('Email Bob', {
+    onToolApproval: (toolCall) => {
+      asked.push(toolCall);
+      return 'approve';
+    }
+  });
+
+  assert.deepEqual(asked, [{ id: 'call_1', name: 'send_email', arguments: { to: 'bob@example.com', body: 'Hi Bob' } }]);
+  assert.equal(sent.length, 1);
+  assert.equal((await agent.getEventsByType('tool_approval_requested')).length, 1);
+  const [approved] = await agent.getEventsByType('tool_call_approved');
+  assert.equal(approved.data.action, 'approve');
+});
+
+test('a rejected call is sent back to the model as a refusal', async () => {
+  const requests = mockEmailRound();
+  const agent = createAgent();
+  const sent = [];
+  await addEmailTool(agent, sent);
+
+  const result = await agent.chat('Email Bob', {
+    onToolApproval: () => ({ action: 'reject', reason: 'Not today' })
+  });
+
+  assert.equal(result.content, 'Done.');
+  assert.equal(sent.length, 0);
+  assert.deepEqual(toolResult(requests[1]), {
+    error: 'Call to tool "send_email" was not approved',
+    rejected: true,
+    reason: 'Not today'
+  });
+  const [rejected] = await agent.getEventsByType('tool_call_rejected');
+  assert.equal(rejected.data.reason, 'Not today');
+});
+
+test('edited arguments are used and reported to the model', async () => {
+  const requests = mockEmailRound();
+  const agent = createAgent();
+  const sent = [];
+  await addEmailTool(agent, sent);
+
+  await agent.chat('Email Bob', {
+    onToolApproval: async ({ arguments: args }) => ({ action: 'edit', arguments: { ...args, body: 'Hello Bob' } })
+  });
+
+  assert.deepEqual(sent, [{ to: 'bob@example.com', body: 'Hello Bob' }]);
+  assert.deepEqual(toolResult(requests[1]), {
+    result: { sent: true },
+    editedArguments: { to: 'bob@example.com', body: 'Hello Bob' }
+  });
+});
+
+test('without an approval handler the call is rejected', async () => {
+  const requests = mockEmailRound();
+  const agent = createAgent();
+  const sent = [];
+  await addEmailTool(agent, sent);
+
+  await agent.chat('Email Bob');
+
+  assert.equal(sent.length, 0);
+  assert.equal(toolResult(requests[1]).reason, 'No approval handler is configured');
+});
+
+test('a handler that throws or answers nonsense never lets the call through', async () => {
+  for (const onToolApproval of [() => { throw new Error('UI closed'); }, () => 'maybe']) {
+    mockEmailRound();
+    const agent = createAgent();
+    const sent = [];
+    await addEmailTool(agent, sent);
+
+    await agent.chat('Email Bob', { onToolApproval });
+
+    assert.equal(sent.length, 0);
+  }
+});
+
+test('requiresApproval can be a predicate on the arguments', async () => {
+  const requiresApproval = ({ to }) => !to.endsWith('@example.com');
+  const agent = createAgent();
+  const sent = [];
+  const asked = [];
+  const onToolApproval = (toolCall) => {
+    asked.push(toolCall.arguments.to);
+    return 'reject';
+  };
+  await addEmailTool(agent, sent, requiresApproval);
+
+  mockEmailRound('bob@example.com');
+  await agent.chat('Email Bob', { onToolApproval });
+  mockEmailRound('eve@elsewhere.org');
+  await agent.chat('Email Eve', { onToolApproval });
+
+  assert.deepEqual(asked, ['eve@elsewhere.org']);
+  assert.deepEqual(sent.map(args => args.to), ['bob@example.com']);
+});
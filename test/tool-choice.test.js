@@ -0,0 +1,115 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolError, SystemError } from '../agentify/index.js';
+import { mockFetch, restoreFetch, openAIReply, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+const noop = () => 'ok';
+
+async function addTools(agent, deleteUser = noop) {
+  await agent.addTool({ name: 'classify', description: 'Classify the request', parameters: { label: { type: 'string' } }, execute: ({ label }) => ({ label }) });
+  await agent.addTool({ name: 'search', description: 'Search the docs', parameters: {}, execute: noop });
+  await agent.addTool({ name: 'delete_user', description: 'Admin: delete a user', parameters: {}, execute: deleteUser });
+}
+
+test('OpenAI requests default to auto and map every tool choice', async () => {
+  const requests = mockFetch(() => openAIReply('ok'));
+  const agent = createAgent();
+  await addTools(agent);
+
+  await agent.chat('Hi');
+  await agent.chat('Hi', { toolChoice: 'none' });
+  await agent.chat('Hi', { toolChoice: 'any' });
+  await agent.chat('Hi', { toolChoice: 'search' });
+  await agent.chat('Hi', { toolChoice: { type: 'function', function: { name: 'search' } } });
+
+  assert.deepEqual(requests.map(request => request.body.tool_choice), [
+    'auto',
+    'none',
+    'required',
+    { type: 'function', function: { name: 'search' } },
+    { type: 'function', function: { name: 'search' } }
+  ]);
+});
+
+test('Anthropic and Gemini get their native tool choice', async () => {
+  const requests = mockFetch((request) => request.url.includes('anthropic')
+    ? { content: [{ type: 'text', text: 'ok' }], stop_reason: 'end_turn' }
+    : { candidates: [{ content: { parts: [{ text: 'ok' }] }, finishReason: 'STOP' }] });
+  const claude = createAgent({ apiUrl: 'https://api.anthropic.com/v1/messages', model: 'claude-sonnet-4-5' });
+  const gemini = createAgent({
+    apiUrl: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+    apiKey: 'gemini-test-key',
+    model: 'gemini-2.5-flash'
+  });
+  await addTools(claude);
+  await addTools(gemini);
+
+  for (const toolChoice of ['auto', 'required', 'none', 'classify']) {
+    await claude.chat('Hi', { toolChoice });
+    await gemini.chat('Hi', { toolChoice });
+  }
+
+  const anthropicChoices = requests.filter((request, index) => index % 2 === 0).map(request => request.body.tool_choice);
+  const geminiChoices = requests.filter((request, index) => index % 2 === 1).map(request => request.body.toolConfig?.functionCallingConfig);
+  assert.deepEqual(anthropicChoices, [undefined, { type: 'any' }, { type: 'none' }, { type: 'tool', name: 'classify' }]);
+  assert.deepEqual(geminiChoices, [
+    undefined,
+    { mode: 'ANY' },
+    { mode: 'NONE' },
+    { mode: 'ANY', allowedFunctionNames: ['classify'] }
+  ]);
+});
+
+test('a forced tool only applies to the first round of a tool loop', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? openAIReply(null, { toolCalls: [{ name: 'classify', arguments: { label: 'billing' } }] })
+    : openAIReply('Routing you to billing.'));
+  const agent = createAgent({ toolChoice: 'classify' });
+  await addTools(agent);
+
+  const result = await agent.chat('My invoice is wrong');
+
+  assert.equal(result.content, 'Routing you to billing.');
+  assert.deepEqual(requests[0].body.tool_choice, { type: 'function', function: { name: 'classify' } });
+  assert.equal(requests[1].body.tool_choice, 'auto');
+});
+
+test('allowedTools hides other tools from the request and from execution', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? openAIReply(null, { toolCalls: [{ name: 'delete_user', arguments: {} }] })
+    : openAIReply('I cannot do that.'));
+  const agent = createAgent();
+  let deleted = false;
+  await addTools(agent, () => { deleted = true; });
+
+  await agent.chat('Delete Bob', { allowedTools: ['search', 'classify'] });
+
+  assert.deepEqual(requests[0].body.tools.map(tool => tool.function.name), ['classify', 'search']);
+  assert.equal(deleted, false);
+  assert.match(JSON.parse(requests[1].body.messages.at(-1).content).error, /Tool "delete_user" not found/);
+});
+
+test('an empty allowedTools list sends no tools', async () => {
+  const requests = mockFetch(() => openAIReply('ok'));
+  const agent = createAgent();
+  await addTools(agent);
+
+  await agent.chat('Hi', { allowedTools: [] });
+
+  assert.equal(requests[0].body.tools, undefined);
+  assert.equal(requests[0].body.tool_choice, undefined);
+});
+
+test('invalid tool choices are rejected before any request', async () => {
+  const requests = mockFetch(() => openAIReply('ok'));
+  const agent = createAgent();
+  await addTools(agent);
+
+  await assert.rejects(agent.chat('Hi', { toolChoice: 'send_email' }), (error) => error.code === ToolError.codes.NOT_FOUND);
+  await assert.rejects(agent.chat('Hi', { toolChoice: 'delete_user', allowedTools: ['search'] }), (error) => error.code === ToolError.codes.NOT_FOUND);
+  await assert.rejects(agent.chat('Hi', { toolChoice: '' }), (error) => error.code === SystemError.codes.INVALID_PARAMETER);
+  await assert.rejects(agent.chat('Hi', { allowedTools: 'search' }), (error) => error.code === SystemError.codes.INVALID_PARAMETER);
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,100 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, restoreFetch, openAIReply, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+/**
+ * Each chat call makes the model call `process_file` once, then answer
+ */
+function mockToolRound() {
+  let calls = 0;
+  return mockFetch((request) => {
+    const lastMessage = request.body.messages.at(-1);
+    return lastMessage.role === 'tool'
+      ? openAIReply('Processed.')
+      : openAIReply(null, { toolCalls: [{ id: `call_${++calls}`, name: 'process_file', arguments: {} }] });
+  });
+}
+
+async function addProcessTool(agent, execute) {
+  await agent.addTool({ name: 'process_file', description: 'Process a file', parameters: {}, execute });
+}
+
+test('execute receives the chat, task and tool call it runs for', async () => {
+  mockToolRound();
+  const agent = createAgent();
+  let context;
+  await addProcessTool(agent, (params, ctx) => {
+    context = ctx;
+    return 'ok';
+  });
+
+  await agent.chat('Process it', { chatId: 'chat_1' });
+
+  assert.equal(context.chatId, 'chat_1');
+  assert.equal(context.toolCallId, 'call_1');
+  assert.equal(context.toolName, 'process_file');
+  assert.equal(context.agent, agent);
+  assert.equal(context.attempt, 1);
+  assert.ok(context.signal instanceof AbortSignal);
+  const [task] = await agent.getTasks({ type: 'chat' });
+  assert.equal(context.taskId, task.id);
+});
+
+test('reportProgress updates the thinking status', async () => {
+  mockToolRound();
+  const agent = createAgent();
+  const updates = [];
+  agent.onThinkingChange((status) => {
+    if (status.progress > 0) {
+      updates.push([status.progress, status.step]);
+    }
+  });
+  await addProcessTool(agent, (params, { reportProgress }) => {
+    reportProgress(50, 'Parsing rows');
+    reportProgress(150);
+    return 'ok';
+  });
+
+  await agent.chat('Process it');
+
+  assert.deepEqual(updates.slice(0, 3), [[50, null], [50, 'Parsing rows'], [100, 'Parsing rows']]);
+});
+
+test('log() records tool_log events', async () => {
+  mockToolRound();
+  const agent = createAgent();
+  await addProcessTool(agent, (params, { log }) => {
+    log('started');
+    log({ message: 'rows', count: 3 });
+    return 'ok';
+  });
+
+  await agent.chat('Process it', { chatId: 'chat_1' });
+
+  const events = await agent.getEventsByType('tool_log');
+  assert.deepEqual(events.map(event => event.data.entry), [{ message: 'started' }, { message: 'rows', count: 3 }]);
+  assert.equal(events[0].data.toolName, 'process_file');
+  assert.equal(events[0].data.metadata.toolCallId, 'call_1');
+});
+
+test('the store keeps values per chat across tool calls', async () => {
+  mockToolRound();
+  const agent = createAgent();
+  await addProcessTool(agent, async (params, { store }) => {
+    const runs = await store.get('runs', 0);
+    await store.set('runs', runs + 1);
+    return { runs: runs + 1 };
+  });
+
+  await agent.chat('Process it', { chatId: 'chat_a' });
+  await agent.chat('Process it again', { chatId: 'chat_a' });
+  await agent.chat('Process it', { chatId: 'chat_b' });
+
+  assert.deepEqual(await agent.getToolState('chat_a'), { runs: 2 });
+  assert.deepEqual(await agent.getToolState('chat_b'), { runs: 1 });
+
+  await agent.clearToolState('chat_a');
+  assert.deepEqual(await agent.getToolState('chat_a'), {});
+});
@@ -0,0 +1,80 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, restoreFetch, openAIReply, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+async function addWeatherTool(agent, execute = ({ city }) => ({ city, temperature: 21 })) {
+  await agent.addTool({
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    parameters: { city: { type: 'string', required: true } },
+    execute
+  });
+}
+
+test('non-streaming tool results are sent back to the model for the final answer', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? openAIReply(null, { toolCalls: [{ id: 'call_1', name: 'get_weather', arguments: { city: 'Rome' } }] })
+    : openAIReply('It is 21°C in Rome.'));
+  const agent = createAgent();
+  await addWeatherTool(agent);
+
+  const result = await agent.chat('Weather in Rome?');
+
+  assert.equal(result.content, 'It is 21°C in Rome.');
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].body.tools[0].function.name, 'get_weather');
+
+  const followUp = requests[1].body.messages;
+  const assistant = followUp.find(msg => msg.role === 'assistant');
+  assert.deepEqual(assistant.tool_calls.map(call => [call.id, call.function.name, JSON.parse(call.function.arguments)]), [
+    ['call_1', 'get_weather', { city: 'Rome' }]
+  ]);
+  const toolMessage = followUp.at(-1);
+  assert.equal(toolMessage.role, 'tool');
+  assert.equal(toolMessage.tool_call_id, 'call_1');
+  assert.deepEqual(JSON.parse(toolMessage.content), { city: 'Rome', temperature: 21 });
+});
+
+test('the tool round is stored in the chat history', async () => {
+  mockFetch((request, index) => index === 0
+    ? openAIReply(null, { toolCalls: [{ id: 'call_1', name: 'get_weather', arguments: { city: 'Oslo' } }] })
+    : openAIReply('Cold.'));
+  const agent = createAgent();
+  await addWeatherTool(agent);
+
+  await agent.chat('Weather in Oslo?', { chatId: 'chat_1' });
+
+  const { messages } = await agent.getChatHistory('chat_1');
+  assert.deepEqual(messages.map(msg => msg.role), ['user', 'assistant', 'tool', 'assistant']);
+  assert.equal(messages[1].tool_calls[0].id, 'call_1');
+  assert.equal(messages[3].content, 'Cold.');
+});
+
+test('a failing tool is reported to the model as an error result', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? openAIReply(null, { toolCalls: [{ id: 'call_1', name: 'get_weather', arguments: { city: 'Nowhere' } }] })
+    : openAIReply('I could not get the weather.'));
+  const agent = createAgent();
+  await addWeatherTool(agent, () => { throw new Error('Unknown city'); });
+
+  const result = await agent.chat('Weather in Nowhere?');
+
+  assert.equal(result.content, 'I could not get the weather.');
+  const toolResult = JSON.parse(requests[1].body.messages.at(-1).content);
+  assert.equal(toolResult.error, 'Tool execution failed: get_weather');
+});
+
+test('maxToolRounds stops a model that keeps calling tools', async () => {
+  const requests = mockFetch(() =>
+    openAIReply(null, { toolCalls: [{ name: 'get_weather', arguments: { city: 'Rome' } }] }));
+  const agent = createAgent();
+  await addWeatherTool(agent);
+
+  const result = await agent.chat('Loop', { maxToolRounds: 2 });
+
+  assert.equal(result.finishReason, 'max_rounds');
+  assert.equal(requests.length, 2);
+  assert.equal(agent.getThinkingStatus().isThinking, false);
+});
@@ -0,0 +1,126 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolManager, ErrorManager, ToolError, CancellationError } from '../agentify/index.js';
+import { mockFetch, restoreFetch, openAIReply, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+/**
+ * Tool whose first `failures` calls throw
+ */
+function flaky(failures, message = 'ECONNRESET') {
+  let calls = 0;
+  return async () => {
+    calls++;
+    if (calls <= failures) {
+      throw new Error(message);
+    }
+    return { calls };
+  };
+}
+
+/**
+ * Tool that only finishes when its signal aborts
+ */
+const untilAborted = (params, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+async function createToolManager(tool) {
+  const toolManager = new ToolManager(new ErrorManager());
+  await toolManager.registerTool({ name: 'job', description: 'A job', parameters: {}, retryDelay: 1, ...tool });
+  return toolManager;
+}
+
+test('failed attempts are retried up to `retries` times and attempts are reported', async () => {
+  const toolManager = await createToolManager({ retries: 2, execute: flaky(2) });
+  const retries = [];
+
+  const result = await toolManager.executeTool('job', {}, {
+    onRetry: (error, attempt, delay) => retries.push([error.message, attempt, delay])
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.attempts, 3);
+  assert.deepEqual(result.result, { calls: 3 });
+  assert.deepEqual(retries, [['ECONNRESET', 2, 1], ['ECONNRESET', 3, 2]]);
+});
+
+test('the last failure is thrown with the number of attempts', async () => {
+  const toolManager = await createToolManager({ retries: 1, execute: flaky(5) });
+
+  await assert.rejects(toolManager.executeTool('job', {}), (error) => {
+    assert.equal(error.code, ToolError.codes.EXEC_FAILED);
+    assert.equal(error.details.attempts, 2);
+    assert.equal(error.details.originalError, 'ECONNRESET');
+    return true;
+  });
+});
+
+test('retryOn decides which errors are retried', async () => {
+  const toolManager = await createToolManager({
+    retries: 3,
+    retryOn: (error) => error.message !== 'Invalid report id',
+    execute: flaky(5, 'Invalid report id')
+  });
+
+  await assert.rejects(toolManager.executeTool('job', {}), (error) => error.details.attempts === 1);
+});
+
+test('a slow attempt times out and its signal is aborted', async () => {
+  let signal;
+  const toolManager = await createToolManager({
+    timeout: 20,
+    execute: (params, context) => {
+      signal = context.signal;
+      return untilAborted(params, context);
+    }
+  });
+
+  await assert.rejects(toolManager.executeTool('job', {}), (error) => {
+    assert.equal(error.code, ToolError.codes.TIMEOUT);
+    assert.equal(error.details.timeout, 20);
+    return true;
+  });
+  assert.equal(signal.aborted, true);
+});
+
+test('timeouts are retried only for idempotent tools', async () => {
+  for (const [idempotent, attempts] of [[false, 1], [true, 3]]) {
+    const toolManager = await createToolManager({ timeout: 10, retries: 2, idempotent, execute: untilAborted });
+
+    await assert.rejects(toolManager.executeTool('job', {}), (error) => {
+      assert.equal(error.code, ToolError.codes.TIMEOUT);
+      assert.equal(error.details.attempts, attempts);
+      return true;
+    });
+  }
+});
+
+test('aborting the caller signal cancels the call and its retries', async () => {
+  const toolManager = await createToolManager({ retries: 5, timeout: 0, execute: untilAborted });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort('user left'), 10);
+
+  await assert.rejects(toolManager.executeTool('job', {}, { signal: controller.signal }), (error) => {
+    assert.ok(error instanceof CancellationError);
+    assert.equal(error.details.reason, 'user left');
+    return true;
+  });
+});
+
+test('retries and attempts are recorded in the agent events', async () => {
+  mockFetch((request, index) => index === 0
+    ? openAIReply(null, { toolCalls: [{ name: 'report', arguments: {} }] })
+    : openAIReply('Here is the report.'));
+  const agent = createAgent();
+  await agent.addTool({ name: 'report', description: 'Build a report', parameters: {}, retries: 1, retryDelay: 1, execute: flaky(1) });
+
+  await agent.chat('Report please');
+
+  const [retry] = await agent.getEventsByType('tool_call_retry');
+  assert.equal(retry.data.attempt, 2);
+  assert.equal(retry.data.reason, 'ECONNRESET');
+  const [completed] = await agent.getEventsByType('tool_call_completed');
+  assert.equal(completed.data.attempts, 2);
+});
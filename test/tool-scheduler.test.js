@@ -0,0 +1,113 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, restoreFetch, openAIReply, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Register a lookup tool that records how many calls overlap; each call takes `delay` ms
+ */
+async function addLookupTool(agent, stats, { name = 'lookup', parallelSafe } = {}) {
+  await agent.addTool({
+    name,
+    description: 'Look something up',
+    parameters: { key: { type: 'string', required: true }, delay: { type: 'number' } },
+    ...(parallelSafe === undefined ? {} : { parallelSafe }),
+    execute: async ({ key, delay = 10 }) => {
+      stats.running++;
+      stats.maxRunning = Math.max(stats.maxRunning, stats.running);
+      stats.log.push(`start ${key}`);
+      await sleep(delay);
+      stats.running--;
+      stats.log.push(`end ${key}`);
+      return { key };
+    }
+  });
+}
+
+const newStats = () => ({ running: 0, maxRunning: 0, log: [] });
+
+test('tool calls of one turn run in parallel and results keep the call order', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? openAIReply(null, {
+      toolCalls: [
+        { name: 'lookup', arguments: { key: 'a', delay: 30 } },
+        { name: 'lookup', arguments: { key: 'b', delay: 1 } },
+        { name: 'lookup', arguments: { key: 'c', delay: 15 } }
+      ]
+    })
+    : openAIReply('Done.'));
+  const agent = createAgent();
+  const stats = newStats();
+  await addLookupTool(agent, stats);
+
+  await agent.chat('Look up a, b and c');
+
+  assert.equal(stats.maxRunning, 3);
+  assert.deepEqual(stats.log.filter(entry => entry.startsWith('end')), ['end b', 'end c', 'end a']);
+
+  const toolMessages = requests[1].body.messages.filter(msg => msg.role === 'tool');
+  assert.deepEqual(toolMessages.map(msg => msg.tool_call_id), ['call_1', 'call_2', 'call_3']);
+  assert.deepEqual(toolMessages.map(msg => JSON.parse(msg.content).key), ['a', 'b', 'c']);
+});
+
+test('toolConcurrency limits how many calls run at once', async () => {
+  mockFetch((request, index) => index === 0
+    ? openAIReply(null, { toolCalls: ['a', 'b', 'c', 'd', 'e'].map(key => ({ name: 'lookup', arguments: { key } })) })
+    : openAIReply('Done.'));
+  const agent = createAgent({ toolConcurrency: 2 });
+  const stats = newStats();
+  await addLookupTool(agent, stats);
+
+  await agent.chat('Look up five things');
+
+  assert.equal(stats.maxRunning, 2);
+  assert.equal(stats.log.length, 10);
+  // Calls start in the order the model made them
+  assert.deepEqual(stats.log.filter(entry => entry.startsWith('start')), ['start a', 'start b', 'start c', 'start d', 'start e']);
+});
+
+test('a parallelSafe: false tool runs alone', async () => {
+  mockFetch((request, index) => index === 0
+    ? openAIReply(null, {
+      toolCalls: [
+        { name: 'lookup', arguments: { key: 'a' } },
+        { name: 'write', arguments: { key: 'w' } },
+        { name: 'lookup', arguments: { key: 'b' } }
+      ]
+    })
+    : openAIReply('Done.'));
+  const agent = createAgent();
+  const stats = newStats();
+  await addLookupTool(agent, stats);
+  await addLookupTool(agent, stats, { name: 'write', parallelSafe: false });
+
+  await agent.chat('Read, write, read');
+
+  assert.deepEqual(stats.log, ['start a', 'end a', 'start w', 'end w', 'start b', 'end b']);
+  assert.deepEqual(agent.toolScheduler.getStatus(), { running: 0, queued: 0, exclusiveRunning: false, concurrency: 5 });
+});
+
+test('a failing call does not stop the others', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? openAIReply(null, {
+      toolCalls: [
+        { name: 'lookup', arguments: { key: 'a' } },
+        { name: 'lookup', arguments: {} },
+        { name: 'lookup', arguments: { key: 'c' } }
+      ]
+    })
+    : openAIReply('Done.'));
+  const agent = createAgent({ toolConcurrency: 1 });
+  const stats = newStats();
+  await addLookupTool(agent, stats);
+
+  await agent.chat('Look up three things');
+
+  const results = requests[1].body.messages.filter(msg => msg.role === 'tool').map(msg => JSON.parse(msg.content));
+  assert.deepEqual(results[0], { key: 'a' });
+  assert.ok(results[1].error);
+  assert.deepEqual(results[2], { key: 'c' });
+});
@@ -0,0 +1,124 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolManager, ErrorManager, ToolError } from '../agentify/index.js';
+import { mockFetch, restoreFetch, sseResponse, openAIReply, createAgent } from '../fixtures/http.js';
+
+afterEach(restoreFetch);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function createToolManager(tool) {
+  const toolManager = new ToolManager(new ErrorManager());
+  await toolManager.registerTool({ name: 'search', description: 'Search', parameters: {}, ...tool });
+  return toolManager;
+}
+
+test('chunks of an async generator are forwarded and joined into the result', async () => {
+  const toolManager = await createToolManager({
+    execute: async function* () {
+      yield 'first ';
+      yield 'second';
+    }
+  });
+  const chunks = [];
+
+  const result = await toolManager.executeTool('search', {}, {
+    onChunk: (chunk, index, attempt) => chunks.push([chunk, index, attempt])
+  });
+
+  assert.deepEqual(chunks, [['first ', 0, 1], ['second', 1, 1]]);
+  assert.equal(result.result, 'first second');
+});
+
+test('the generator return value wins over the chunks, non-string chunks are collected', async () => {
+  const returning = await createToolManager({
+    execute: async function* () {
+      yield { hits: 1 };
+      return { total: 1 };
+    }
+  });
+  const collecting = await createToolManager({
+    execute: async function* () {
+      yield { hits: 1 };
+      yield { hits: 2 };
+    }
+  });
+
+  assert.deepEqual((await returning.executeTool('search', {})).result, { total: 1 });
+  assert.deepEqual((await collecting.executeTool('search', {})).result, [{ hits: 1 }, { hits: 2 }]);
+});
+
+test('a timeout stops the generator', async () => {
+  let finished = false;
+  const toolManager = await createToolManager({
+    timeout: 20,
+    execute: async function* () {
+      try {
+        while (true) {
+          yield 'tick';
+          await sleep(5);
+        }
+      } finally {
+        finished = true;
+      }
+    }
+  });
+
+  await assert.rejects(toolManager.executeTool('search', {}), (error) => error.code === ToolError.codes.TIMEOUT);
+  await sleep(10);
+  assert.equal(finished, true);
+});
+
+test('a streaming chat forwards tool chunks to onToolProgress and sends the final value to the model', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? sseResponse([
+      { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'search', arguments: '{}' } }] } }] },
+      { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] },
+      'data: [DONE]\n\n'
+    ])
+    : sseResponse([
+      { choices: [{ index: 0, delta: { content: 'Found two.' } }] },
+      'data: [DONE]\n\n'
+    ]));
+  const agent = createAgent({ stream: true });
+  await agent.addTool({
+    name: 'search',
+    description: 'Search',
+    parameters: {},
+    execute: async function* () {
+      yield 'result 1\n';
+      yield 'result 2\n';
+    }
+  });
+  const progress = [];
+
+  const result = await agent.chat('Search', {
+    onToolProgress: (toolCall, chunk, { index }) => progress.push([toolCall.name, chunk, index])
+  });
+
+  assert.equal(result.content, 'Found two.');
+  assert.deepEqual(progress, [['search', 'result 1\n', 0], ['search', 'result 2\n', 1]]);
+  assert.equal(JSON.parse(requests[1].body.messages.at(-1).content), 'result 1\nresult 2\n');
+  const events = await agent.getEventsByType('tool_call_progress');
+  assert.deepEqual(events.map(event => event.data.chunk), ['result 1\n', 'result 2\n']);
+});
+
+test('non-streaming chats collect tool chunks too', async () => {
+  const requests = mockFetch((request, index) => index === 0
+    ? openAIReply(null, { toolCalls: [{ name: 'search', arguments: {} }] })
+    : openAIReply('Done.'));
+  const agent = createAgent();
+  await agent.addTool({
+    name: 'search',
+    description: 'Search',
+    parameters: {},
+    execute: async function* () {
+      yield 'a';
+      yield 'b';
+    }
+  });
+
+  await agent.chat('Search');
+
+  assert.equal(JSON.parse(requests[1].body.messages.at(-1).content), 'ab');
+});